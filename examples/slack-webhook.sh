@@ -7,7 +7,9 @@
 #   WALLET_ADDRESS=0x... \
 #   ./slack-webhook.sh
 #
-# Sends a Slack message when balance diff exceeds threshold.
+# Sends a Slack message when balance diff exceeds threshold, or when the
+# check itself fails. For alerts alone, `--webhook-format slack` does this
+# without a script.
 # Requires: curl, jq, mcbd
 
 set -euo pipefail
@@ -8,17 +8,53 @@
  * Supported chain types:
  * - EVM (Ethereum, Polygon, Arbitrum, etc.) via ethers.js
  * - Solana (including Helium tokens) via @solana/web3.js
- * 
- * Future: Cosmos, Bitcoin, etc.
+ * - TON via @ton/ton
+ * - Bitcoin via an Esplora REST API
+ * - Cosmos SDK chains via the LCD (REST) API
+ * - Tron via a TronGrid-style HTTP API
+ */
+
+const EndpointPool = require('./endpointPool');
+const RpcSocket = require('./rpcSocket');
+const { redactUrl } = EndpointPool;
+
+/**
+ * Thrown when the configured endpoint cannot serve balances at a past
+ * block/slot (pruned history, no archive access, too much activity).
+ * Callers should report this honestly rather than fall back to the
+ * current balance.
  */
+class HistoryUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HistoryUnavailableError';
+    this.code = 'HISTORY_UNAVAILABLE';
+  }
+}
+
+// Window used to estimate the average block time before a timestamp search
+const BLOCK_TIME_SAMPLE = 1000;
 
 class BaseAdapter {
-  constructor(networkConfig) {
+  constructor(networkConfig, options = {}) {
     if (new.target === BaseAdapter) {
       throw new Error('BaseAdapter is abstract and cannot be instantiated directly');
     }
     this.networkConfig = networkConfig;
     this.connection = null;
+    // Every RPC request goes through the pool for failover
+    this.endpoints = new EndpointPool(
+      networkConfig.rpcUrls || (networkConfig.rpcUrl ? [networkConfig.rpcUrl] : []),
+      { timeoutMs: options.timeoutMs, onRequest: options.onRequest }
+    );
+  }
+
+  /**
+   * Endpoint that served the last request, with credentials redacted.
+   * @returns {string|null}
+   */
+  getEndpoint() {
+    return this.endpoints.active ? redactUrl(this.endpoints.active) : null;
   }
 
   /**
@@ -45,6 +81,111 @@ class BaseAdapter {
     throw new Error('getCurrentBlock() must be implemented');
   }
 
+  /**
+   * Get the timestamp of a block/slot.
+   * @param {number} block - Block/slot number
+   * @returns {Promise<number>} Unix timestamp in seconds
+   */
+  async getBlockTimestamp(block) {
+    throw new Error('getBlockTimestamp() must be implemented');
+  }
+
+  /**
+   * Find the last block/slot produced at or before a timestamp.
+   * 
+   * Brackets the target by stepping back from the latest block using the
+   * recent average block time, then narrows it with a binary search that
+   * alternates interpolation and bisection steps.
+   * 
+   * @param {number} timestamp - Unix timestamp in seconds
+   * @param {number} latestBlock - Latest block/slot
+   * @param {number} latestTimestamp - Timestamp of the latest block/slot
+   * @returns {Promise<number>} Block/slot number (0 if the target predates it)
+   */
+  async findBlockByTimestamp(timestamp, latestBlock, latestTimestamp) {
+    if (timestamp >= latestTimestamp) {
+      return latestBlock;
+    }
+
+    let lo = Math.max(0, latestBlock - BLOCK_TIME_SAMPLE);
+    let loTime = await this.getBlockTimestamp(lo);
+    let hi = latestBlock;
+    let hiTime = latestTimestamp;
+    const blockTime = Math.max((hiTime - loTime) / Math.max(1, hi - lo), 0.001);
+
+    // Step back until time(lo) <= timestamp < time(hi)
+    let margin = 1.1;
+    while (loTime > timestamp) {
+      if (lo === 0) {
+        return 0;
+      }
+      hi = lo;
+      hiTime = loTime;
+      lo = Math.max(0, hi - Math.ceil(((hiTime - timestamp) / blockTime) * margin) - 1);
+      loTime = await this.getBlockTimestamp(lo);
+      margin *= 2;
+    }
+
+    let bisect = false;
+    while (hi - lo > 1) {
+      const guess = bisect || hiTime === loTime
+        ? Math.floor((lo + hi) / 2)
+        : lo + Math.floor(((timestamp - loTime) * (hi - lo)) / (hiTime - loTime));
+      const mid = Math.min(hi - 1, Math.max(lo + 1, guess));
+      const midTime = await this.getBlockTimestamp(mid);
+      if (midTime <= timestamp) {
+        lo = mid;
+        loTime = midTime;
+      } else {
+        hi = mid;
+        hiTime = midTime;
+      }
+      bisect = !bisect;
+    }
+
+    return lo;
+  }
+
+  /**
+   * Resolve a lookback into a concrete block/slot range.
+   * 
+   * A number means "N blocks/slots back from the latest". An object
+   * selects a time window: `{since}` (seconds before now) or
+   * `{from, to}` (Unix seconds, `to` defaults to now). Time windows also
+   * return the timestamps of the resolved blocks.
+   * 
+   * @param {number|{since?: number, from?: number, to?: number}} lookback
+   * @returns {Promise<{currentBlock: number, previousBlock: number, currentTimestamp?: number, previousTimestamp?: number}>}
+   */
+  async resolveBlockRange(lookback) {
+    const latestBlock = await this.getCurrentBlock();
+
+    if (typeof lookback === 'number') {
+      return {
+        currentBlock: latestBlock,
+        previousBlock: Math.max(0, latestBlock - lookback),
+      };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const from = lookback.since !== undefined ? now - lookback.since : lookback.from;
+    const latestTimestamp = await this.getBlockTimestamp(latestBlock);
+
+    let currentBlock = latestBlock;
+    let currentTimestamp = latestTimestamp;
+    if (lookback.to !== undefined && lookback.to !== null && lookback.to < latestTimestamp) {
+      currentBlock = await this.findBlockByTimestamp(lookback.to, latestBlock, latestTimestamp);
+      currentTimestamp = await this.getBlockTimestamp(currentBlock);
+    }
+
+    const previousBlock = await this.findBlockByTimestamp(from, currentBlock, currentTimestamp);
+    const previousTimestamp = previousBlock === currentBlock
+      ? currentTimestamp
+      : await this.getBlockTimestamp(previousBlock);
+
+    return { currentBlock, previousBlock, currentTimestamp, previousTimestamp };
+  }
+
   /**
    * Get native balance for an address.
    * @param {string} address - Wallet address
@@ -56,39 +197,207 @@ class BaseAdapter {
   }
 
   /**
-   * Get native balance diff over N blocks/slots.
+   * Get native balance diff over a lookback (see resolveBlockRange).
+   * 
+   * Also accepts an already resolved range, so several addresses can be
+   * queried over the same blocks. Range timestamps are passed through.
+   * 
+   * If the endpoint cannot serve the past state, `previous` and `diff`
+   * are null and `diffUnavailableReason` explains why.
+   * 
    * @param {string} address - Wallet address
-   * @param {number} blocksBack - Number of blocks to look back
-   * @returns {Promise<{current: object, previous: object, diff: bigint, currentBlock: number, previousBlock: number}>}
+   * @param {number|object} lookback - Blocks to look back, a time window, or a resolved range
+   * @returns {Promise<{current: object, previous: object|null, diff: bigint|null, currentBlock: number, previousBlock: number, currentTimestamp?: number, previousTimestamp?: number, diffUnavailableReason?: string}>}
    */
-  async getNativeBalanceDiff(address, blocksBack) {
-    const currentBlock = await this.getCurrentBlock();
-    const previousBlock = Math.max(0, currentBlock - blocksBack);
+  async getNativeBalanceDiff(address, lookback) {
+    const range = lookback?.currentBlock !== undefined
+      ? lookback
+      : await this.resolveBlockRange(lookback);
+    const { currentBlock, previousBlock } = range;
 
+    let unavailableReason = null;
     const [current, previous] = await Promise.all([
       this.getNativeBalance(address, currentBlock),
-      this.getNativeBalance(address, previousBlock),
+      this.getNativeBalance(address, previousBlock).catch(error => {
+        if (!(error instanceof HistoryUnavailableError)) throw error;
+        unavailableReason = error.message;
+        return null;
+      }),
     ]);
 
-    return {
+    const result = {
+      ...range,
       current,
       previous,
-      diff: current.raw - previous.raw,
-      currentBlock,
-      previousBlock,
+      diff: previous ? current.raw - previous.raw : null,
     };
+    if (unavailableReason) {
+      result.diffUnavailableReason = unavailableReason;
+    }
+    return result;
   }
 
   /**
    * Get token balances for an address.
    * @param {string} address - Wallet address
    * @param {object[]} tokens - Token configurations
+   * @param {number|string} blockTag - Block number or 'latest'
    * @returns {Promise<object[]>} Array of token balances
    */
-  async getTokenBalances(address, tokens) {
+  async getTokenBalances(address, tokens, blockTag = 'latest') {
     throw new Error('getTokenBalances() must be implemented');
   }
 
+  /**
+   * Get token balance diffs between two blocks/slots.
+   * 
+   * Tokens held at either end of the range are included, so a position
+   * that was fully exited still shows up with a negative diff. If the past
+   * state is unavailable, current balances are returned with a null
+   * `previous` and `diff`.
+   * 
+   * @param {string} address - Wallet address
+   * @param {object[]} tokens - Token configurations
+   * @param {number} currentBlock - Block/slot for the current balance
+   * @param {number} previousBlock - Block/slot for the previous balance
+   * @returns {Promise<object[]>} Token balances with `previous` and `diff`
+   */
+  async getTokenBalanceDiffs(address, tokens, currentBlock, previousBlock) {
+    let unavailableReason = null;
+    const [current, previous] = await Promise.all([
+      this.getTokenBalances(address, tokens, currentBlock),
+      this.getTokenBalances(address, tokens, previousBlock).catch(error => {
+        if (!(error instanceof HistoryUnavailableError)) throw error;
+        unavailableReason = error.message;
+        return null;
+      }),
+    ]);
+
+    if (previous === null) {
+      return current.map(token => ({
+        ...token,
+        previous: null,
+        diff: null,
+        diffUnavailableReason: unavailableReason,
+      }));
+    }
+
+    return this._mergeTokenDiffs(current, previous);
+  }
+
+  /**
+   * Get token balance diffs for several addresses over the same range.
+   * Adapters that can batch reads across addresses override this.
+   * @param {string[]} addresses - Wallet addresses
+   * @param {object[]} tokens - Token configurations
+   * @param {number} currentBlock - Block/slot for the current balance
+   * @param {number} previousBlock - Block/slot for the previous balance
+   * @returns {Promise<Map<string, object[]>>} Token balance diffs by address
+   */
+  async getTokenBalanceDiffsForAddresses(addresses, tokens, currentBlock, previousBlock) {
+    const diffs = await Promise.all(
+      addresses.map(address => this.getTokenBalanceDiffs(address, tokens, currentBlock, previousBlock))
+    );
+    return new Map(addresses.map((address, i) => [address, diffs[i]]));
+  }
+
+  /**
+   * Find tokens held or moved by the addresses (--discover-tokens), to be
+   * checked alongside the configured ones.
+   * @param {string[]} addresses - Wallet addresses
+   * @param {{currentBlock: number, previousBlock: number}} range - Diff range
+   * @param {object} [options]
+   * @param {number} [options.scanBlocks] - Blocks to scan back at least (log-based discovery)
+   * @returns {Promise<object[]>} Token configurations flagged `discovered`
+   */
+  async discoverTokens(addresses, range, options = {}) {
+    throw new Error(`Token discovery is not supported on ${this.getChainType()}`);
+  }
+
+  /**
+   * Subscriptions that signal balance changes in watch mode
+   * (--subscribe), sent to the network's `wsUrl`. Each is a JSON-RPC
+   * request, the method of the notifications it produces, and whether
+   * those mark a new block or a change to a watched account.
+   * Chains without push updates return none and are polled.
+   * @param {string[]} addresses - Watched addresses
+   * @returns {{method: string, params: any[], notification: string, kind: 'block'|'account'}[]}
+   */
+  getSubscriptions(addresses) {
+    return [];
+  }
+
+  /**
+   * Open the network's WebSocket endpoint and subscribe to updates for
+   * the addresses (see getSubscriptions).
+   * @param {string[]} addresses - Watched addresses
+   * @param {object} handlers
+   * @param {function('block'|'account'): void} handlers.onUpdate - Called per notification
+   * @param {function(Error): void} handlers.onClose - Called if the connection is lost
+   * @returns {Promise<RpcSocket|null>} Open socket, or null without a
+   *   `wsUrl` or push support on this chain
+   * @throws {Error} If the endpoint is unreachable or rejects a subscription
+   */
+  async subscribe(addresses, { onUpdate, onClose }) {
+    const subscriptions = this.getSubscriptions(addresses);
+    if (!this.networkConfig.wsUrl || subscriptions.length === 0) {
+      return null;
+    }
+
+    const socket = new RpcSocket(this.networkConfig.wsUrl, { timeoutMs: this.endpoints.timeoutMs });
+    await socket.open();
+    // Before subscribing, so a drop during setup is reported too
+    socket.onClose(onClose);
+    try {
+      for (const { method, params, notification, kind } of subscriptions) {
+        socket.onNotification(notification, () => onUpdate(kind));
+        await socket.request(method, params);
+      }
+    } catch (error) {
+      socket.close();
+      throw error;
+    }
+    return socket;
+  }
+
+  /**
+   * Pair current and previous token balances by token.
+   * @param {object[]} current - Balances at the current block/slot
+   * @param {object[]} previous - Balances at the previous block/slot
+   * @returns {object[]} Token balances with `previous` and `diff`
+   */
+  _mergeTokenDiffs(current, previous) {
+    const tokenKey = (token) => token.address || token.mint || token.master || token.denom || token.symbol;
+    const previousByKey = new Map(previous.map(token => [tokenKey(token), token]));
+
+    const results = current.map(token => {
+      const prev = previousByKey.get(tokenKey(token));
+      previousByKey.delete(tokenKey(token));
+      const previousRaw = prev ? prev.raw : 0n;
+      return {
+        ...token,
+        previous: {
+          raw: previousRaw,
+          formatted: prev ? prev.formatted : this.formatBalance(0n, token.decimals),
+        },
+        diff: token.raw - previousRaw,
+      };
+    });
+
+    // Tokens that were held before but are now fully gone
+    for (const prev of previousByKey.values()) {
+      results.push({
+        ...prev,
+        raw: 0n,
+        formatted: this.formatBalance(0n, prev.decimals),
+        previous: { raw: prev.raw, formatted: prev.formatted },
+        diff: -prev.raw,
+      });
+    }
+
+    return results;
+  }
+
   /**
    * Validate an address format.
    * @param {string} address - Address to validate
@@ -99,25 +408,73 @@ class BaseAdapter {
   }
 
   /**
-   * Format a raw balance to human-readable string.
+   * Canonical form of a valid address, so every way of writing one
+   * account maps to the same key.
+   * @param {string} address - Valid address
+   * @returns {string}
+   */
+  normalizeAddress(address) {
+    return address;
+  }
+
+  /**
+   * Format a raw balance to human-readable string, exactly (bigint
+   * arithmetic, trailing zeros trimmed).
+   * @param {bigint} raw - Raw balance
+   * @param {number} [decimals] - Token decimals; defaults to the native asset's
+   * @returns {string} Formatted balance, e.g. "0.0015"
+   */
+  formatBalance(raw, decimals = this.networkConfig.nativeDecimals) {
+    const divisor = 10n ** BigInt(decimals);
+    const whole = raw / divisor;
+    const fraction = raw % divisor;
+
+    if (fraction === 0n) {
+      return whole.toString();
+    }
+
+    const fractionStr = fraction.toString().padStart(decimals, '0').replace(/0+$/, '');
+    return `${whole}.${fractionStr}`;
+  }
+
+  /**
+   * Format balance with symbol for display.
    * @param {bigint} raw - Raw balance
-   * @param {number} decimals - Token decimals
-   * @returns {string} Formatted balance
+   * @param {string} symbol - Currency symbol
+   * @param {number} [decimals] - Token decimals; defaults to the native asset's
+   * @returns {string} e.g. "0.0015 BTC"
+   */
+  formatBalanceWithSymbol(raw, symbol, decimals = this.networkConfig.nativeDecimals) {
+    return `${this.formatBalance(raw, decimals)} ${symbol}`;
+  }
+
+  /**
+   * Format balance diff with +/- prefix.
+   * @param {bigint} diff - Raw diff
+   * @param {string} symbol - Currency symbol
+   * @param {number} [decimals] - Token decimals; defaults to the native asset's
+   * @returns {string} e.g. "-0.0015 BTC"
    */
-  formatBalance(raw, decimals) {
-    throw new Error('formatBalance() must be implemented');
+  formatDiff(diff, symbol, decimals = this.networkConfig.nativeDecimals) {
+    const formatted = this.formatBalance(diff < 0n ? -diff : diff, decimals);
+    const prefix = diff >= 0n ? '+' : '-';
+    return `${prefix}${formatted} ${symbol}`;
   }
 
   /**
    * Get explorer URL for an address.
    * @param {string} address - Wallet address
-   * @returns {string} Block explorer URL
+   * @returns {string|null} Block explorer URL, or null if the network has none
    */
   getExplorerUrl(address) {
+    if (!this.networkConfig.blockExplorer) {
+      return null;
+    }
     return `${this.networkConfig.blockExplorer}/address/${address}`;
   }
 }
 
 module.exports = BaseAdapter;
+module.exports.HistoryUnavailableError = HistoryUnavailableError;
 
 
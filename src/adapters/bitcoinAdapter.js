@@ -0,0 +1,206 @@
+/**
+ * Bitcoin Adapter
+ *
+ * Handles Bitcoin (UTXO) balances through an Esplora-compatible REST API
+ * (blockstream.info, mempool.space, or a self-hosted esplora/electrs):
+ * - Address validation for legacy (P2PKH), P2SH, SegWit (bech32) and
+ *   Taproot (bech32m) addresses
+ * - Confirmed balance in satoshis
+ * - Balances at a past block height, rebuilt from transaction history
+ *
+ * Esplora only serves the current balance, so the balance at height H is
+ * the confirmed balance minus the net effect of every confirmed
+ * transaction above H. Unconfirmed (mempool) transactions are ignored.
+ *
+ * Block timestamps are not strictly increasing on Bitcoin (miners may
+ * set them up to ~2h off), so time-based lookbacks resolve to a block
+ * within that tolerance.
+ */
+
+const BaseAdapter = require('./baseAdapter');
+const { HistoryUnavailableError } = BaseAdapter;
+const { base58CheckDecode, bech32Decode, convertBits } = require('../utils/encoding');
+
+// Legacy address version bytes, keyed by the network's bech32 prefix
+const ADDRESS_VERSIONS = {
+  bc: { p2pkh: 0x00, p2sh: 0x05 },
+  tb: { p2pkh: 0x6f, p2sh: 0xc4 },
+};
+
+// Esplora returns 25 confirmed transactions per page; how many pages to
+// walk before giving up on reconstructing history
+const TX_PAGE_SIZE = 25;
+const MAX_TX_PAGES = 40;
+
+class BitcoinAdapter extends BaseAdapter {
+  constructor(networkConfig, options = {}) {
+    super(networkConfig, options);
+    this.bech32Prefix = networkConfig.bech32Prefix || 'bc';
+  }
+
+  getChainType() {
+    return 'bitcoin';
+  }
+
+  async connect() {
+    // Verify connection by fetching the tip height
+    await this.getCurrentBlock();
+    this.connection = this.endpoints;
+  }
+
+  async getCurrentBlock() {
+    return parseInt(await this._get('/blocks/tip/height'), 10);
+  }
+
+  async getBlockTimestamp(height) {
+    const hash = await this._get(`/block-height/${height}`);
+    const block = await this._getJson(`/block/${hash}`);
+    return block.timestamp;
+  }
+
+  async getNativeBalance(address, blockTag = 'latest') {
+    const addr = this.normalizeAddress(address);
+    const { chain_stats: stats } = await this._getJson(`/address/${addr}`);
+
+    let raw = BigInt(stats.funded_txo_sum) - BigInt(stats.spent_txo_sum);
+    if (blockTag !== 'latest') {
+      // Undo confirmed transactions above the height (throws HistoryUnavailableError)
+      raw -= await this._netChangeAbove(addr, blockTag);
+    }
+
+    return {
+      raw,
+      formatted: this.formatBalance(raw, 8), // BTC has 8 decimals
+      decimals: 8,
+    };
+  }
+
+  /**
+   * Bitcoin has no token standard tracked here.
+   */
+  async getTokenBalances(address, tokens, blockTag = 'latest') {
+    return [];
+  }
+
+  /**
+   * Net satoshi change from confirmed transactions above a block height.
+   * Walks the confirmed history newest first until a transaction at or
+   * below the height is seen.
+   * @param {string} address - Normalized address
+   * @param {number} height - Block height
+   * @returns {Promise<bigint>}
+   * @throws {HistoryUnavailableError} If the history is too long
+   */
+  async _netChangeAbove(address, height) {
+    let change = 0n;
+    let lastTxid = null;
+
+    for (let page = 0; page < MAX_TX_PAGES; page++) {
+      const txs = await this._getJson(`/address/${address}/txs/chain${lastTxid ? `/${lastTxid}` : ''}`);
+
+      for (const tx of txs) {
+        if (tx.status.block_height <= height) {
+          return change;
+        }
+        change += this._txNetChange(tx, address);
+      }
+
+      // Reached the address's first transaction
+      if (txs.length < TX_PAGE_SIZE) {
+        return change;
+      }
+      lastTxid = txs[txs.length - 1].txid;
+    }
+
+    throw new HistoryUnavailableError(
+      `More than ${MAX_TX_PAGES * TX_PAGE_SIZE} transactions since block ${height}`
+    );
+  }
+
+  /**
+   * Satoshis a transaction paid to the address minus what it spent from it.
+   */
+  _txNetChange(tx, address) {
+    let change = 0n;
+    for (const output of tx.vout) {
+      if (output.scriptpubkey_address === address) {
+        change += BigInt(output.value);
+      }
+    }
+    for (const input of tx.vin) {
+      if (input.prevout?.scriptpubkey_address === address) {
+        change -= BigInt(input.prevout.value);
+      }
+    }
+    return change;
+  }
+
+  /**
+   * Esplora reports bech32 addresses in lowercase; uppercase is valid too
+   * (used in QR codes).
+   */
+  normalizeAddress(address) {
+    return address.toLowerCase().startsWith(`${this.bech32Prefix}1`) ? address.toLowerCase() : address;
+  }
+
+  /**
+   * GET a path from the Esplora API.
+   * @param {string} path - API path, e.g. '/blocks/tip/height'
+   * @returns {Promise<string>} Response body
+   */
+  async _get(path) {
+    const response = await this.endpoints.fetch({}, path);
+    const body = await response.text();
+    if (!response.ok) {
+      // Esplora explains client errors in the body ("Invalid Bitcoin address")
+      throw new Error(`Esplora ${path} failed: HTTP ${response.status} ${body.slice(0, 200)}`.trim());
+    }
+    return body.trim();
+  }
+
+  async _getJson(path) {
+    return JSON.parse(await this._get(path));
+  }
+
+  isValidAddress(address) {
+    if (address.toLowerCase().startsWith(`${this.bech32Prefix}1`)) {
+      return this._isValidSegwitAddress(address);
+    }
+
+    // Legacy P2PKH / P2SH: Base58Check of version byte + 20-byte hash
+    const versions = ADDRESS_VERSIONS[this.bech32Prefix];
+    try {
+      const payload = base58CheckDecode(address);
+      return Boolean(versions) && payload.length === 21 &&
+        (payload[0] === versions.p2pkh || payload[0] === versions.p2sh);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * SegWit v0 (P2WPKH/P2WSH) uses bech32; v1+ (Taproot) uses bech32m
+   * (BIP-173, BIP-350).
+   */
+  _isValidSegwitAddress(address) {
+    try {
+      const { prefix, words, encoding } = bech32Decode(address);
+      if (prefix !== this.bech32Prefix || words.length === 0 || words[0] > 16) {
+        return false;
+      }
+      const version = words[0];
+      const program = convertBits(words.slice(1), 5, 8, false);
+      if (program.length < 2 || program.length > 40) {
+        return false;
+      }
+      if (version === 0) {
+        return encoding === 'bech32' && (program.length === 20 || program.length === 32);
+      }
+      return encoding === 'bech32m';
+    } catch {
+      return false;
+    }
+  }
+}
+
+module.exports = BitcoinAdapter;
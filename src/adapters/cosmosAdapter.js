@@ -0,0 +1,179 @@
+/**
+ * Cosmos SDK Adapter
+ *
+ * Handles Cosmos SDK chains (Cosmos Hub, Osmosis, Celestia, ...) through
+ * the LCD/REST API of the bank module:
+ * - Bech32 account addresses with the network's prefix
+ * - Native denom balance (e.g. uatom) in base units
+ * - Other bank denoms (IBC, factory tokens) as tokens, keyed by `denom`
+ * - Balances at a past height via the `x-cosmos-block-height` header
+ *
+ * Only liquid bank balances are read: staked tokens and unclaimed
+ * rewards show up once they are withdrawn to the account. Pruning nodes
+ * keep recent state only, so past heights may need an archive endpoint.
+ */
+
+const BaseAdapter = require('./baseAdapter');
+const { HistoryUnavailableError } = BaseAdapter;
+const { bech32Decode, convertBits } = require('../utils/encoding');
+
+// Account addresses are 20 bytes, module and ICA accounts 32 bytes
+const ADDRESS_LENGTHS = [20, 32];
+
+// Cosmos SDK addresses may exceed BIP-173's 90 characters
+const MAX_ADDRESS_LENGTH = 1023;
+
+// Balances fetched per page
+const BALANCES_PAGE_LIMIT = 1000;
+
+class CosmosAdapter extends BaseAdapter {
+  constructor(networkConfig, options = {}) {
+    super(networkConfig, options);
+    this.bech32Prefix = networkConfig.bech32Prefix;
+    this.nativeDenom = networkConfig.nativeDenom;
+  }
+
+  getChainType() {
+    return 'cosmos';
+  }
+
+  async connect() {
+    // Verify connection by fetching the latest height
+    await this.getCurrentBlock();
+    this.connection = this.endpoints;
+  }
+
+  async getCurrentBlock() {
+    const { block } = await this._getJson('/cosmos/base/tendermint/v1beta1/blocks/latest');
+    return parseInt(block.header.height, 10);
+  }
+
+  async getBlockTimestamp(height) {
+    const { block } = await this._getJson(`/cosmos/base/tendermint/v1beta1/blocks/${height}`);
+    return Math.floor(Date.parse(block.header.time) / 1000);
+  }
+
+  async getNativeBalance(address, blockTag = 'latest') {
+    const { balance } = await this._getJson(
+      `/cosmos/bank/v1beta1/balances/${address}/by_denom?denom=${encodeURIComponent(this.nativeDenom)}`,
+      blockTag
+    );
+    const raw = BigInt(balance?.amount || 0);
+    const decimals = this.networkConfig.nativeDecimals;
+
+    return {
+      raw,
+      formatted: this.formatBalance(raw, decimals),
+      decimals,
+    };
+  }
+
+  /**
+   * Get bank balances for the configured denoms. All of the account's
+   * balances are listed once and matched by denom.
+   */
+  async getTokenBalances(address, tokens, blockTag = 'latest') {
+    if (tokens.length === 0) {
+      return [];
+    }
+
+    const balances = await this._getAllBalances(address, blockTag);
+    const results = [];
+    for (const token of tokens) {
+      const raw = balances.get(token.denom) || 0n;
+      if (raw > 0n) {
+        results.push({
+          symbol: token.symbol,
+          denom: token.denom,
+          raw,
+          formatted: this.formatBalance(raw, token.decimals),
+          decimals: token.decimals,
+        });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * List every bank balance of an account, following pagination.
+   * @returns {Promise<Map<string, bigint>>} Denom → amount
+   */
+  async _getAllBalances(address, blockTag) {
+    const balances = new Map();
+    let nextKey = null;
+
+    do {
+      const query = `pagination.limit=${BALANCES_PAGE_LIMIT}${nextKey ? `&pagination.key=${encodeURIComponent(nextKey)}` : ''}`;
+      const page = await this._getJson(`/cosmos/bank/v1beta1/balances/${address}?${query}`, blockTag);
+      for (const { denom, amount } of page.balances) {
+        balances.set(denom, BigInt(amount));
+      }
+      nextKey = page.pagination?.next_key;
+    } while (nextKey);
+
+    return balances;
+  }
+
+  /**
+   * GET a path from the LCD API, optionally at a past height.
+   * @param {string} path - API path
+   * @param {number|string} [blockTag] - Height, or 'latest'
+   * @returns {Promise<object>} Parsed response
+   * @throws {HistoryUnavailableError} If the endpoint has no state at the height
+   */
+  async _getJson(path, blockTag = 'latest') {
+    const historical = blockTag !== 'latest';
+    const headers = { Accept: 'application/json' };
+    if (historical) {
+      headers['x-cosmos-block-height'] = String(blockTag);
+    }
+
+    let response;
+    try {
+      response = await this.endpoints.fetch({ headers }, path);
+    } catch (error) {
+      // Pruned nodes answer past heights with 5xx ("version does not exist")
+      if (historical && error.status) {
+        throw new HistoryUnavailableError(`No endpoint serves state at height ${blockTag} (${error.message})`);
+      }
+      throw error;
+    }
+
+    const body = await response.text();
+    if (!response.ok) {
+      // LCD errors are JSON: { code, message, details }
+      let message = body.slice(0, 200);
+      try {
+        message = JSON.parse(body).message || message;
+      } catch {
+        // Not JSON (proxy error page)
+      }
+      if (historical) {
+        throw new HistoryUnavailableError(`No state at height ${blockTag}: ${message}`);
+      }
+      throw new Error(`LCD ${path} failed: HTTP ${response.status} ${message}`.trim());
+    }
+
+    // Nodes echo the height they answered at; reject a silent fallback to latest
+    const servedHeight = response.headers?.get('grpc-metadata-x-cosmos-block-height');
+    if (historical && servedHeight && parseInt(servedHeight, 10) !== Number(blockTag)) {
+      throw new HistoryUnavailableError(`Endpoint returned state at height ${servedHeight} instead of ${blockTag}`);
+    }
+
+    return JSON.parse(body);
+  }
+
+  isValidAddress(address) {
+    try {
+      const { prefix, words, encoding } = bech32Decode(address, MAX_ADDRESS_LENGTH);
+      if (encoding !== 'bech32' || prefix !== this.bech32Prefix) {
+        return false;
+      }
+      return ADDRESS_LENGTHS.includes(convertBits(words, 5, 8, false).length);
+    } catch {
+      return false;
+    }
+  }
+}
+
+module.exports = CosmosAdapter;
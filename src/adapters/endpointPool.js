@@ -0,0 +1,165 @@
+/**
+ * RPC Endpoint Pool
+ *
+ * Sends HTTP requests to a network's endpoints in order and fails over
+ * to the next one on connection errors, timeouts, 429s and 5xx
+ * responses. Adapters plug it in below their SDK (ethers getUrlFunc,
+ * web3.js custom fetch, TonClient httpAdapter) or call it directly for
+ * REST APIs, so every RPC call gets failover without the adapters
+ * handling it per method.
+ *
+ * Endpoints that keep failing are demoted behind healthy ones for a
+ * cooldown, so long-running watch mode stops paying their timeout on
+ * every poll.
+ */
+
+// Consecutive failures before an endpoint is demoted, and for how long
+const DEMOTE_AFTER_FAILURES = 3;
+const DEMOTE_COOLDOWN_MS = 5 * 60 * 1000;
+
+// Default per-endpoint timeout: 30 seconds
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Hide credentials in an endpoint URL (API keys in the path or query).
+ * @param {string} url - Endpoint URL
+ * @returns {string} e.g. "https://eth-mainnet.g.alchemy.com/v2/***"
+ */
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const path = parsed.pathname
+      .split('/')
+      .map(segment => /^[A-Za-z0-9_-]{20,}$/.test(segment) ? '***' : segment)
+      .join('/');
+    const query = [...parsed.searchParams.keys()].map(key => `${key}=***`).join('&');
+    return `${parsed.protocol}//${parsed.host}${path === '/' ? '' : path}${query ? `?${query}` : ''}`;
+  } catch {
+    return '***';
+  }
+}
+
+class EndpointPool {
+  /**
+   * @param {string[]} urls - Endpoints in preference order
+   * @param {object} [options]
+   * @param {number} [options.timeoutMs] - Per-endpoint request timeout
+   * @param {number} [options.demoteAfter] - Consecutive failures before demotion
+   * @param {number} [options.cooldownMs] - How long a demoted endpoint stays demoted
+   * @param {function({url: string, durationMs: number, status?: number, error?: Error}): void} [options.onRequest] -
+   *   Called after every attempt, e.g. to record latency
+   */
+  constructor(urls, options = {}) {
+    this.endpoints = urls.map(url => ({ url, failures: 0, demotedUntil: 0 }));
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.demoteAfter = options.demoteAfter || DEMOTE_AFTER_FAILURES;
+    this.cooldownMs = options.cooldownMs ?? DEMOTE_COOLDOWN_MS;
+    this.onRequest = options.onRequest || null;
+    // Endpoint that served the last successful request
+    this.active = null;
+  }
+
+  get size() {
+    return this.endpoints.length;
+  }
+
+  get primary() {
+    return this.endpoints[0]?.url || null;
+  }
+
+  /**
+   * Endpoints in the order they will be tried: healthy ones in
+   * configured order, then demoted ones (soonest recovery first).
+   * @returns {string[]}
+   */
+  ordered(now = Date.now()) {
+    const healthy = this.endpoints.filter(e => e.demotedUntil <= now);
+    const demoted = this.endpoints
+      .filter(e => e.demotedUntil > now)
+      .sort((a, b) => a.demotedUntil - b.demotedUntil);
+    return [...healthy, ...demoted].map(e => e.url);
+  }
+
+  /**
+   * Send a request, failing over across endpoints.
+   * @param {object} init - fetch() init (method, headers, body)
+   * @param {string} [path] - Path appended to the endpoint URL (REST APIs)
+   * @returns {Promise<Response>} First response that is not a 429/5xx
+   * @throws {Error} If every endpoint failed (`status` set when the last
+   *   one answered with an HTTP error)
+   */
+  async fetch(init = {}, path = '') {
+    if (this.endpoints.length === 0) {
+      throw new Error('No RPC endpoints configured');
+    }
+
+    let lastError = null;
+    for (const url of this.ordered()) {
+      const startedAt = Date.now();
+      let response;
+      try {
+        response = await fetch(path ? url.replace(/\/$/, '') + path : url, {
+          ...init,
+          signal: AbortSignal.timeout(this.timeoutMs),
+        });
+      } catch (error) {
+        lastError = this._requestError(url, error);
+        this.onRequest?.({ url, durationMs: Date.now() - startedAt, error: lastError });
+        this.markFailure(url);
+        continue;
+      }
+      this.onRequest?.({ url, durationMs: Date.now() - startedAt, status: response.status });
+
+      if (response.status === 429 || response.status >= 500) {
+        lastError = new Error(`${redactUrl(url)}: HTTP ${response.status}`);
+        lastError.status = response.status;
+        this.markFailure(url);
+        await response.body?.cancel();
+        continue;
+      }
+
+      this.markSuccess(url);
+      return response;
+    }
+
+    if (this.endpoints.length === 1) {
+      throw lastError;
+    }
+    const error = new Error(`All ${this.endpoints.length} RPC endpoints failed (last: ${lastError.message})`);
+    error.code = lastError.code;
+    error.status = lastError.status;
+    error.cause = lastError;
+    throw error;
+  }
+
+  /**
+   * Describe a failed fetch with the endpoint and a usable error code
+   * (undici reports connection errors as "fetch failed").
+   */
+  _requestError(url, error) {
+    const timedOut = error.name === 'TimeoutError';
+    const reason = timedOut ? `timeout after ${this.timeoutMs}ms` : (error.cause?.code || error.cause?.message || error.message);
+    const wrapped = new Error(`${redactUrl(url)}: ${reason}`);
+    wrapped.code = timedOut ? 'ETIMEDOUT' : error.cause?.code;
+    wrapped.cause = error;
+    return wrapped;
+  }
+
+  markSuccess(url) {
+    const endpoint = this.endpoints.find(e => e.url === url);
+    endpoint.failures = 0;
+    endpoint.demotedUntil = 0;
+    this.active = url;
+  }
+
+  markFailure(url, now = Date.now()) {
+    const endpoint = this.endpoints.find(e => e.url === url);
+    endpoint.failures++;
+    if (endpoint.failures >= this.demoteAfter) {
+      endpoint.demotedUntil = now + this.cooldownMs;
+    }
+  }
+}
+
+module.exports = EndpointPool;
+module.exports.redactUrl = redactUrl;
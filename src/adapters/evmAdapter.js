@@ -4,10 +4,19 @@
  * Handles all EVM-compatible chains (Ethereum, Polygon, Arbitrum, etc.)
  * using ethers.js. The EVM standard ensures consistent behavior across
  * all compatible networks.
+ * 
+ * Token balances are read through Multicall3 `aggregate3` where it is
+ * deployed, so every `balanceOf` for a batch of addresses costs one
+ * `eth_call` per block instead of one per (address, token).
+ * 
+ * Token discovery scans ERC-20 `Transfer` logs to and from the wallet.
+ *
+ * Watch mode's --subscribe listens for `newHeads` on the network's wsUrl.
  */
 
 const { ethers, FetchRequest } = require('ethers');
 const BaseAdapter = require('./baseAdapter');
+const { HistoryUnavailableError } = BaseAdapter;
 
 // Minimal ERC-20 ABI for balance queries
 const ERC20_ABI = [
@@ -16,14 +25,62 @@ const ERC20_ABI = [
   'function symbol() view returns (string)',
 ];
 
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+];
+
+// Same address on almost every EVM chain (networks can override with `multicall3`)
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+// Calls per aggregate3 request, to stay under RPC gas/size limits
+const MULTICALL_BATCH_SIZE = 500;
+
+const erc20Interface = new ethers.Interface(ERC20_ABI);
+
+// Transfer(address indexed from, address indexed to, uint256 value)
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+
+// Blocks per eth_getLogs request, split further when an RPC rejects the range
+const LOG_RANGE_BLOCKS = 2000;
+const MIN_LOG_RANGE_BLOCKS = 50;
+const LOG_RANGE_ERROR = /range|results|limit|exceed|too (large|wide|many)/i;
+
+// Blocks scanned for Transfer logs by default (at least the diff range)
+const DISCOVERY_SCAN_BLOCKS = 10000;
+
 // Default timeout: 30 seconds
 const DEFAULT_TIMEOUT_MS = 30000;
 
+// Errors of full (non-archive) nodes asked for pruned state
+const MISSING_STATE_ERROR = /missing trie node|header not found|historical state|state (is )?(not available|pruned)|pruned|archive/i;
+
+// Node message of a call that reverted without revert data
+const REVERT_ERROR = /execution reverted/i;
+
+/**
+ * Classify a failed read at a block: pruned state becomes a
+ * HistoryUnavailableError, a revert null, and anything else (timeouts,
+ * 429s, connection errors) is rethrown.
+ * ethers reports every JSON-RPC error of eth_call as CALL_EXCEPTION, so
+ * a CALL_EXCEPTION only counts as a revert with revert data or the
+ * node's "execution reverted" message.
+ */
+function classifyReadError(error, blockTag) {
+  const message = error.info?.error?.message || error.message || '';
+  if (MISSING_STATE_ERROR.test(message)) {
+    return new HistoryUnavailableError(`State at block ${blockTag} unavailable: ${message}`);
+  }
+  const reverted = error.code === 'CALL_EXCEPTION' && (error.data != null || REVERT_ERROR.test(message));
+  return reverted ? null : error;
+}
+
 class EVMAdapter extends BaseAdapter {
   constructor(networkConfig, options = {}) {
-    super(networkConfig);
+    super(networkConfig, options);
     this.provider = null;
     this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.multicallAddress = networkConfig.multicall3 || MULTICALL3_ADDRESS;
+    this.multicallCheck = null;
   }
 
   getChainType() {
@@ -31,9 +88,11 @@ class EVMAdapter extends BaseAdapter {
   }
 
   async connect() {
-    // Create FetchRequest with timeout
-    const fetchRequest = new FetchRequest(this.networkConfig.rpcUrl);
-    fetchRequest.timeout = this.timeoutMs;
+    // Requests are sent through the endpoint pool; the overall timeout
+    // leaves room to fail over across every endpoint
+    const fetchRequest = new FetchRequest(this.endpoints.primary);
+    fetchRequest.timeout = this.timeoutMs * this.endpoints.size;
+    fetchRequest.getUrlFunc = (req) => this._send(req);
     
     this.provider = new ethers.JsonRpcProvider(fetchRequest);
     // Verify connection by fetching network
@@ -41,12 +100,38 @@ class EVMAdapter extends BaseAdapter {
     this.connection = this.provider;
   }
 
+  /**
+   * ethers transport: send a prepared request through the endpoint pool.
+   * @param {FetchRequest} req - Request prepared by ethers
+   * @returns {Promise<{statusCode: number, statusMessage: string, headers: object, body: Uint8Array}>}
+   */
+  async _send(req) {
+    const response = await this.endpoints.fetch({
+      method: req.method,
+      headers: req.headers,
+      body: req.body,
+    });
+    return {
+      statusCode: response.status,
+      statusMessage: response.statusText,
+      headers: Object.fromEntries(response.headers),
+      body: new Uint8Array(await response.arrayBuffer()),
+    };
+  }
+
   async getCurrentBlock() {
     return this.provider.getBlockNumber();
   }
 
+  async getBlockTimestamp(block) {
+    const header = await this.provider.getBlock(block);
+    return header.timestamp;
+  }
+
   async getNativeBalance(address, blockTag = 'latest') {
-    const raw = await this.provider.getBalance(address, blockTag);
+    const raw = await this.provider.getBalance(address, blockTag).catch(error => {
+      throw classifyReadError(error, blockTag) || error;
+    });
     return {
       raw,
       formatted: this.formatBalance(raw, 18),
@@ -54,40 +139,245 @@ class EVMAdapter extends BaseAdapter {
     };
   }
 
-  async getTokenBalances(address, tokens) {
-    const results = await Promise.all(
-      tokens.map(token => this._getTokenBalance(address, token))
-    );
-    
-    // Filter out failed fetches and zero balances
-    return results.filter(result => 
-      result !== null && result.raw > 0n
-    );
+  async getTokenBalances(address, tokens, blockTag = 'latest') {
+    const balances = await this.getTokenBalancesForAddresses([address], tokens, blockTag);
+    return balances.get(address);
   }
 
-  async _getTokenBalance(address, tokenConfig) {
-    try {
-      const contract = new ethers.Contract(
-        tokenConfig.address,
-        ERC20_ABI,
-        this.provider
-      );
-      
-      const raw = await contract.balanceOf(address);
-      
-      return {
-        symbol: tokenConfig.symbol,
-        address: tokenConfig.address,
+  /**
+   * Get token balances for several addresses at one block.
+   * @param {string[]} addresses - Wallet addresses
+   * @param {object[]} tokens - Token configurations
+   * @param {number|string} blockTag - Block number or 'latest'
+   * @returns {Promise<Map<string, object[]>>} Non-zero balances by address
+   * @throws {HistoryUnavailableError} If the endpoint cannot serve the block
+   */
+  async getTokenBalancesForAddresses(addresses, tokens, blockTag = 'latest') {
+    const pairs = addresses.flatMap(address => tokens.map(token => ({ address, token })));
+    const raws = await this._getBalancesOf(pairs, blockTag);
+
+    const byAddress = new Map(addresses.map(address => [address, []]));
+    pairs.forEach(({ address, token }, i) => {
+      const raw = raws[i];
+      // Skip reverted calls (no contract at that block) and zero balances
+      if (raw === null || raw === 0n) return;
+      byAddress.get(address).push({
+        symbol: token.symbol,
+        address: token.address,
         raw,
-        formatted: this.formatBalance(raw, tokenConfig.decimals),
-        decimals: tokenConfig.decimals,
-      };
+        formatted: this.formatBalance(raw, token.decimals),
+        decimals: token.decimals,
+        ...(token.discovered && { discovered: true }),
+      });
+    });
+    return byAddress;
+  }
+
+  async getTokenBalanceDiffsForAddresses(addresses, tokens, currentBlock, previousBlock) {
+    let unavailableReason = null;
+    const [current, previous] = await Promise.all([
+      this.getTokenBalancesForAddresses(addresses, tokens, currentBlock),
+      this.getTokenBalancesForAddresses(addresses, tokens, previousBlock).catch(error => {
+        if (!(error instanceof HistoryUnavailableError)) throw error;
+        unavailableReason = error.message;
+        return null;
+      }),
+    ]);
+    return new Map(addresses.map(address => [
+      address,
+      previous === null
+        ? current.get(address).map(token => ({ ...token, previous: null, diff: null, diffUnavailableReason: unavailableReason }))
+        : this._mergeTokenDiffs(current.get(address), previous.get(address)),
+    ]));
+  }
+
+  /**
+   * Discover ERC-20 tokens from Transfer logs to or from the addresses.
+   * Scans the diff range, extended back to at least `scanBlocks` blocks,
+   * then reads symbol() and decimals() for every token found. Contracts
+   * without decimals() (ERC-721 shares the Transfer signature) are skipped.
+   */
+  async discoverTokens(addresses, range, options = {}) {
+    const scanBlocks = options.scanBlocks || DISCOVERY_SCAN_BLOCKS;
+    const toBlock = range.currentBlock;
+    const fromBlock = Math.max(0, Math.min(range.previousBlock, toBlock - scanBlocks + 1));
+    const owners = addresses.map(address => ethers.zeroPadValue(ethers.getAddress(address), 32));
+
+    // Sequential on purpose: public RPCs rate-limit eth_getLogs heavily
+    const tokenAddresses = new Set();
+    for (let start = fromBlock; start <= toBlock; start += LOG_RANGE_BLOCKS) {
+      const end = Math.min(toBlock, start + LOG_RANGE_BLOCKS - 1);
+      for (const topics of [[TRANSFER_TOPIC, owners], [TRANSFER_TOPIC, null, owners]]) {
+        for (const log of await this._getLogs(topics, start, end)) {
+          // ERC-20 Transfer has 3 topics; ERC-721 also indexes the token id
+          if (log.topics.length === 3) {
+            tokenAddresses.add(ethers.getAddress(log.address));
+          }
+        }
+      }
+    }
+
+    return this._getTokenMetadata([...tokenAddresses], toBlock);
+  }
+
+  /**
+   * eth_getLogs over a block range, split in halves when the RPC
+   * rejects the range or result size.
+   */
+  async _getLogs(topics, fromBlock, toBlock) {
+    try {
+      return await this.provider.getLogs({ topics, fromBlock, toBlock });
     } catch (error) {
-      // Token contract might not exist or be inaccessible
+      if (toBlock - fromBlock + 1 <= MIN_LOG_RANGE_BLOCKS || !LOG_RANGE_ERROR.test(error.message)) {
+        throw error;
+      }
+      const mid = Math.floor((fromBlock + toBlock) / 2);
+      return [
+        ...await this._getLogs(topics, fromBlock, mid),
+        ...await this._getLogs(topics, mid + 1, toBlock),
+      ];
+    }
+  }
+
+  /**
+   * Read symbol() and decimals() for token contracts.
+   * @param {string[]} tokenAddresses - Token contract addresses
+   * @param {number|string} blockTag - Block to read at
+   * @returns {Promise<object[]>} Token configs flagged `discovered`
+   */
+  async _getTokenMetadata(tokenAddresses, blockTag = 'latest') {
+    const results = await this._readCalls(tokenAddresses.flatMap(target => [
+      { target, callData: erc20Interface.encodeFunctionData('symbol') },
+      { target, callData: erc20Interface.encodeFunctionData('decimals') },
+    ]), blockTag);
+
+    const tokens = [];
+    tokenAddresses.forEach((address, i) => {
+      const decimals = this._decode('decimals', results[i * 2 + 1]);
+      if (decimals === null) return;
+      tokens.push({
+        symbol: this._decodeSymbol(results[i * 2]) || `${address.slice(0, 6)}…${address.slice(-4)}`,
+        address,
+        decimals: Number(decimals),
+        discovered: true,
+      });
+    });
+    return tokens;
+  }
+
+  /**
+   * Decode a symbol() result. Some early tokens (MKR, SAI) return
+   * bytes32 instead of a string.
+   */
+  _decodeSymbol(returnData) {
+    const symbol = this._decode('symbol', returnData);
+    if (symbol !== null) {
+      return symbol;
+    }
+    try {
+      return ethers.decodeBytes32String(returnData);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Read `balanceOf` for each (address, token) pair.
+   * @returns {Promise<(bigint|null)[]>} Raw balances, null where the call failed
+   */
+  async _getBalancesOf(pairs, blockTag) {
+    const results = await this._readCalls(pairs.map(({ address, token }) => ({
+      target: token.address,
+      callData: erc20Interface.encodeFunctionData('balanceOf', [address]),
+    })), blockTag);
+    return results.map(returnData => this._decode('balanceOf', returnData));
+  }
+
+  /**
+   * Run read-only calls at one block.
+   * Uses Multicall3 when available and falls back to individual calls
+   * only when Multicall3 itself is unusable there (the aggregate call
+   * reverts or returns nothing, e.g. before its deployment).
+   * @param {{target: string, callData: string}[]} calls
+   * @param {number|string} blockTag - Block number or 'latest'
+   * @returns {Promise<(string|null)[]>} Return data, null where the call reverted
+   * @throws {HistoryUnavailableError} If the endpoint cannot serve the block
+   * @throws {Error} On transport errors (timeouts, 429s), so they are not
+   *   mistaken for a zero balance
+   */
+  async _readCalls(calls, blockTag) {
+    if (calls.length > 0 && await this._hasMulticall()) {
+      try {
+        const chunks = [];
+        for (let i = 0; i < calls.length; i += MULTICALL_BATCH_SIZE) {
+          chunks.push(calls.slice(i, i + MULTICALL_BATCH_SIZE));
+        }
+        const results = await Promise.all(chunks.map(chunk => this._multicall(chunk, blockTag)));
+        return results.flat();
+      } catch (error) {
+        // Retrying a 429 or pruned state once per token would not help
+        const classified = error.code === 'BAD_DATA' ? null : classifyReadError(error, blockTag);
+        if (classified) throw classified;
+        // Fall back to individual calls below
+      }
+    }
+
+    return Promise.all(calls.map(({ target, callData }) =>
+      // A revert means no token contract there (yet); other errors propagate
+      this.provider.call({ to: target, data: callData, blockTag }).catch(error => {
+        const classified = classifyReadError(error, blockTag);
+        if (classified) throw classified;
+        return null;
+      })
+    ));
+  }
+
+  async _multicall(calls, blockTag) {
+    const multicall = new ethers.Contract(this.multicallAddress, MULTICALL3_ABI, this.provider);
+
+    // aggregate3 is payable, so force an eth_call
+    const results = await multicall.aggregate3.staticCall(
+      calls.map(call => ({ ...call, allowFailure: true })),
+      { blockTag }
+    );
+
+    return results.map(({ success, returnData }) => success ? returnData : null);
+  }
+
+  /**
+   * Decode an ERC-20 call result.
+   * @returns {*} Decoded value, or null for failed calls and empty
+   *   return data (no contract at the address)
+   */
+  _decode(functionName, returnData) {
+    if (returnData === null) return null;
+    try {
+      return erc20Interface.decodeFunctionResult(functionName, returnData)[0];
+    } catch {
       return null;
     }
   }
 
+  /**
+   * Whether Multicall3 is deployed on this chain (checked once).
+   * @returns {Promise<boolean>}
+   */
+  _hasMulticall() {
+    if (!this.multicallCheck) {
+      this.multicallCheck = this.provider.getCode(this.multicallAddress)
+        .then(code => code !== '0x', () => false);
+    }
+    return this.multicallCheck;
+  }
+
+  /**
+   * New blocks via `eth_subscribe`; EVM nodes have no per-account feed
+   * for native balances.
+   */
+  getSubscriptions() {
+    return [{ method: 'eth_subscribe', params: ['newHeads'], notification: 'eth_subscription', kind: 'block' }];
+  }
+
   isValidAddress(address) {
     try {
       ethers.getAddress(address);
@@ -97,6 +387,11 @@ class EVMAdapter extends BaseAdapter {
     }
   }
 
+  normalizeAddress(address) {
+    // Checksum casing is optional
+    return address.toLowerCase();
+  }
+
   formatBalance(raw, decimals = 18) {
     const formatted = ethers.formatUnits(raw, decimals);
     // Trim trailing zeros but keep reasonable precision
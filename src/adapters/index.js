@@ -13,6 +13,10 @@
 const EVMAdapter = require('./evmAdapter');
 const SolanaAdapter = require('./solanaAdapter');
 const TonAdapter = require('./tonAdapter');
+const BitcoinAdapter = require('./bitcoinAdapter');
+const CosmosAdapter = require('./cosmosAdapter');
+const TronAdapter = require('./tronAdapter');
+const { HistoryUnavailableError } = require('./baseAdapter');
 
 /**
  * Chain type to adapter class mapping.
@@ -21,6 +25,9 @@ const ADAPTER_MAP = {
   evm: EVMAdapter,
   solana: SolanaAdapter,
   ton: TonAdapter,
+  bitcoin: BitcoinAdapter,
+  cosmos: CosmosAdapter,
+  tron: TronAdapter,
 };
 
 /**
@@ -72,6 +79,10 @@ module.exports = {
   EVMAdapter,
   SolanaAdapter,
   TonAdapter,
+  BitcoinAdapter,
+  CosmosAdapter,
+  TronAdapter,
+  HistoryUnavailableError,
 };
 
 
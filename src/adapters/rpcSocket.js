@@ -0,0 +1,195 @@
+/**
+ * JSON-RPC over WebSocket
+ *
+ * Carries the subscriptions behind watch mode's --subscribe
+ * (eth_subscribe, Solana accountSubscribe/slotSubscribe, the TON API
+ * streaming methods). One small client instead of each SDK's socket
+ * provider, so every chain gets the same open timeout and close
+ * handling. Notifications are dispatched by their JSON-RPC method, which
+ * also covers APIs that do not echo a subscription id.
+ *
+ * A half-open connection never closes by itself, so the socket is pinged
+ * and dropped (reported like any lost connection) when nothing comes back
+ * before the next ping.
+ */
+
+const WebSocket = require('ws');
+const { redactUrl } = require('./endpointPool');
+
+// Default timeout for opening the socket and for each request: 30 seconds
+const DEFAULT_TIMEOUT_MS = 30000;
+
+class RpcSocket {
+  /**
+   * @param {string} url - ws:// or wss:// endpoint
+   * @param {object} [options]
+   * @param {number} [options.timeoutMs] - Open and request timeout
+   * @param {number} [options.pingIntervalMs] - Heartbeat interval; defaults
+   *   to the timeout
+   */
+  constructor(url, options = {}) {
+    this.url = url;
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.pingIntervalMs = options.pingIntervalMs || this.timeoutMs;
+    this.heartbeat = null;
+    this.stalled = false;
+    this.socket = null;
+    this.nextId = 1;
+    // Request id → { resolve, reject, timer }
+    this.pending = new Map();
+    // Notification method → handler
+    this.handlers = new Map();
+    this.closeHandler = null;
+    this.closing = false;
+  }
+
+  /**
+   * Endpoint with credentials redacted, for display.
+   * @returns {string}
+   */
+  get endpoint() {
+    return redactUrl(this.url);
+  }
+
+  /**
+   * Open the connection.
+   * @returns {Promise<void>}
+   * @throws {Error} If the endpoint cannot be reached in time
+   */
+  open() {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(this.url, { handshakeTimeout: this.timeoutMs });
+      let opened = false;
+
+      socket.on('open', () => {
+        opened = true;
+        this.socket = socket;
+        this._startHeartbeat(socket);
+        resolve();
+      });
+      // After opening, errors are followed by 'close', handled there
+      socket.on('error', (error) => {
+        if (!opened) {
+          reject(new Error(`${this.endpoint}: ${error.message}`));
+        }
+      });
+      socket.on('message', (data) => this._onMessage(data));
+      socket.on('close', () => {
+        if (opened) {
+          this._onClose();
+        }
+      });
+    });
+  }
+
+  /**
+   * Send a request and wait for its result.
+   * @param {string} method - JSON-RPC method
+   * @param {any[]} [params] - Parameters
+   * @returns {Promise<any>} Result
+   * @throws {Error} On an error response, a timeout or a closed socket
+   */
+  request(method, params = []) {
+    if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+      return Promise.reject(new Error(`${this.endpoint}: WebSocket is not open`));
+    }
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`${this.endpoint}: ${method} timed out after ${this.timeoutMs}ms`));
+      }, this.timeoutMs);
+      this.pending.set(id, { resolve, reject, timer });
+      this.socket.send(JSON.stringify({ jsonrpc: '2.0', id, method, params }));
+    });
+  }
+
+  /**
+   * Handle notifications with a JSON-RPC method.
+   * @param {string} method - Notification method, e.g. 'eth_subscription'
+   * @param {function(any): void} handler - Called with the notification params
+   */
+  onNotification(method, handler) {
+    this.handlers.set(method, handler);
+  }
+
+  /**
+   * Handle the connection being lost (not called after close()).
+   * @param {function(Error): void} handler
+   */
+  onClose(handler) {
+    this.closeHandler = handler;
+  }
+
+  close() {
+    this.closing = true;
+    this.socket?.close();
+  }
+
+  _onMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch {
+      // Not JSON-RPC (e.g. a keepalive text frame)
+      return;
+    }
+
+    const request = message.id != null ? this.pending.get(message.id) : null;
+    if (request) {
+      this.pending.delete(message.id);
+      clearTimeout(request.timer);
+      if (message.error) {
+        request.reject(new Error(message.error.message || JSON.stringify(message.error)));
+      } else {
+        request.resolve(message.result);
+      }
+      return;
+    }
+
+    this.handlers.get(message.method)?.(message.params);
+  }
+
+  /**
+   * Ping on every interval; a socket that answered nothing (no pong, no
+   * message) since the previous ping is terminated.
+   * @param {WebSocket} socket - Open socket
+   */
+  _startHeartbeat(socket) {
+    let alive = true;
+    const markAlive = () => { alive = true; };
+    socket.on('pong', markAlive);
+    socket.on('message', markAlive);
+
+    this.heartbeat = setInterval(() => {
+      if (!alive) {
+        this.stalled = true;
+        socket.terminate();
+        return;
+      }
+      alive = false;
+      socket.ping();
+    }, this.pingIntervalMs);
+  }
+
+  _onClose() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+    const error = new Error(this.stalled
+      ? `${this.endpoint}: WebSocket stopped responding (no pong within ${this.pingIntervalMs}ms)`
+      : `${this.endpoint}: WebSocket closed`);
+    for (const { reject, timer } of this.pending.values()) {
+      clearTimeout(timer);
+      reject(error);
+    }
+    this.pending.clear();
+    this.socket = null;
+
+    if (!this.closing) {
+      this.closeHandler?.(error);
+    }
+  }
+}
+
+module.exports = RpcSocket;
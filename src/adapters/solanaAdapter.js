@@ -3,9 +3,22 @@
  * 
  * Handles Solana blockchain and SPL tokens, including:
  * - Native SOL balance
- * - SPL token balances (HNT, MOBILE, IOT for Helium ecosystem)
+ * - SPL token balances (HNT, MOBILE, IOT for Helium ecosystem), under
+ *   both the legacy Token program and Token-2022 (PYUSD)
+ * - Historical balances reconstructed from transaction history
+ * - Token discovery from the wallet's token accounts
  * 
  * Uses @solana/web3.js for RPC communication.
+ * 
+ * Solana RPC nodes only serve current account state, so a balance at a
+ * past slot is rebuilt from the account's transactions: the balance at
+ * slot S equals the pre-balance of the first transaction after S (or the
+ * current balance if the account has not been touched since S). Token
+ * accounts closed since S no longer show up under the wallet, so they are
+ * found from the wallet's own transactions.
+ *
+ * Watch mode's --subscribe listens for changes to the wallet accounts
+ * (`accountSubscribe`) and for new slots (`slotSubscribe`).
  */
 
 const { 
@@ -14,51 +27,45 @@ const {
   LAMPORTS_PER_SOL,
 } = require('@solana/web3.js');
 const BaseAdapter = require('./baseAdapter');
+const { HistoryUnavailableError } = BaseAdapter;
 
-// SPL Token Program ID
+// SPL Token Program IDs, keyed by the `program` token config flag
 const TOKEN_PROGRAM_ID = new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
+const TOKEN_2022_PROGRAM_ID = new PublicKey('TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb');
+const TOKEN_PROGRAMS = {
+  spl: TOKEN_PROGRAM_ID,
+  'token-2022': TOKEN_2022_PROGRAM_ID,
+};
+
+// getSignaturesForAddress page size (RPC maximum) and how many pages
+// to walk before giving up on reconstructing history
+const SIGNATURE_PAGE_SIZE = 1000;
+const MAX_SIGNATURE_PAGES = 10;
+
+// Wallet transactions to read when looking for token accounts closed
+// since the target slot; beyond this the past token balances are unknown
+const MAX_CLOSED_ACCOUNT_SCAN = 100;
 
-// Default timeout: 30 seconds
-const DEFAULT_TIMEOUT_MS = 30000;
+// Consecutive skipped slots to step over when looking up a slot's time
+const MAX_SKIPPED_SLOTS = 20;
 
 class SolanaAdapter extends BaseAdapter {
   constructor(networkConfig, options = {}) {
-    super(networkConfig);
+    super(networkConfig, options);
     this.conn = null;
-    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
   }
 
   getChainType() {
     return 'solana';
   }
 
-  /**
-   * Create a fetch function with timeout support.
-   */
-  _createFetchWithTimeout() {
-    const timeoutMs = this.timeoutMs;
-    return async (url, options) => {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-      
-      try {
-        const response = await fetch(url, {
-          ...options,
-          signal: controller.signal,
-        });
-        return response;
-      } finally {
-        clearTimeout(timeoutId);
-      }
-    };
-  }
-
   async connect() {
     this.conn = new Connection(
-      this.networkConfig.rpcUrl,
+      this.endpoints.primary,
       { 
         commitment: 'confirmed',
-        fetch: this._createFetchWithTimeout(),
+        // Route every request through the endpoint pool (failover + timeout)
+        fetch: (url, options) => this.endpoints.fetch(options),
       }
     );
     // Verify connection
@@ -71,6 +78,26 @@ class SolanaAdapter extends BaseAdapter {
     return this.conn.getSlot();
   }
 
+  /**
+   * Skipped slots have no block, so the time of the next produced
+   * slot is used instead.
+   */
+  async getBlockTimestamp(slot) {
+    for (let candidate = slot; candidate <= slot + MAX_SKIPPED_SLOTS; candidate++) {
+      try {
+        const time = await this.conn.getBlockTime(candidate);
+        if (time !== null) {
+          return time;
+        }
+      } catch (error) {
+        if (!/skipped/i.test(error.message)) {
+          throw error;
+        }
+      }
+    }
+    throw new HistoryUnavailableError(`No block time available near slot ${slot}`);
+  }
+
   async getNativeBalance(address, slotTag = 'latest') {
     const pubkey = new PublicKey(address);
     
@@ -78,18 +105,11 @@ class SolanaAdapter extends BaseAdapter {
     if (slotTag === 'latest') {
       raw = await this.conn.getBalance(pubkey);
     } else {
-      // Historical balance query with specific slot
-      // Note: Many RPC nodes don't support historical queries
-      // We use getBalanceAndContext for better reliability
-      try {
-        const result = await this.conn.getBalance(pubkey, {
-          minContextSlot: slotTag,
-        });
-        raw = result;
-      } catch (error) {
-        // Fallback to current if historical not supported
-        raw = await this.conn.getBalance(pubkey);
-      }
+      // Reconstruct from history (throws HistoryUnavailableError)
+      const tx = await this._findFirstTransactionAfterSlot(pubkey, slotTag);
+      raw = tx
+        ? tx.meta.preBalances[this._accountIndex(tx, pubkey)]
+        : await this.conn.getBalance(pubkey);
     }
 
     return {
@@ -99,56 +119,267 @@ class SolanaAdapter extends BaseAdapter {
     };
   }
 
-  async getTokenBalances(address, tokens) {
+  async getTokenBalances(address, tokens, slotTag = 'latest') {
     const pubkey = new PublicKey(address);
     
-    try {
-      // Fetch all token accounts for this wallet
-      const tokenAccounts = await this.conn.getParsedTokenAccountsByOwner(
-        pubkey,
-        { programId: TOKEN_PROGRAM_ID }
-      );
+    // Fetch all token accounts for this wallet under each program
+    // (current state only; past amounts are reconstructed per token
+    // account below). Errors propagate: an empty list at one end of the
+    // range would read as every token moving
+    const programs = this._tokenProgramsFor(tokens);
+    const accountsByProgram = await Promise.all(programs.map(programId =>
+      this.conn.getParsedTokenAccountsByOwner(pubkey, { programId })
+    ));
 
-      // Build lookup map from mint address to our token config
-      const tokenLookup = new Map();
-      for (const token of tokens) {
-        // Solana tokens use 'mint' instead of 'address'
-        const mintAddress = token.mint || token.address;
-        if (mintAddress) {
-          tokenLookup.set(mintAddress, token);
-        }
+    // Build lookup map from mint address to our token config
+    const tokenLookup = new Map();
+    for (const token of tokens) {
+      // Solana tokens use 'mint' instead of 'address'
+      const mintAddress = token.mint || token.address;
+      if (mintAddress) {
+        tokenLookup.set(mintAddress, token);
       }
+    }
 
-      // Process token accounts
-      const results = [];
-      for (const { account } of tokenAccounts.value) {
+    // Sum token accounts per mint (a wallet can hold several)
+    const byMint = new Map();
+    for (const { value } of accountsByProgram) {
+      for (const { pubkey: tokenAccount, account } of value) {
         const parsed = account.data.parsed?.info;
         if (!parsed) continue;
 
         const mint = parsed.mint;
         const tokenConfig = tokenLookup.get(mint);
-        
-        if (tokenConfig) {
-          const amount = parsed.tokenAmount;
-          const raw = BigInt(amount.amount);
-          
-          if (raw > 0n) {
-            results.push({
-              symbol: tokenConfig.symbol,
-              mint: mint,
-              raw,
-              formatted: amount.uiAmountString || this.formatBalance(raw, amount.decimals),
-              decimals: amount.decimals,
-            });
-          }
+        if (!tokenConfig) continue;
+
+        const amount = parsed.tokenAmount;
+        const raw = slotTag === 'latest'
+          ? BigInt(amount.amount)
+          : await this._getTokenAmountAtSlot(tokenAccount, BigInt(amount.amount), slotTag);
+
+        const entry = byMint.get(mint) || { tokenConfig, decimals: amount.decimals, raw: 0n };
+        entry.raw += raw;
+        byMint.set(mint, entry);
+      }
+    }
+
+    // Accounts emptied and closed since the slot held tokens back then
+    if (slotTag !== 'latest' && tokenLookup.size > 0) {
+      const open = new Set(accountsByProgram.flatMap(({ value }) => value.map(({ pubkey: account }) => account.toBase58())));
+      const closed = await this._findClosedTokenAccounts(pubkey, tokenLookup, open, slotTag);
+      for (const { tokenAccount, mint, decimals } of closed) {
+        const raw = await this._getTokenAmountAtSlot(tokenAccount, 0n, slotTag);
+        const entry = byMint.get(mint) || { tokenConfig: tokenLookup.get(mint), decimals, raw: 0n };
+        entry.raw += raw;
+        byMint.set(mint, entry);
+      }
+    }
+
+    const results = [];
+    for (const [mint, { tokenConfig, decimals, raw }] of byMint) {
+      if (raw > 0n) {
+        results.push({
+          symbol: tokenConfig.symbol,
+          mint,
+          raw,
+          formatted: this.formatBalance(raw, decimals),
+          decimals,
+          ...(tokenConfig.discovered && { discovered: true }),
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Discover every mint the addresses hold a token account for, under
+   * both token programs. Mints have no on-chain symbol, so discovered
+   * tokens are labelled with the shortened mint address. Closed token
+   * accounts are not found.
+   */
+  async discoverTokens(addresses, range, options = {}) {
+    const byMint = new Map();
+    for (const address of addresses) {
+      const owner = new PublicKey(address);
+      for (const [program, programId] of Object.entries(TOKEN_PROGRAMS)) {
+        const { value } = await this.conn.getParsedTokenAccountsByOwner(owner, { programId });
+        for (const { account } of value) {
+          const parsed = account.data.parsed?.info;
+          if (!parsed || byMint.has(parsed.mint)) continue;
+          byMint.set(parsed.mint, {
+            symbol: `${parsed.mint.slice(0, 4)}…${parsed.mint.slice(-4)}`,
+            mint: parsed.mint,
+            decimals: parsed.tokenAmount.decimals,
+            program,
+            discovered: true,
+          });
+        }
+      }
+    }
+    return [...byMint.values()];
+  }
+
+  /**
+   * Token programs to query. Only the programs named by the tokens'
+   * `program` flags when every token has one, otherwise both.
+   * @param {object[]} tokens - Token configurations
+   * @returns {PublicKey[]}
+   */
+  _tokenProgramsFor(tokens) {
+    for (const token of tokens) {
+      if (token.program && !TOKEN_PROGRAMS[token.program]) {
+        throw new Error(`Unknown token program for ${token.symbol}: ${token.program}`);
+      }
+    }
+    if (tokens.length === 0 || tokens.some(token => !token.program)) {
+      return Object.values(TOKEN_PROGRAMS);
+    }
+    return [...new Set(tokens.map(token => token.program))].map(name => TOKEN_PROGRAMS[name]);
+  }
+
+  /**
+   * Reconstruct a token account's amount at a past slot.
+   * @param {PublicKey} tokenAccount - SPL token account
+   * @param {bigint} currentAmount - Current raw amount
+   * @param {number} slot - Target slot
+   * @returns {Promise<bigint>}
+   */
+  async _getTokenAmountAtSlot(tokenAccount, currentAmount, slot) {
+    const tx = await this._findFirstTransactionAfterSlot(tokenAccount, slot);
+    if (!tx) {
+      return currentAmount;
+    }
+    
+    // No pre-balance entry means the account did not exist yet
+    const index = this._accountIndex(tx, tokenAccount);
+    const pre = tx.meta.preTokenBalances?.find(b => b.accountIndex === index);
+    return pre ? BigInt(pre.uiTokenAmount.amount) : 0n;
+  }
+
+  /**
+   * Find the wallet's token accounts for the configured mints that were
+   * closed after `slot`. Closing an account takes the owner's signature,
+   * so they show up in the token balances of the wallet's transactions.
+   * @param {PublicKey} owner - Wallet address
+   * @param {Map<string, object>} tokenLookup - Token configs by mint
+   * @param {Set<string>} open - Token accounts that still exist
+   * @param {number} slot - Target slot
+   * @returns {Promise<{tokenAccount: PublicKey, mint: string, decimals: number}[]>}
+   * @throws {HistoryUnavailableError} If the wallet has too many
+   *   transactions since `slot` to read them all
+   */
+  async _findClosedTokenAccounts(owner, tokenLookup, open, slot) {
+    // Failed transactions cannot close an account
+    const signatures = (await this._signaturesAfterSlot(owner, slot)).filter(info => !info.err);
+    if (signatures.length > MAX_CLOSED_ACCOUNT_SCAN) {
+      throw new HistoryUnavailableError(
+        `More than ${MAX_CLOSED_ACCOUNT_SCAN} transactions since slot ${slot} to check for closed token accounts`
+      );
+    }
+
+    const closed = new Map();
+    for (const { signature } of signatures) {
+      const tx = await this._getParsedTransaction(signature);
+      const balances = [...(tx.meta.preTokenBalances || []), ...(tx.meta.postTokenBalances || [])];
+      for (const { accountIndex, mint, owner: accountOwner, uiTokenAmount } of balances) {
+        const tokenAccount = tx.transaction.message.accountKeys[accountIndex].pubkey;
+        const key = tokenAccount.toBase58();
+        if (accountOwner !== owner.toBase58() || !tokenLookup.has(mint) || open.has(key) || closed.has(key)) {
+          continue;
         }
+        closed.set(key, { tokenAccount, mint, decimals: uiTokenAmount.decimals });
       }
+    }
+    return [...closed.values()];
+  }
 
-      return results;
-    } catch (error) {
-      console.warn(`Warning: Could not fetch SPL tokens: ${error.message}`);
-      return [];
+  /**
+   * Find the oldest transaction touching an account that landed after `slot`.
+   * @param {PublicKey} pubkey - Account to inspect
+   * @param {number} slot - Target slot
+   * @returns {Promise<object|null>} Parsed transaction, or null if the
+   *   account has not changed since `slot`
+   * @throws {HistoryUnavailableError} If the history is too long or pruned
+   */
+  async _findFirstTransactionAfterSlot(pubkey, slot) {
+    const signatures = await this._signaturesAfterSlot(pubkey, slot);
+    return signatures.length > 0
+      ? this._getParsedTransaction(signatures[signatures.length - 1].signature)
+      : null;
+  }
+
+  /**
+   * Signatures of the transactions touching an account after `slot`,
+   * newest first. Walks getSignaturesForAddress from newest to oldest
+   * until a signature at or before `slot` is seen.
+   * @param {PublicKey} pubkey - Account to inspect
+   * @param {number} slot - Target slot
+   * @returns {Promise<object[]>} Signature infos
+   * @throws {HistoryUnavailableError} If the history is too long
+   */
+  async _signaturesAfterSlot(pubkey, slot) {
+    const after = [];
+    let before;
+
+    for (let page = 0; page < MAX_SIGNATURE_PAGES; page++) {
+      const signatures = await this.conn.getSignaturesForAddress(pubkey, {
+        before,
+        limit: SIGNATURE_PAGE_SIZE,
+      });
+
+      for (const info of signatures) {
+        if (info.slot <= slot) {
+          return after;
+        }
+        after.push(info);
+      }
+
+      // Reached the account's first transaction
+      if (signatures.length < SIGNATURE_PAGE_SIZE) {
+        return after;
+      }
+      before = signatures[signatures.length - 1].signature;
     }
+
+    throw new HistoryUnavailableError(
+      `More than ${MAX_SIGNATURE_PAGES * SIGNATURE_PAGE_SIZE} transactions since slot ${slot}`
+    );
+  }
+
+  async _getParsedTransaction(signature) {
+    const tx = await this.conn.getParsedTransaction(signature, {
+      maxSupportedTransactionVersion: 0,
+      commitment: 'confirmed',
+    });
+    if (!tx || !tx.meta) {
+      throw new HistoryUnavailableError(`Transaction ${signature} is not available from this RPC`);
+    }
+    return tx;
+  }
+
+  _accountIndex(tx, pubkey) {
+    const index = tx.transaction.message.accountKeys.findIndex(key => key.pubkey.equals(pubkey));
+    if (index === -1) {
+      throw new HistoryUnavailableError(`Account ${pubkey.toBase58()} not found in transaction`);
+    }
+    return index;
+  }
+
+  /**
+   * Changes to each wallet account, plus new slots so token accounts and
+   * sliding time windows are re-checked too.
+   */
+  getSubscriptions(addresses) {
+    return [
+      ...addresses.map(address => ({
+        method: 'accountSubscribe',
+        params: [address, { commitment: 'confirmed', encoding: 'base64' }],
+        notification: 'accountNotification',
+        kind: 'account',
+      })),
+      { method: 'slotSubscribe', params: [], notification: 'slotNotification', kind: 'block' },
+    ];
   }
 
   isValidAddress(address) {
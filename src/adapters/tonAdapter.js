@@ -1,21 +1,44 @@
 /**
  * TON (The Open Network) Adapter
  * 
- * Handles TON blockchain balance queries.
- * Uses @ton/ton SDK for RPC communication.
+ * Handles TON blockchain balance queries, including:
+ * - Native TON balance
+ * - Jetton balances (USDT, NOT, etc.) via the owner's jetton wallet
+ * - Historical balances at a masterchain seqno
+ * 
+ * Uses @ton/ton SDK for RPC communication. Historical reads go straight
+ * to the toncenter v2 JSON-RPC methods with a `seqno` parameter, which
+ * needs an endpoint backed by an archive node. Endpoints that cannot
+ * serve that state make the diff unavailable rather than zero.
+ *
+ * toncenter's v2 API has no push updates. For watch mode's --subscribe,
+ * wsUrl points at a TON API streaming endpoint (tonapi.io
+ * /v2/websocket), which reports transactions of the wallets (jetton
+ * transfers notify the owner too) and new masterchain blocks.
  */
 
-const { TonClient, Address, fromNano } = require('@ton/ton');
+const { TonClient, Address, fromNano, JettonMaster, JettonWallet } = require('@ton/ton');
 const BaseAdapter = require('./baseAdapter');
+const { HistoryUnavailableError } = BaseAdapter;
+
+// Masterchain block id fields for toncenter block methods
+const MASTERCHAIN = { workchain: -1, shard: '-9223372036854775808' };
 
 // Default timeout: 30 seconds
 const DEFAULT_TIMEOUT_MS = 30000;
 
+// Get-method failures of a contract that is not deployed (TonClient
+// reports the exit code, toncenter an uninitialized account)
+const NOT_DEPLOYED_ERROR = /Got exit_code|not (initialized|inited|deployed)/i;
+
 class TonAdapter extends BaseAdapter {
   constructor(networkConfig, options = {}) {
-    super(networkConfig);
+    super(networkConfig, options);
     this.client = null;
+    this.lastSeqno = null;
     this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    // Jetton wallet addresses are deterministic per (master, owner)
+    this.jettonWalletCache = new Map();
   }
 
   getChainType() {
@@ -24,8 +47,10 @@ class TonAdapter extends BaseAdapter {
 
   async connect() {
     this.client = new TonClient({
-      endpoint: this.networkConfig.rpcUrl,
+      endpoint: this.endpoints.primary,
       timeout: this.timeoutMs,
+      // Route every request through the endpoint pool (failover + timeout)
+      httpAdapter: (config) => this._axiosAdapter(config),
     });
     // Verify connection by getting masterchain info
     await this.client.getMasterchainInfo();
@@ -34,15 +59,43 @@ class TonAdapter extends BaseAdapter {
 
   async getCurrentBlock() {
     const info = await this.client.getMasterchainInfo();
-    return info.last.seqno;
+    this.lastSeqno = info.latestSeqno;
+    return this.lastSeqno;
+  }
+
+  async getBlockTimestamp(seqno) {
+    const header = await this._call('getBlockHeader', { ...MASTERCHAIN, seqno });
+    return header.gen_utime;
+  }
+
+  /**
+   * toncenter looks up masterchain blocks by time directly, so no
+   * search is needed.
+   */
+  async findBlockByTimestamp(timestamp, latestBlock, latestTimestamp) {
+    if (timestamp >= latestTimestamp) {
+      return latestBlock;
+    }
+    const block = await this._call('lookupBlock', { ...MASTERCHAIN, unixtime: timestamp });
+    // Step back if the lookup returned the first block after the timestamp
+    const time = await this.getBlockTimestamp(block.seqno);
+    return time > timestamp ? Math.max(0, block.seqno - 1) : block.seqno;
   }
 
   async getNativeBalance(address, blockTag = 'latest') {
     const addr = Address.parse(address);
     
-    // TON doesn't easily support historical balance queries via standard API
-    // We fetch current balance
-    const balance = await this.client.getBalance(addr);
+    let balance;
+    if (this._isLatest(blockTag)) {
+      balance = await this.client.getBalance(addr);
+    } else {
+      // Account state at a past masterchain block
+      const info = await this._getStateAt('getAddressInformation', {
+        address: addr.toString(),
+        seqno: blockTag,
+      });
+      balance = BigInt(info.balance);
+    }
     
     return {
       raw: balance,
@@ -51,11 +104,173 @@ class TonAdapter extends BaseAdapter {
     };
   }
 
-  async getTokenBalances(address, tokens) {
-    // TON Jettons (tokens) require parsing wallet contract state
-    // This is more complex than EVM - simplified implementation
-    // Returns empty for now, can be extended later
-    return [];
+  async getTokenBalances(address, tokens, blockTag = 'latest') {
+    const owner = Address.parse(address);
+    
+    // Sequential on purpose: public toncenter endpoints allow ~1 req/s
+    // without an API key, and each jetton needs several get-method calls
+    const results = [];
+    for (const token of tokens) {
+      results.push(await this._getJettonBalance(owner, token, blockTag));
+    }
+    
+    // Filter out jettons without a contract and zero balances
+    return results.filter(result =>
+      result !== null && result.raw > 0n
+    );
+  }
+
+  async _getJettonBalance(owner, tokenConfig, blockTag = 'latest') {
+    try {
+      const walletAddress = await this._getJettonWalletAddress(owner, tokenConfig.master);
+      
+      const raw = this._isLatest(blockTag)
+        // JettonWallet.getBalance returns 0 for undeployed wallets
+        ? await this.client.open(JettonWallet.create(walletAddress)).getBalance()
+        : await this._getJettonBalanceAt(walletAddress, blockTag);
+      
+      return {
+        symbol: tokenConfig.symbol,
+        master: tokenConfig.master,
+        wallet: walletAddress.toString(),
+        raw,
+        formatted: this.formatBalance(raw, tokenConfig.decimals),
+        decimals: tokenConfig.decimals,
+      };
+    } catch (error) {
+      // Only a master that is not deployed means no jetton; a 429 or a
+      // missing past balance would produce a fake diff, so surface them
+      if (!(error instanceof HistoryUnavailableError) && NOT_DEPLOYED_ERROR.test(error.message)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read a jetton wallet balance at a past masterchain block.
+   * A non-zero exit code means the wallet was not deployed yet.
+   */
+  async _getJettonBalanceAt(walletAddress, seqno) {
+    const result = await this._getStateAt('runGetMethod', {
+      address: walletAddress.toString(),
+      method: 'get_wallet_data',
+      stack: [],
+      seqno,
+    });
+    if (result.exit_code !== 0) {
+      return 0n;
+    }
+    // First stack entry is the balance: ['num', '0x...']
+    return BigInt(result.stack[0][1]);
+  }
+
+  /**
+   * The current seqno is served from the latest state, which also works on
+   * endpoints without archive access.
+   */
+  _isLatest(blockTag) {
+    return blockTag === 'latest' || blockTag === this.lastSeqno;
+  }
+
+  /**
+   * Call a toncenter v2 method pinned to a masterchain seqno.
+   * Endpoints that ignore or reject `seqno` cannot serve historical state;
+   * both cases throw HistoryUnavailableError.
+   * @param {string} method - JSON-RPC method name
+   * @param {object} params - Method params including `seqno`
+   * @returns {Promise<object>} Method result
+   */
+  async _getStateAt(method, params) {
+    let result;
+    try {
+      result = await this._call(method, params);
+    } catch (error) {
+      throw new HistoryUnavailableError(`State at seqno ${params.seqno} unavailable: ${error.message}`);
+    }
+    
+    // Guard against endpoints that silently return the latest state
+    if (result.block_id?.seqno !== params.seqno) {
+      throw new HistoryUnavailableError(
+        `Endpoint does not serve state at seqno ${params.seqno}`
+      );
+    }
+    
+    return result;
+  }
+
+  /**
+   * Call a toncenter v2 JSON-RPC method directly, for methods the
+   * TonClient does not expose.
+   * @param {string} method - JSON-RPC method name
+   * @param {object} params - Method params
+   * @returns {Promise<object>} Method result
+   */
+  async _call(method, params) {
+    const response = await this.endpoints.fetch({
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ id: '1', jsonrpc: '2.0', method, params }),
+    });
+    const body = await response.json();
+    if (!body.ok) {
+      throw new Error(body.error || `${method} failed`);
+    }
+    return body.result;
+  }
+
+  /**
+   * Axios adapter for TonClient, which posts JSON-RPC bodies via axios.
+   * @param {object} config - Axios request config
+   * @returns {Promise<object>} Axios-shaped response
+   */
+  async _axiosAdapter(config) {
+    const headers = typeof config.headers?.toJSON === 'function' ? config.headers.toJSON() : config.headers;
+    const response = await this.endpoints.fetch({
+      method: (config.method || 'post').toUpperCase(),
+      headers,
+      body: config.data,
+    });
+    return {
+      data: await response.json(),
+      status: response.status,
+      statusText: response.statusText,
+      headers: Object.fromEntries(response.headers),
+      config,
+      request: {},
+    };
+  }
+
+  /**
+   * Derive the owner's jetton wallet address from the jetton master
+   * (`get_wallet_address` get-method).
+   * @param {Address} owner - Owner wallet address
+   * @param {string} masterAddress - Jetton master address
+   * @returns {Promise<Address>}
+   */
+  async _getJettonWalletAddress(owner, masterAddress) {
+    const cacheKey = `${masterAddress}:${owner.toRawString()}`;
+    if (!this.jettonWalletCache.has(cacheKey)) {
+      const master = this.client.open(JettonMaster.create(Address.parse(masterAddress)));
+      this.jettonWalletCache.set(cacheKey, await master.getWalletAddress(owner));
+    }
+    return this.jettonWalletCache.get(cacheKey);
+  }
+
+  /**
+   * Transactions of the wallets and new masterchain blocks, via the TON
+   * API streaming methods (addresses in raw form).
+   */
+  getSubscriptions(addresses) {
+    return [
+      {
+        method: 'subscribe_account',
+        params: addresses.map(address => Address.parse(address).toRawString()),
+        notification: 'account_transaction',
+        kind: 'account',
+      },
+      { method: 'subscribe_block', params: ['workchain=-1'], notification: 'block', kind: 'block' },
+    ];
   }
 
   isValidAddress(address) {
@@ -67,9 +282,28 @@ class TonAdapter extends BaseAdapter {
     }
   }
 
+  normalizeAddress(address) {
+    // Bounceable, non-bounceable and raw forms of one account
+    return Address.parse(address).toRawString();
+  }
+
   formatBalance(raw, decimals = 9) {
-    // fromNano converts from nanoTON to TON
-    return fromNano(raw);
+    if (decimals === 9) {
+      // fromNano converts from nanoTON to TON
+      return fromNano(raw);
+    }
+    
+    // Jettons can use any decimals (USDT uses 6)
+    const divisor = 10n ** BigInt(decimals);
+    const whole = raw / divisor;
+    const fraction = raw % divisor;
+    
+    if (fraction === 0n) {
+      return whole.toString();
+    }
+    
+    const fractionStr = fraction.toString().padStart(decimals, '0').replace(/0+$/, '');
+    return `${whole}.${fractionStr}`;
   }
 
   formatBalanceWithSymbol(raw, symbol, decimals = 9) {
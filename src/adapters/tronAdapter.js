@@ -0,0 +1,268 @@
+/**
+ * Tron Adapter
+ *
+ * Handles Tron through the TronGrid-style HTTP API (/wallet/* of a full
+ * node, /v1/* of TronGrid):
+ * - Base58Check `T...` address validation
+ * - TRX balance in sun (6 decimals)
+ * - TRC-20 balances via `balanceOf` with triggerconstantcontract
+ *
+ * Past balances:
+ * - TRX at a block via /wallet/getaccountbalance (needs a node with
+ *   historical balance lookup enabled, as TronGrid has)
+ * - TRC-20 reconstructed from the current balance minus transfers after
+ *   the block (TronGrid /v1 transfer history), since contract calls only
+ *   run against the latest state
+ */
+
+const BaseAdapter = require('./baseAdapter');
+const { HistoryUnavailableError } = BaseAdapter;
+const { base58CheckDecode } = require('../utils/encoding');
+
+// Tron address version byte (addresses start with 'T')
+const ADDRESS_VERSION = 0x41;
+
+// TRC-20 transfer history: transfers per page, pages before giving up
+const TRANSFER_PAGE_SIZE = 200;
+const MAX_TRANSFER_PAGES = 10;
+
+// Blocks whose hash/timestamp are kept, for repeated range lookups
+const BLOCK_CACHE_SIZE = 64;
+
+class TronAdapter extends BaseAdapter {
+  constructor(networkConfig, options = {}) {
+    super(networkConfig, options);
+    this.lastBlock = null;
+    this.blockCache = new Map();
+  }
+
+  getChainType() {
+    return 'tron';
+  }
+
+  async connect() {
+    // Verify connection by fetching the latest block
+    await this.getCurrentBlock();
+    this.connection = this.endpoints;
+  }
+
+  async getCurrentBlock() {
+    const block = await this._post('/wallet/getnowblock');
+    this.lastBlock = block.block_header.raw_data.number;
+    return this.lastBlock;
+  }
+
+  async getBlockTimestamp(blockNumber) {
+    const block = await this._getBlock(blockNumber);
+    return Math.floor(block.timestamp / 1000);
+  }
+
+  async getNativeBalance(address, blockTag = 'latest') {
+    let raw;
+    if (this._isLatest(blockTag)) {
+      // Accounts that were never activated come back as {}
+      const account = await this._post('/wallet/getaccount', { address, visible: true });
+      raw = BigInt(account.balance || 0);
+    } else {
+      raw = await this._getNativeBalanceAt(address, blockTag);
+    }
+
+    return {
+      raw,
+      formatted: this.formatBalance(raw, 6), // TRX has 6 decimals (sun)
+      decimals: 6,
+    };
+  }
+
+  /**
+   * Read the TRX balance at a past block.
+   * @throws {HistoryUnavailableError} If the node has no historical balance lookup
+   */
+  async _getNativeBalanceAt(address, blockNumber) {
+    const block = await this._getBlock(blockNumber);
+    try {
+      const result = await this._post('/wallet/getaccountbalance', {
+        account_identifier: { address },
+        block_identifier: { hash: block.hash, number: blockNumber },
+        visible: true,
+      });
+      return BigInt(result.balance || 0);
+    } catch (error) {
+      // Nodes without historyBalanceLookup answer with an error
+      throw new HistoryUnavailableError(`Endpoint cannot serve TRX balances at block ${blockNumber}: ${error.message}`);
+    }
+  }
+
+  async getTokenBalances(address, tokens, blockTag = 'latest') {
+    const timestamp = this._isLatest(blockTag) ? null : (await this._getBlock(blockTag)).timestamp;
+
+    const results = await Promise.all(tokens.map(async token => {
+      const current = await this._balanceOf(address, token.address);
+      if (current === null) {
+        return null;
+      }
+      const raw = timestamp === null
+        ? current
+        : current - await this._transfersSince(address, token.address, timestamp);
+      return {
+        symbol: token.symbol,
+        address: token.address,
+        raw,
+        formatted: this.formatBalance(raw, token.decimals),
+        decimals: token.decimals,
+      };
+    }));
+
+    // Filter out failed calls and zero balances
+    return results.filter(result => result !== null && result.raw > 0n);
+  }
+
+  /**
+   * The current block is served from the latest state, which also works
+   * on nodes without historical lookups.
+   */
+  _isLatest(blockTag) {
+    return blockTag === 'latest' || blockTag === this.lastBlock;
+  }
+
+  /**
+   * Call a TRC-20 contract's balanceOf(owner) at the latest block.
+   * @returns {Promise<bigint|null>} Balance, or null if the call failed
+   */
+  async _balanceOf(owner, contract) {
+    // ABI-encode the 20-byte address (without the 0x41 version byte)
+    const parameter = base58CheckDecode(owner).subarray(1).toString('hex').padStart(64, '0');
+    const result = await this._post('/wallet/triggerconstantcontract', {
+      owner_address: owner,
+      contract_address: contract,
+      function_selector: 'balanceOf(address)',
+      parameter,
+      visible: true,
+    });
+
+    const data = result.constant_result?.[0];
+    if (!result.result?.result || !data) {
+      // Not a contract, or balanceOf reverted
+      return null;
+    }
+    return BigInt(`0x${data}`);
+  }
+
+  /**
+   * Net TRC-20 amount received by the owner in transfers after a block
+   * time, unconfirmed ones included: the current balance they are
+   * subtracted from is read at the latest, unconfirmed block.
+   * @param {string} owner - Wallet address
+   * @param {string} contract - TRC-20 contract address
+   * @param {number} timestamp - Block time in milliseconds
+   * @returns {Promise<bigint>}
+   * @throws {HistoryUnavailableError} If the history is unavailable or too long
+   */
+  async _transfersSince(owner, contract, timestamp) {
+    let change = 0n;
+    let fingerprint = null;
+
+    for (let page = 0; page < MAX_TRANSFER_PAGES; page++) {
+      const query = new URLSearchParams({
+        contract_address: contract,
+        min_timestamp: String(timestamp + 1),
+        limit: String(TRANSFER_PAGE_SIZE),
+      });
+      if (fingerprint) {
+        query.set('fingerprint', fingerprint);
+      }
+
+      let result;
+      try {
+        result = await this._get(`/v1/accounts/${owner}/transactions/trc20?${query}`);
+      } catch (error) {
+        // Plain full nodes do not serve /v1
+        throw new HistoryUnavailableError(`Endpoint cannot serve TRC-20 transfer history: ${error.message}`);
+      }
+
+      for (const transfer of result.data) {
+        if (transfer.to === owner) {
+          change += BigInt(transfer.value);
+        }
+        if (transfer.from === owner) {
+          change -= BigInt(transfer.value);
+        }
+      }
+
+      fingerprint = result.meta?.fingerprint;
+      if (!fingerprint) {
+        return change;
+      }
+    }
+
+    throw new HistoryUnavailableError(
+      `More than ${MAX_TRANSFER_PAGES * TRANSFER_PAGE_SIZE} TRC-20 transfers since the previous block`
+    );
+  }
+
+  /**
+   * Hash and timestamp (ms) of a block, cached.
+   * @returns {Promise<{hash: string, timestamp: number}>}
+   */
+  async _getBlock(blockNumber) {
+    if (!this.blockCache.has(blockNumber)) {
+      const block = await this._post('/wallet/getblockbynum', { num: blockNumber });
+      if (!block.blockID) {
+        throw new Error(`Block ${blockNumber} not found`);
+      }
+      if (this.blockCache.size >= BLOCK_CACHE_SIZE) {
+        this.blockCache.delete(this.blockCache.keys().next().value);
+      }
+      this.blockCache.set(blockNumber, {
+        hash: block.blockID,
+        timestamp: block.block_header.raw_data.timestamp,
+      });
+    }
+    return this.blockCache.get(blockNumber);
+  }
+
+  /**
+   * POST to a /wallet endpoint.
+   * @param {string} path - API path, e.g. '/wallet/getaccount'
+   * @param {object} [body] - JSON body
+   * @returns {Promise<object>}
+   * @throws {Error} On HTTP errors or an `Error` field in the response
+   */
+  async _post(path, body = {}) {
+    return this._request(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify(body),
+    });
+  }
+
+  async _get(path) {
+    return this._request(path, { headers: { Accept: 'application/json' } });
+  }
+
+  async _request(path, init) {
+    const response = await this.endpoints.fetch(init, path);
+    const text = await response.text();
+    if (!response.ok) {
+      throw new Error(`TronGrid ${path.split('?')[0]} failed: HTTP ${response.status} ${text.slice(0, 200)}`.trim());
+    }
+
+    const result = JSON.parse(text);
+    // java-tron reports errors with HTTP 200 and an "Error" field
+    if (result.Error) {
+      throw new Error(result.Error);
+    }
+    return result;
+  }
+
+  isValidAddress(address) {
+    try {
+      const payload = base58CheckDecode(address);
+      return payload.length === 21 && payload[0] === ADDRESS_VERSION;
+    } catch {
+      return false;
+    }
+  }
+}
+
+module.exports = TronAdapter;
@@ -3,17 +3,58 @@
  * 
  * Each network includes:
  * - name: Human-readable network name
- * - chainType: 'evm' or 'solana' (determines which adapter to use)
+ * - chainType: 'evm', 'solana', 'ton', 'bitcoin', 'cosmos' or 'tron' (determines which adapter to use)
  * - chainId: Chain ID (EVM) or null (Solana)
- * - rpcUrl: Default public RPC (can be overridden via env vars)
+ * - rpcUrls: Public RPC endpoints, tried in order. Overridden by the
+ *   RPC_URL_* env var (comma-separated for several endpoints)
+ * - rpcUrl: First endpoint (set below, for display)
+ * - wsUrl: WebSocket endpoint for watch mode's --subscribe (EVM, Solana,
+ *   TON). Overridden by the WS_URL_* env var; without one, --subscribe
+ *   falls back to polling
  * - nativeSymbol: Native currency symbol (ETH, SOL, etc.)
  * - nativeDecimals: Decimals for native currency
  * - blockExplorer: Block explorer URL for reference
  * - tokens: Tokens to check balances for
+ *   (EVM: `address`, Solana: `mint`, TON: jetton `master`, Cosmos: bank `denom`,
+ *   Tron: TRC-20 `address`)
+ * - program: Solana token program, 'spl' or 'token-2022' (optional;
+ *   both are queried unless every token names one)
+ * - multicall3: Multicall3 address, only where it differs from the
+ *   canonical 0xcA11bde05977b3631167028862bE2a173976CA11 (EVM)
+ * - bech32Prefix: SegWit address prefix, 'bc' or 'tb' (Bitcoin; also
+ *   selects the legacy address version bytes), or account address
+ *   prefix, e.g. 'cosmos' (Cosmos)
+ * - nativeDenom: Bank denom of the native currency, e.g. 'uatom' (Cosmos)
+ *
+ * The config file's `networks` section can add networks or override
+ * these (see registerNetworks).
  */
 
 require('dotenv').config();
 
+/**
+ * Endpoints for a network: the env var (comma-separated) replaces the
+ * public defaults.
+ * @param {string} envVar - Env var name, e.g. RPC_URL_ETH
+ * @param {string[]} defaults - Public endpoints
+ * @returns {string[]}
+ */
+function rpcUrlsFrom(envVar, defaults) {
+  const fromEnv = (process.env[envVar] || '').split(',').map(url => url.trim()).filter(Boolean);
+  return fromEnv.length > 0 ? fromEnv : defaults;
+}
+
+/**
+ * WebSocket endpoint for a network: the env var replaces the public
+ * default, if there is one.
+ * @param {string} envVar - Env var name, e.g. WS_URL_ETH
+ * @param {string} [fallback] - Public endpoint
+ * @returns {string|undefined}
+ */
+function wsUrlFrom(envVar, fallback) {
+  return process.env[envVar]?.trim() || fallback;
+}
+
 const networks = {
   // ==========================================================================
   // EVM Networks
@@ -22,7 +63,8 @@ const networks = {
     name: 'Ethereum Mainnet',
     chainType: 'evm',
     chainId: 1,
-    rpcUrl: process.env.RPC_URL_ETH || 'https://eth.llamarpc.com',
+    rpcUrls: rpcUrlsFrom('RPC_URL_ETH', ['https://eth.llamarpc.com', 'https://ethereum-rpc.publicnode.com']),
+    wsUrl: wsUrlFrom('WS_URL_ETH', 'wss://ethereum-rpc.publicnode.com'),
     nativeSymbol: 'ETH',
     nativeDecimals: 18,
     blockExplorer: 'https://etherscan.io',
@@ -39,7 +81,8 @@ const networks = {
     name: 'Polygon Mainnet',
     chainType: 'evm',
     chainId: 137,
-    rpcUrl: process.env.RPC_URL_POLYGON || 'https://polygon.llamarpc.com',
+    rpcUrls: rpcUrlsFrom('RPC_URL_POLYGON', ['https://polygon.llamarpc.com', 'https://polygon-bor-rpc.publicnode.com']),
+    wsUrl: wsUrlFrom('WS_URL_POLYGON', 'wss://polygon-bor-rpc.publicnode.com'),
     nativeSymbol: 'MATIC',
     nativeDecimals: 18,
     blockExplorer: 'https://polygonscan.com',
@@ -55,7 +98,8 @@ const networks = {
     name: 'Sepolia Testnet',
     chainType: 'evm',
     chainId: 11155111,
-    rpcUrl: process.env.RPC_URL_SEPOLIA || 'https://rpc.sepolia.org',
+    rpcUrls: rpcUrlsFrom('RPC_URL_SEPOLIA', ['https://rpc.sepolia.org', 'https://ethereum-sepolia-rpc.publicnode.com']),
+    wsUrl: wsUrlFrom('WS_URL_SEPOLIA', 'wss://ethereum-sepolia-rpc.publicnode.com'),
     nativeSymbol: 'ETH',
     nativeDecimals: 18,
     blockExplorer: 'https://sepolia.etherscan.io',
@@ -72,7 +116,8 @@ const networks = {
     name: 'Base',
     chainType: 'evm',
     chainId: 8453,
-    rpcUrl: process.env.RPC_URL_BASE || 'https://mainnet.base.org',
+    rpcUrls: rpcUrlsFrom('RPC_URL_BASE', ['https://mainnet.base.org', 'https://base-rpc.publicnode.com']),
+    wsUrl: wsUrlFrom('WS_URL_BASE', 'wss://base-rpc.publicnode.com'),
     nativeSymbol: 'ETH',
     nativeDecimals: 18,
     blockExplorer: 'https://basescan.org',
@@ -88,7 +133,8 @@ const networks = {
     name: 'Arbitrum One',
     chainType: 'evm',
     chainId: 42161,
-    rpcUrl: process.env.RPC_URL_ARBITRUM || 'https://arb1.arbitrum.io/rpc',
+    rpcUrls: rpcUrlsFrom('RPC_URL_ARBITRUM', ['https://arb1.arbitrum.io/rpc', 'https://arbitrum-one-rpc.publicnode.com']),
+    wsUrl: wsUrlFrom('WS_URL_ARBITRUM', 'wss://arbitrum-one-rpc.publicnode.com'),
     nativeSymbol: 'ETH',
     nativeDecimals: 18,
     blockExplorer: 'https://arbiscan.io',
@@ -105,7 +151,8 @@ const networks = {
     name: 'Optimism',
     chainType: 'evm',
     chainId: 10,
-    rpcUrl: process.env.RPC_URL_OPTIMISM || 'https://mainnet.optimism.io',
+    rpcUrls: rpcUrlsFrom('RPC_URL_OPTIMISM', ['https://mainnet.optimism.io', 'https://optimism-rpc.publicnode.com']),
+    wsUrl: wsUrlFrom('WS_URL_OPTIMISM', 'wss://optimism-rpc.publicnode.com'),
     nativeSymbol: 'ETH',
     nativeDecimals: 18,
     blockExplorer: 'https://optimistic.etherscan.io',
@@ -122,7 +169,8 @@ const networks = {
     name: 'BNB Chain',
     chainType: 'evm',
     chainId: 56,
-    rpcUrl: process.env.RPC_URL_BNB || 'https://bsc-dataseed.binance.org',
+    rpcUrls: rpcUrlsFrom('RPC_URL_BNB', ['https://bsc-dataseed.binance.org', 'https://bsc-rpc.publicnode.com']),
+    wsUrl: wsUrlFrom('WS_URL_BNB', 'wss://bsc-rpc.publicnode.com'),
     nativeSymbol: 'BNB',
     nativeDecimals: 18,
     blockExplorer: 'https://bscscan.com',
@@ -138,7 +186,8 @@ const networks = {
     name: 'Avalanche C-Chain',
     chainType: 'evm',
     chainId: 43114,
-    rpcUrl: process.env.RPC_URL_AVAX || 'https://api.avax.network/ext/bc/C/rpc',
+    rpcUrls: rpcUrlsFrom('RPC_URL_AVAX', ['https://api.avax.network/ext/bc/C/rpc', 'https://avalanche-c-chain-rpc.publicnode.com']),
+    wsUrl: wsUrlFrom('WS_URL_AVAX'),
     nativeSymbol: 'AVAX',
     nativeDecimals: 18,
     blockExplorer: 'https://snowtrace.io',
@@ -153,7 +202,8 @@ const networks = {
     name: 'Fantom Opera',
     chainType: 'evm',
     chainId: 250,
-    rpcUrl: process.env.RPC_URL_FTM || 'https://rpc.ftm.tools',
+    rpcUrls: rpcUrlsFrom('RPC_URL_FTM', ['https://rpc.ftm.tools']),
+    wsUrl: wsUrlFrom('WS_URL_FTM'),
     nativeSymbol: 'FTM',
     nativeDecimals: 18,
     blockExplorer: 'https://ftmscan.com',
@@ -168,10 +218,13 @@ const networks = {
     name: 'zkSync Era',
     chainType: 'evm',
     chainId: 324,
-    rpcUrl: process.env.RPC_URL_ZKSYNC || 'https://mainnet.era.zksync.io',
+    rpcUrls: rpcUrlsFrom('RPC_URL_ZKSYNC', ['https://mainnet.era.zksync.io']),
+    wsUrl: wsUrlFrom('WS_URL_ZKSYNC'),
     nativeSymbol: 'ETH',
     nativeDecimals: 18,
     blockExplorer: 'https://explorer.zksync.io',
+    // zkSync derives contract addresses differently
+    multicall3: '0xF9cda624FBC7e059355ce98a31693d299FACd963',
     tokens: [
       { symbol: 'USDC', address: '0x3355df6D4c9C3035724Fd0e3914dE96A5a83aaf4', decimals: 6 },
       { symbol: 'USDT', address: '0x493257fD37EDB34451f62EDf8D2a0C418852bA4C', decimals: 6 },
@@ -182,7 +235,8 @@ const networks = {
     name: 'Scroll',
     chainType: 'evm',
     chainId: 534352,
-    rpcUrl: process.env.RPC_URL_SCROLL || 'https://rpc.scroll.io',
+    rpcUrls: rpcUrlsFrom('RPC_URL_SCROLL', ['https://rpc.scroll.io', 'https://scroll-rpc.publicnode.com']),
+    wsUrl: wsUrlFrom('WS_URL_SCROLL'),
     nativeSymbol: 'ETH',
     nativeDecimals: 18,
     blockExplorer: 'https://scrollscan.com',
@@ -201,15 +255,17 @@ const networks = {
     name: 'Solana Mainnet',
     chainType: 'solana',
     chainId: null,
-    rpcUrl: process.env.RPC_URL_SOLANA || 'https://api.mainnet-beta.solana.com',
+    rpcUrls: rpcUrlsFrom('RPC_URL_SOLANA', ['https://api.mainnet-beta.solana.com', 'https://solana-rpc.publicnode.com']),
+    wsUrl: wsUrlFrom('WS_URL_SOLANA', 'wss://api.mainnet-beta.solana.com'),
     nativeSymbol: 'SOL',
     nativeDecimals: 9,
     blockExplorer: 'https://explorer.solana.com',
     tokens: [
       // Popular Solana SPL tokens
-      { symbol: 'USDC', mint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', decimals: 6 },
-      { symbol: 'BONK', mint: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', decimals: 5 },
-      { symbol: 'JUP', mint: 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN', decimals: 6 },
+      { symbol: 'USDC', mint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', decimals: 6, program: 'spl' },
+      { symbol: 'BONK', mint: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', decimals: 5, program: 'spl' },
+      { symbol: 'JUP', mint: 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN', decimals: 6, program: 'spl' },
+      { symbol: 'PYUSD', mint: '2b1kV6DkPAnxd5ixfnxCpjxmKwqjjaYmCZfHsFu24GXo', decimals: 6, program: 'token-2022' },
     ],
   },
 
@@ -231,16 +287,17 @@ const networks = {
     name: 'Helium (Solana)',
     chainType: 'solana',
     chainId: null,
-    rpcUrl: process.env.RPC_URL_SOLANA || 'https://api.mainnet-beta.solana.com',
+    rpcUrls: rpcUrlsFrom('RPC_URL_SOLANA', ['https://api.mainnet-beta.solana.com', 'https://solana-rpc.publicnode.com']),
+    wsUrl: wsUrlFrom('WS_URL_SOLANA', 'wss://api.mainnet-beta.solana.com'),
     nativeSymbol: 'SOL',  // Native is still SOL, HNT is a token
     nativeDecimals: 9,
     blockExplorer: 'https://explorer.solana.com',
     // Helium ecosystem tokens
     tokens: [
-      { symbol: 'HNT', mint: 'hntyVP6YFm1Hg25TN9WGLqM12b8TQmcknKrdu1oxWux', decimals: 8 },
-      { symbol: 'MOBILE', mint: 'mb1eu7TzEc71KxDpsmsKoucSSuuoGLv1drys1oP2jh6', decimals: 6 },
-      { symbol: 'IOT', mint: 'iotEVVZLEywoTn1QdwNPddxPWszn3zFhEot3MfL9fns', decimals: 6 },
-      { symbol: 'DC', mint: 'dcuc8Amr83Wz27ZkQ2K9NS6r8zRpf1J6cvArEBDZDmm', decimals: 0 }, // Data Credits
+      { symbol: 'HNT', mint: 'hntyVP6YFm1Hg25TN9WGLqM12b8TQmcknKrdu1oxWux', decimals: 8, program: 'spl' },
+      { symbol: 'MOBILE', mint: 'mb1eu7TzEc71KxDpsmsKoucSSuuoGLv1drys1oP2jh6', decimals: 6, program: 'spl' },
+      { symbol: 'IOT', mint: 'iotEVVZLEywoTn1QdwNPddxPWszn3zFhEot3MfL9fns', decimals: 6, program: 'spl' },
+      { symbol: 'DC', mint: 'dcuc8Amr83Wz27ZkQ2K9NS6r8zRpf1J6cvArEBDZDmm', decimals: 0, program: 'spl' }, // Data Credits
     ],
   },
 
@@ -248,7 +305,8 @@ const networks = {
     name: 'Solana Devnet',
     chainType: 'solana',
     chainId: null,
-    rpcUrl: process.env.RPC_URL_SOLANA_DEVNET || 'https://api.devnet.solana.com',
+    rpcUrls: rpcUrlsFrom('RPC_URL_SOLANA_DEVNET', ['https://api.devnet.solana.com']),
+    wsUrl: wsUrlFrom('WS_URL_SOLANA_DEVNET', 'wss://api.devnet.solana.com'),
     nativeSymbol: 'SOL',
     nativeDecimals: 9,
     blockExplorer: 'https://explorer.solana.com',
@@ -263,12 +321,15 @@ const networks = {
     name: 'TON Mainnet',
     chainType: 'ton',
     chainId: null,
-    rpcUrl: process.env.RPC_URL_TON || 'https://toncenter.com/api/v2/jsonRPC',
+    rpcUrls: rpcUrlsFrom('RPC_URL_TON', ['https://toncenter.com/api/v2/jsonRPC']),
+    wsUrl: wsUrlFrom('WS_URL_TON'),
     nativeSymbol: 'TON',
     nativeDecimals: 9,
     blockExplorer: 'https://tonscan.org',
+    // Jettons are identified by their master contract address
     tokens: [
-      // Jettons can be added here later
+      { symbol: 'USDT', master: 'EQCxE6mUtQJKFnGfaROTKOt1lZbDiiX1kCixRv7Nw2Id_sDs', decimals: 6 },
+      { symbol: 'NOT', master: 'EQAvlWFDxGF2lXm67y4yzC17wYKD9A0guwPkMs1gOsM__NOT', decimals: 9 },
     ],
   },
 
@@ -276,14 +337,252 @@ const networks = {
     name: 'TON Testnet',
     chainType: 'ton',
     chainId: null,
-    rpcUrl: process.env.RPC_URL_TON_TESTNET || 'https://testnet.toncenter.com/api/v2/jsonRPC',
+    rpcUrls: rpcUrlsFrom('RPC_URL_TON_TESTNET', ['https://testnet.toncenter.com/api/v2/jsonRPC']),
+    wsUrl: wsUrlFrom('WS_URL_TON_TESTNET'),
     nativeSymbol: 'TON',
     nativeDecimals: 9,
     blockExplorer: 'https://testnet.tonscan.org',
     tokens: [],
   },
+
+  // ==========================================================================
+  // Bitcoin Networks
+  // ==========================================================================
+  // rpcUrls are Esplora REST API base URLs
+  bitcoin: {
+    name: 'Bitcoin',
+    chainType: 'bitcoin',
+    chainId: null,
+    rpcUrls: rpcUrlsFrom('RPC_URL_BITCOIN', ['https://blockstream.info/api', 'https://mempool.space/api']),
+    nativeSymbol: 'BTC',
+    nativeDecimals: 8,
+    blockExplorer: 'https://mempool.space',
+    bech32Prefix: 'bc',
+    tokens: [],
+  },
+
+  'bitcoin-testnet': {
+    name: 'Bitcoin Testnet',
+    chainType: 'bitcoin',
+    chainId: null,
+    rpcUrls: rpcUrlsFrom('RPC_URL_BITCOIN_TESTNET', ['https://blockstream.info/testnet/api', 'https://mempool.space/testnet/api']),
+    nativeSymbol: 'tBTC',
+    nativeDecimals: 8,
+    blockExplorer: 'https://mempool.space/testnet',
+    bech32Prefix: 'tb',
+    tokens: [],
+  },
+
+  // ==========================================================================
+  // Cosmos SDK Networks
+  // ==========================================================================
+  // rpcUrls are LCD (REST) endpoints; IBC tokens are configured by denom
+  cosmoshub: {
+    name: 'Cosmos Hub',
+    chainType: 'cosmos',
+    chainId: null,
+    rpcUrls: rpcUrlsFrom('RPC_URL_COSMOSHUB', ['https://cosmos-rest.publicnode.com', 'https://rest.cosmos.directory/cosmoshub']),
+    nativeSymbol: 'ATOM',
+    nativeDecimals: 6,
+    nativeDenom: 'uatom',
+    blockExplorer: 'https://www.mintscan.io/cosmos',
+    bech32Prefix: 'cosmos',
+    tokens: [
+      { symbol: 'USDC', denom: 'ibc/F663521BF1836B00F5F177680F74BFB9A8B5654A694D0D2BC249E03CF2509013', decimals: 6 },
+    ],
+  },
+
+  osmosis: {
+    name: 'Osmosis',
+    chainType: 'cosmos',
+    chainId: null,
+    rpcUrls: rpcUrlsFrom('RPC_URL_OSMOSIS', ['https://osmosis-rest.publicnode.com', 'https://rest.cosmos.directory/osmosis']),
+    nativeSymbol: 'OSMO',
+    nativeDecimals: 6,
+    nativeDenom: 'uosmo',
+    blockExplorer: 'https://www.mintscan.io/osmosis',
+    bech32Prefix: 'osmo',
+    tokens: [
+      { symbol: 'USDC', denom: 'ibc/498A0751C798A0D9A389AA3691123DADA57DAA4FE165D5C75894505B876BA6E4', decimals: 6 },
+      { symbol: 'ATOM', denom: 'ibc/27394FB092D2ECCD56123C74F36E4C1F926001CEADA9CA97EA622B25F41E5EB2', decimals: 6 },
+      { symbol: 'TIA', denom: 'ibc/D79E7D83AB399BFFF93433E54FAA480C191248FC556924A2A8351AE2638B3877', decimals: 6 },
+    ],
+  },
+
+  celestia: {
+    name: 'Celestia',
+    chainType: 'cosmos',
+    chainId: null,
+    rpcUrls: rpcUrlsFrom('RPC_URL_CELESTIA', ['https://celestia-rest.publicnode.com', 'https://rest.cosmos.directory/celestia']),
+    nativeSymbol: 'TIA',
+    nativeDecimals: 6,
+    nativeDenom: 'utia',
+    blockExplorer: 'https://www.mintscan.io/celestia',
+    bech32Prefix: 'celestia',
+    tokens: [],
+  },
+
+  // ==========================================================================
+  // Tron Networks
+  // ==========================================================================
+  // rpcUrls are TronGrid-style HTTP APIs (TRC-20 diffs need TronGrid's /v1)
+  tron: {
+    name: 'Tron',
+    chainType: 'tron',
+    chainId: null,
+    rpcUrls: rpcUrlsFrom('RPC_URL_TRON', ['https://api.trongrid.io']),
+    nativeSymbol: 'TRX',
+    nativeDecimals: 6,
+    blockExplorer: 'https://tronscan.org/#',
+    tokens: [
+      { symbol: 'USDT', address: 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t', decimals: 6 },
+      { symbol: 'WTRX', address: 'TNUC9Qb1rRpS5CbWLmNMxXBjyFoydXjWFR', decimals: 6 },
+    ],
+  },
+
+  'tron-nile': {
+    name: 'Tron Nile Testnet',
+    chainType: 'tron',
+    chainId: null,
+    rpcUrls: rpcUrlsFrom('RPC_URL_TRON_NILE', ['https://nile.trongrid.io']),
+    nativeSymbol: 'TRX',
+    nativeDecimals: 6,
+    blockExplorer: 'https://nile.tronscan.org/#',
+    tokens: [
+      { symbol: 'USDT', address: 'TXYZopYRdj2D9XRtbG411XZZ3kM5VkAeBf', decimals: 6 },
+    ],
+  },
 };
 
+// Primary endpoint, for display and endpoint-based checks (devnet/testnet)
+for (const network of Object.values(networks)) {
+  network.rpcUrl = network.rpcUrls[0];
+}
+
+// Chain types of the built-in networks; custom networks must use one
+const CHAIN_TYPES = [...new Set(Object.values(networks).map(n => n.chainType))];
+
+// Field that identifies a token on each chain type (Bitcoin has no tokens)
+const TOKEN_ID_FIELDS = {
+  evm: 'address',
+  tron: 'address',
+  solana: 'mint',
+  ton: 'master',
+  cosmos: 'denom',
+};
+
+// ==========================================================================
+// Custom Networks (config file)
+// ==========================================================================
+
+/**
+ * Config file field names, mapped to the fields used above. The
+ * internal names are accepted as well.
+ */
+const CONFIG_FIELDS = {
+  symbol: 'nativeSymbol',
+  decimals: 'nativeDecimals',
+  explorer: 'blockExplorer',
+  denom: 'nativeDenom',
+};
+
+/**
+ * Build a network from a config file definition, on top of the
+ * built-in network with the same key if there is one.
+ * @param {string} key - Network key
+ * @param {object} definition - Config file entry
+ * @param {object|undefined} base - Built-in network being overridden
+ * @returns {object} Network config
+ * @throws {Error} If the definition is invalid
+ */
+function buildNetwork(key, definition, base) {
+  const invalid = (message) => new Error(`Invalid network "${key}" in config: ${message}`);
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw invalid('expected an object');
+  }
+
+  const fields = {};
+  for (const [field, value] of Object.entries(definition)) {
+    fields[CONFIG_FIELDS[field] || field] = value;
+  }
+  if (fields.rpcUrl !== undefined && fields.rpcUrls === undefined) {
+    fields.rpcUrls = [fields.rpcUrl];
+  }
+
+  const network = { name: key, tokens: [], ...base, ...fields };
+
+  if (base && network.chainType !== base.chainType) {
+    throw invalid(`cannot change chainType of built-in network (${base.chainType})`);
+  }
+  if (!CHAIN_TYPES.includes(network.chainType)) {
+    throw invalid(`chainType must be one of ${CHAIN_TYPES.join(', ')}`);
+  }
+  if (network.chainType === 'evm' && network.nativeDecimals === undefined) {
+    network.nativeDecimals = 18;
+  }
+  if (!Array.isArray(network.rpcUrls) || network.rpcUrls.length === 0 ||
+      !network.rpcUrls.every(url => typeof url === 'string' && url)) {
+    throw invalid('rpcUrl is required');
+  }
+  if (network.wsUrl !== undefined && (typeof network.wsUrl !== 'string' || !/^wss?:\/\//.test(network.wsUrl))) {
+    throw invalid('wsUrl must be a ws:// or wss:// URL');
+  }
+  if (typeof network.nativeSymbol !== 'string' || !network.nativeSymbol) {
+    throw invalid('symbol is required');
+  }
+  if (!Number.isInteger(network.nativeDecimals) || network.nativeDecimals < 0) {
+    throw invalid('decimals must be a non-negative integer');
+  }
+  if (network.chainType === 'cosmos' &&
+      [network.nativeDenom, network.bech32Prefix].some(field => typeof field !== 'string' || !field)) {
+    throw invalid('cosmos networks need a denom and a bech32Prefix');
+  }
+  if (!Array.isArray(network.tokens)) {
+    throw invalid('tokens must be an array');
+  }
+  for (const token of network.tokens) {
+    if (typeof token?.symbol !== 'string' || !Number.isInteger(token.decimals)) {
+      throw invalid('each token needs a symbol and integer decimals');
+    }
+    const idField = TOKEN_ID_FIELDS[network.chainType];
+    if (idField && (typeof token[idField] !== 'string' || !token[idField])) {
+      throw invalid(`token ${token.symbol} is missing its ${idField} (required on ${network.chainType})`);
+    }
+  }
+
+  network.rpcUrl = network.rpcUrls[0];
+  if (!base) {
+    network.custom = true;
+  }
+  return network;
+}
+
+/**
+ * Add networks from the config file's `networks` section, or override
+ * built-in ones field by field (e.g. only `rpcUrl` or `tokens`).
+ * An rpcUrl from the config file takes precedence over RPC_URL_* vars.
+ * @param {object} definitions - Network key → definition
+ * @returns {string[]} Keys of the added or overridden networks
+ * @throws {Error} If a definition is invalid
+ */
+function registerNetworks(definitions) {
+  if (!definitions || typeof definitions !== 'object' || Array.isArray(definitions)) {
+    throw new Error('Invalid "networks" in config: expected an object keyed by network name');
+  }
+
+  // Validate everything before registering anything
+  const built = Object.entries(definitions).map(([name, definition]) => {
+    const key = name.toLowerCase();
+    return [key, buildNetwork(key, definition, networks[key])];
+  });
+
+  for (const [key, network] of built) {
+    networks[key] = network;
+  }
+  return built.map(([key]) => key);
+}
+
 // ==========================================================================
 // Helper Functions
 // ==========================================================================
@@ -308,7 +607,7 @@ function getSupportedNetworks() {
 
 /**
  * Get networks filtered by chain type.
- * @param {string} chainType - 'evm' or 'solana'
+ * @param {string} chainType - Chain type ('evm', 'solana', ...)
  * @returns {string[]} Network keys matching the chain type
  */
 function getNetworksByType(chainType) {
@@ -333,6 +632,7 @@ module.exports = {
   getSupportedNetworks,
   getNetworksByType,
   getChainType,
+  registerNetworks,
 };
 
 
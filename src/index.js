@@ -17,8 +17,16 @@ const { program } = require('commander');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { getNetwork, getSupportedNetworks, getNetworksByType } = require('./config/networks');
-const { createAdapter } = require('./adapters');
+const { getNetwork, getSupportedNetworks, getNetworksByType, registerNetworks } = require('./config/networks');
+const { createAdapter, getSupportedChainTypes } = require('./adapters');
+const { redactUrl } = require('./adapters/endpointPool');
+const { parseLookback, describeLookback, parseDuration } = require('./services/lookback');
+const { createAlertState, updateAlertState, countActiveAlerts } = require('./services/alertState');
+const { WEBHOOK_FORMATS, formatWebhookPayload } = require('./services/webhookFormats');
+const { sendWebhook, appendDeadLetter, readDeadLetters, replayDeadLetters } = require('./services/webhookDelivery');
+const { createWatchMetrics, setGauge, incCounter, observe, startMetricsServer } = require('./services/metrics');
+const { loadPrices, findPrice, toUsd, formatUsd } = require('./services/priceService');
+const { buildSnapshot, saveSnapshot, findSnapshot, applySnapshot } = require('./services/snapshotStore');
 
 // Read version from package.json (single source of truth)
 const pkg = require('../package.json');
@@ -45,21 +53,39 @@ program
   .option('-a, --address <address>', 'Wallet address to check')
   .option('-A, --addresses <addresses>', 'Multiple addresses (comma-separated or file path)')
   .option('-n, --network <network>', 'Network to query', 'mainnet')
+  .option('-N, --networks <networks>', 'Query several networks at once (comma-separated, or all/evm/solana/ton/bitcoin/cosmos/tron)')
   .option('-b, --blocks <number>', 'Number of blocks/slots to look back for diff', '50')
+  .option('--since <duration>', 'Look back by time instead of blocks (e.g. 30m, 24h, 7d)')
+  .option('--from-time <iso>', 'Start of the diff window (ISO 8601, overrides --blocks)')
+  .option('--to-time <iso>', 'End of the diff window (ISO 8601, default: now)')
   .option('--no-tokens', 'Skip token balance checks')
+  .option('--discover-tokens [blocks]', 'Also check tokens found on-chain (Solana token accounts; EVM Transfer logs over the last N blocks, default 10000)')
   .option('--json', 'Output results as JSON')
   .option('--list-networks', 'List all supported networks')
   .option('-w, --watch', 'Watch mode: continuously monitor balance')
   .option('-i, --interval <seconds>', 'Watch interval in seconds', '30')
   .option('-c, --count <n>', 'Exit after N polls (watch mode only)')
+  .option('--subscribe', 'Watch mode: re-check on WebSocket block/account notifications instead of a fixed interval')
   .option('--exit-on-error', 'Exit immediately on RPC failure (watch mode)')
   .option('--exit-on-diff', 'Exit immediately when threshold triggers (watch mode)')
+  .option('--alert-after <polls>', 'Watch mode: raise an alert after N consecutive breaching polls', '1')
+  .option('--alert-cooldown <duration>', 'Watch mode: minimum time between two alerts for the same address and condition (e.g. 15m)')
+  .option('--metrics-port <[host:]port>', 'Watch mode: serve Prometheus metrics on http://[host:]port/metrics')
   .option('-p, --profile <name>', 'Use saved profile from config file')
   .option('--config <path>', 'Path to config file')
   .option('--alert-if-diff <threshold>', 'Exit 1 if diff exceeds threshold (e.g., ">0.01", ">=1", "<-0.5")')
   .option('--alert-pct <threshold>', 'Exit 1 if diff exceeds % of balance (e.g., ">5", "<-10")')
   .option('--timeout <seconds>', 'RPC request timeout in seconds', '30')
   .option('--webhook <url>', 'POST JSON payload to URL when alert triggers')
+  .option('--webhook-format <format>', `Webhook message format: ${WEBHOOK_FORMATS.join(', ')} (default: raw)`)
+  .option('--webhook-template <file>', 'Webhook body from a template file with {{field}} placeholders (.json templates are sent as JSON)')
+  .option('--webhook-retries <n>', 'Retry webhooks that time out or get 429/5xx N times, with exponential backoff', '2')
+  .option('--webhook-timeout <seconds>', 'Webhook request timeout in seconds', '10')
+  .option('--webhook-dead-letter <file>', 'Append undeliverable webhooks to this NDJSON file (default: ~/.config/balancediff/webhook-dead-letter.ndjson)')
+  .option('--replay-webhooks [file]', 'Resend the webhooks in the dead-letter file; those that fail again stay in it')
+  .option('--prices <source>', 'USD prices from a JSON/CSV file or http(s) URL')
+  .option('--snapshot-dir <dir>', 'Save balances of every run to this directory')
+  .option('--diff-against <snapshot>', 'Diff against a stored snapshot: last, a duration (24h) or an ISO time')
   .parse(process.argv);
 
 const options = program.opts();
@@ -100,8 +126,19 @@ function loadConfig() {
   return null;
 }
 
+const config = loadConfig();
+
+// Networks from the config file, available to --network, --networks and profiles
+if (config?.networks) {
+  try {
+    registerNetworks(config.networks);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
 function getProfileConfig(profileName) {
-  const config = loadConfig();
   if (!config) {
     console.error(`❌ No config file found. Create .balancediffrc.json with your profiles.`);
     process.exit(1);
@@ -129,6 +166,9 @@ function resolveAddresses() {
     if (profile.network && options.network === 'mainnet') {
       options.network = profile.network;
     }
+    if (profile.networks && !options.networks) {
+      options.networks = [].concat(profile.networks).join(',');
+    }
     return Array.isArray(profile.address) ? profile.address : [profile.address];
   }
 
@@ -151,9 +191,35 @@ function resolveAddresses() {
   return [];
 }
 
-// Check for required address unless listing networks
+/**
+ * Expand a --networks spec into network keys.
+ * Accepts network keys and chain type groups ('all', 'evm', 'solana', 'ton', 'bitcoin', 'cosmos', 'tron').
+ * Group names take precedence, so 'solana' means every Solana network.
+ * @param {string} spec - Comma-separated list
+ * @returns {{keys: string[], unknown: string[]}}
+ */
+function resolveNetworkKeys(spec) {
+  const keys = [];
+  const unknown = [];
+
+  for (const item of spec.split(',').map(n => n.trim().toLowerCase()).filter(Boolean)) {
+    if (item === 'all') {
+      keys.push(...getSupportedNetworks());
+    } else if (getSupportedChainTypes().includes(item)) {
+      keys.push(...getNetworksByType(item));
+    } else if (getNetwork(item)) {
+      keys.push(item);
+    } else {
+      unknown.push(item);
+    }
+  }
+
+  return { keys: [...new Set(keys)], unknown };
+}
+
+// Check for required address unless listing networks or replaying webhooks
 const addresses = resolveAddresses();
-if (!options.listNetworks && addresses.length === 0) {
+if (!options.listNetworks && options.replayWebhooks === undefined && addresses.length === 0) {
   console.error("\nerror: required option '-a, --address <address>' not specified\n");
   console.error("You can also use:");
   console.error("  -A, --addresses <addresses>  Multiple addresses (comma-separated or file)");
@@ -193,6 +259,11 @@ function printKeyValue(key, value, indent = 2) {
 }
 
 function formatDiffColored(diff, symbol, decimals) {
+  // Past state unavailable from the endpoint
+  if (diff === null) {
+    return `${c('dim')}n/a${c('reset')}`;
+  }
+  
   const absValue = diff < 0n ? -diff : diff;
   const formatted = formatBigInt(absValue, decimals);
   const isPositive = diff >= 0n;
@@ -217,6 +288,17 @@ function formatBigInt(value, decimals) {
   return `${whole}.${trimmed}`;
 }
 
+function formatUsdSuffix(usdValue) {
+  return usdValue != null ? `  ${c('dim')}≈ ${formatUsd(usdValue)}${c('reset')}` : '';
+}
+
+function formatUsdDiffColored(usdDiff) {
+  if (usdDiff === null) {
+    return `${c('dim')}n/a${c('reset')}`;
+  }
+  return `${usdDiff >= 0 ? c('green') : c('red')}${formatUsd(usdDiff, true)}${c('reset')}`;
+}
+
 function clearLine() {
   process.stdout.write('\x1b[2K\x1b[0G');
 }
@@ -249,6 +331,32 @@ function parseThreshold(thresholdStr) {
   return { operator, value };
 }
 
+/**
+ * JSON diff fields shared by native and token balances.
+ * A null diff means the endpoint could not serve the past state.
+ * @param {bigint|null} diff - Signed raw diff
+ * @param {number} decimals - Token decimals
+ * @param {string} [unavailableReason] - Why the diff is missing
+ * @returns {object}
+ */
+function buildDiffJson(diff, decimals, unavailableReason) {
+  if (diff === null) {
+    return {
+      diff: null,
+      diffRaw: null,
+      diffSign: null,
+      diffAvailable: false,
+      diffUnavailableReason: unavailableReason || null,
+    };
+  }
+  return {
+    diff: formatBigInt(diff < 0n ? -diff : diff, decimals),
+    diffRaw: diff.toString(),
+    diffSign: diff >= 0n ? 'positive' : 'negative',
+    diffAvailable: true,
+  };
+}
+
 /**
  * Convert bigint to number for threshold comparisons.
  * @param {bigint} raw - The raw value
@@ -311,57 +419,303 @@ function checkPercentageThreshold(diffRaw, previousRaw, decimals, threshold) {
   }
 }
 
+/**
+ * Parse the `alerts` rules of a profile.
+ * A rule fires when the diff of a matching asset meets its `diff`
+ * (absolute, in the asset's units) or `pct` threshold; the operator and
+ * sign give the direction ("<-10000" only fires on outflows). `address`,
+ * `asset` (symbol or token address) and `network` narrow the scope, and
+ * are optional.
+ * @param {object[]} definitions - Rules from the profile
+ * @param {string} profileName - Profile name, for error messages
+ * @returns {object[]} Rules with parsed thresholds
+ * @throws {Error} On a malformed rule
+ */
+function parseAlertRules(definitions, profileName) {
+  if (!Array.isArray(definitions)) {
+    throw new Error(`Invalid "alerts" in profile "${profileName}": expected an array of rules`);
+  }
+
+  return definitions.map((definition, i) => {
+    const invalid = (message) => new Error(`Invalid alert rule ${i + 1} in profile "${profileName}": ${message}`);
+    if (!definition || typeof definition !== 'object') {
+      throw invalid('expected an object');
+    }
+    const { name, network, address, asset, diff, pct } = definition;
+    if ((diff === undefined) === (pct === undefined)) {
+      throw invalid('set either "diff" or "pct"');
+    }
+    const condition = String(diff ?? pct);
+    const threshold = parseThreshold(condition);
+    if (!threshold) {
+      throw invalid(`"${condition}" is not a threshold (e.g. "<-10000", ">=5")`);
+    }
+
+    const scope = [asset, address && `${address.slice(0, 6)}...${address.slice(-4)}`, network].filter(Boolean);
+    return {
+      name: name || `${condition}${pct !== undefined ? '%' : ''}${scope.length > 0 ? ` ${scope.join(' ')}` : ''}`,
+      ...(network && { network: network.toLowerCase() }),
+      ...(address && { address }),
+      ...(asset && { asset }),
+      kind: pct !== undefined ? 'percentage' : 'absolute',
+      condition,
+      threshold,
+    };
+  });
+}
+
+function loadAlertRules() {
+  const definitions = options.profile ? getProfileConfig(options.profile).alerts : undefined;
+  if (definitions === undefined) {
+    return [];
+  }
+  try {
+    return parseAlertRules(definitions, options.profile);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Alert rules of the selected profile, checked alongside --alert-if-diff/--alert-pct
+const alertRules = loadAlertRules();
+
+/**
+ * Whether alerts are evaluated at all (decides if outputs carry `alert`).
+ */
+function hasAlertConditions(threshold, pctThreshold) {
+  return Boolean(threshold || pctThreshold || alertRules.length > 0);
+}
+
+// Hex addresses compare case-insensitively (EVM checksum casing), others exactly
+const sameAddress = (a, b) => a === b || (a.startsWith('0x') && a.toLowerCase() === b.toLowerCase());
+
+const NO_ALERT = Object.freeze({ triggered: false, triggeredBy: null, asset: null });
+
+/**
+ * Check the native diff and every token diff against the thresholds,
+ * then against the profile's alert rules in order.
+ * @param {object} networkConfig - Network configuration
+ * @param {object} balanceDiff - Native balance diff from the adapter
+ * @param {object[]} tokenBalances - Token balances with `previous` and `diff`
+ * @param {object} threshold - Parsed absolute threshold
+ * @param {object} pctThreshold - Parsed percentage threshold
+ * @param {{network: string, address: string}} scope - What the balances
+ *   belong to, matched against rule scopes
+ * @returns {({condition: string|object, triggeredBy: string, breached: boolean,
+ *   asset: string, assetId: string, diff: bigint, decimals: number}[]|null)[]} Conditions
+ *   checked per asset ('absolute', 'percentage' or the alert rule): native
+ *   first, then tokens in order. null where the diff was unavailable
+ */
+function checkAssetConditions(networkConfig, balanceDiff, tokenBalances, threshold, pctThreshold, scope) {
+  const assets = [
+    {
+      symbol: networkConfig.nativeSymbol,
+      diff: balanceDiff.diff,
+      previous: balanceDiff.previous?.raw,
+      decimals: networkConfig.nativeDecimals,
+    },
+    ...tokenBalances.map(token => ({
+      symbol: token.symbol,
+      id: token.address || token.mint || token.master || token.denom,
+      diff: token.diff,
+      previous: token.previous?.raw,
+      decimals: token.decimals,
+    })),
+  ];
+
+  const rules = alertRules.filter(rule =>
+    (!rule.network || rule.network === scope.network.toLowerCase()) &&
+    (!rule.address || sameAddress(rule.address, scope.address))
+  );
+
+  return assets.map(asset => {
+    // Nothing to compare when the past state was unavailable
+    if (asset.diff === null) return null;
+
+    const conditions = [];
+    if (threshold) {
+      conditions.push({ condition: 'absolute', breached: checkThreshold(asset.diff, asset.decimals, threshold) });
+    }
+    if (pctThreshold) {
+      conditions.push({ condition: 'percentage', breached: checkPercentageThreshold(asset.diff, asset.previous, asset.decimals, pctThreshold) });
+    }
+    for (const rule of rules) {
+      if (rule.asset && rule.asset.toLowerCase() !== asset.symbol.toLowerCase() && !(asset.id && sameAddress(asset.id, rule.asset))) {
+        continue;
+      }
+      conditions.push({
+        condition: rule,
+        breached: rule.kind === 'absolute'
+          ? checkThreshold(asset.diff, asset.decimals, rule.threshold)
+          : checkPercentageThreshold(asset.diff, asset.previous, asset.decimals, rule.threshold),
+      });
+    }
+
+    return conditions.map(check => ({
+      ...check,
+      triggeredBy: breachName(check.condition),
+      asset: asset.symbol,
+      assetId: asset.id || asset.symbol,
+      diff: asset.diff,
+      decimals: asset.decimals,
+    }));
+  });
+}
+
+/**
+ * First condition breached per asset (see checkAssetConditions).
+ * @returns {(string|object|null)[]} 'absolute', 'percentage', the alert
+ *   rule, or null: native first, then tokens in order
+ */
+function checkAssetThresholds(networkConfig, balanceDiff, tokenBalances, threshold, pctThreshold, scope) {
+  return checkAssetConditions(networkConfig, balanceDiff, tokenBalances, threshold, pctThreshold, scope).map(firstBreach);
+}
+
+function firstBreach(checks) {
+  return checks?.find(check => check.breached)?.condition ?? null;
+}
+
+/**
+ * `triggeredBy` for a breach from checkAssetThresholds: the threshold
+ * kind, or the name of the alert rule.
+ */
+function breachName(breach) {
+  return typeof breach === 'string' ? breach : breach?.name ?? null;
+}
+
+/**
+ * Evaluate thresholds and alert rules against the native diff and every
+ * token diff. Native is checked first; the first asset that breaches wins.
+ * @param {object} networkConfig - Network configuration
+ * @param {object} balanceDiff - Native balance diff from the adapter
+ * @param {object[]} tokenBalances - Token balances with `previous` and `diff`
+ * @param {object} threshold - Parsed absolute threshold
+ * @param {object} pctThreshold - Parsed percentage threshold
+ * @param {{network: string, address: string}} scope - Network key and address
+ * @returns {{triggered: boolean, triggeredBy: string|null, asset: string|null, rule?: object}}
+ */
+function evaluateAlert(networkConfig, balanceDiff, tokenBalances, threshold, pctThreshold, scope) {
+  const breaches = checkAssetThresholds(networkConfig, balanceDiff, tokenBalances, threshold, pctThreshold, scope);
+  const index = breaches.findIndex(Boolean);
+  if (index === -1) {
+    return NO_ALERT;
+  }
+
+  const breach = breaches[index];
+  const asset = index === 0 ? networkConfig.nativeSymbol : tokenBalances[index - 1].symbol;
+  return {
+    triggered: true,
+    triggeredBy: breachName(breach),
+    asset,
+    ...(typeof breach === 'object' && { rule: breach }),
+  };
+}
+
+/**
+ * Human-readable description of a triggered alert for pretty output.
+ */
+function describeAlert(alert) {
+  return `${describeCondition(alert.rule || alert.triggeredBy)} triggered (${alert.asset})`;
+}
+
+/**
+ * 'threshold >0.01', 'threshold <-5%' or 'rule "name"'.
+ * @param {string|object} condition - 'absolute', 'percentage' or an alert rule
+ */
+function describeCondition(condition) {
+  if (typeof condition === 'object') {
+    return `rule "${condition.name}"`;
+  }
+  return `threshold ${formatCondition(condition)}`;
+}
+
+/**
+ * The threshold itself: '>0.01', '<-5%', or the rule's.
+ * @param {string|object} condition - 'absolute', 'percentage' or an alert rule
+ */
+function formatCondition(condition) {
+  if (typeof condition === 'object') {
+    return `${condition.condition}${condition.kind === 'percentage' ? '%' : ''}`;
+  }
+  return condition === 'absolute' ? options.alertIfDiff : `${options.alertPct}%`;
+}
+
 // ==========================================================================
 // Webhook Support
 // ==========================================================================
 
+// --webhook-template, loaded in main() (null without one)
+let webhookTemplate = null;
+
+const DEFAULT_DEAD_LETTER = path.join(os.homedir(), '.config', 'balancediff', 'webhook-dead-letter.ndjson');
+
+// Signing secret, retries and timeout of every delivery, set in main()
+let webhookDelivery = {};
+
+/**
+ * Dead-letter file (--webhook-dead-letter, or "webhookDeadLetter" in the
+ * config file)
+ */
+function deadLetterFile() {
+  return options.webhookDeadLetter || config?.webhookDeadLetter || DEFAULT_DEAD_LETTER;
+}
+
 /**
- * POST JSON payload to webhook URL
- * @param {string} url - Webhook URL
- * @param {object} payload - JSON payload to send
- * @returns {Promise<{success: boolean, statusCode?: number, error?: string}>}
+ * Send a payload to --webhook with delivery metadata, in the
+ * --webhook-format or --webhook-template body. A body that cannot be
+ * delivered after the retries is appended to the dead-letter file.
+ * @param {object} payload - Output to deliver
+ * @param {string} trigger - What caused the delivery ('alert', or the
+ *   watch mode event type)
+ * @returns {Promise<{success: boolean, statusCode?: number, error?: string,
+ *   attempts?: number, deadLetter?: string}>}
  */
-async function sendWebhook(url, payload) {
+async function deliverWebhook(payload, trigger) {
+  let formatted;
   try {
-    const urlObj = new URL(url);
-    const isHttps = urlObj.protocol === 'https:';
-    const http = isHttps ? require('https') : require('http');
-    
-    const postData = JSON.stringify(payload);
-    
-    const requestOptions = {
-      hostname: urlObj.hostname,
-      port: urlObj.port || (isHttps ? 443 : 80),
-      path: urlObj.pathname + urlObj.search,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(postData),
-        'User-Agent': `multi-chain-balance-diff/${VERSION}`,
+    formatted = formatWebhookPayload({
+      ...payload,
+      webhook: {
+        sentAt: new Date().toISOString(),
+        trigger,
       },
-      timeout: 10000, // 10 second timeout for webhook
-    };
-
-    return new Promise((resolve) => {
-      const req = http.request(requestOptions, (res) => {
-        resolve({ success: res.statusCode >= 200 && res.statusCode < 300, statusCode: res.statusCode });
-      });
-
-      req.on('error', (error) => {
-        resolve({ success: false, error: error.message });
-      });
+    }, { format: options.webhookFormat, template: webhookTemplate });
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
 
-      req.on('timeout', () => {
-        req.destroy();
-        resolve({ success: false, error: 'Request timeout' });
-      });
+  const result = await sendWebhook(options.webhook, formatted.body, { ...webhookDelivery, contentType: formatted.contentType });
+  if (result.success) {
+    return result;
+  }
 
-      req.write(postData);
-      req.end();
+  const deadLetter = deadLetterFile();
+  try {
+    appendDeadLetter(deadLetter, {
+      url: options.webhook,
+      trigger,
+      contentType: formatted.contentType,
+      body: formatted.body,
+      attempts: result.attempts,
+      statusCode: result.statusCode,
+      error: result.error,
     });
   } catch (error) {
-    return { success: false, error: error.message };
+    console.error(`⚠️  Could not write webhook dead-letter file: ${error.message}`);
+    return result;
   }
+  return { ...result, deadLetter };
+}
+
+/**
+ * Why a delivery failed, e.g. "HTTP 503 after 3 attempts (saved to <file>)"
+ */
+function describeWebhookFailure(result) {
+  const reason = result.error || `HTTP ${result.statusCode}`;
+  const attempts = result.attempts > 1 ? ` after ${result.attempts} attempts` : '';
+  const saved = result.deadLetter ? ` (saved to ${result.deadLetter})` : '';
+  return `${reason}${attempts}${saved}`;
 }
 
 /**
@@ -372,21 +726,13 @@ async function maybeNotifyWebhook(payload, alertTriggered) {
     return null;
   }
 
-  const webhookPayload = {
-    ...payload,
-    webhook: {
-      sentAt: new Date().toISOString(),
-      trigger: 'alert',
-    },
-  };
-
-  const result = await sendWebhook(options.webhook, webhookPayload);
+  const result = await deliverWebhook(payload, 'alert');
   
   if (!options.json) {
     if (result.success) {
       console.log(`${c('green')}✓ Webhook sent${c('reset')}`);
     } else {
-      console.log(`${c('red')}✗ Webhook failed: ${result.error || `HTTP ${result.statusCode}`}${c('reset')}`);
+      console.log(`${c('red')}✗ Webhook failed: ${describeWebhookFailure(result)}${c('reset')}`);
     }
   }
 
@@ -394,152 +740,403 @@ async function maybeNotifyWebhook(payload, alertTriggered) {
 }
 
 // ==========================================================================
-// Network List Command
+// Prometheus Metrics
 // ==========================================================================
 
-function listNetworks() {
-  if (options.json) {
-    const networks = {
-      schemaVersion: SCHEMA_VERSION,
-      evm: getNetworksByType('evm').map(key => {
-        const net = getNetwork(key);
-        return { key, name: net.name, symbol: net.nativeSymbol, chainId: net.chainId };
-      }),
-      solana: getNetworksByType('solana').map(key => {
-        const net = getNetwork(key);
-        return { key, name: net.name, symbol: net.nativeSymbol };
-      }),
-      ton: getNetworksByType('ton').map(key => {
-        const net = getNetwork(key);
-        return { key, name: net.name, symbol: net.nativeSymbol };
-      }),
-    };
-    console.log(JSON.stringify(networks, null, 2));
-    return;
-  }
+// Watch mode metrics registry (null without --metrics-port)
+let metrics = null;
 
-  console.log('\n📡 Supported Networks:\n');
-  
-  console.log('  EVM Chains:');
-  for (const key of getNetworksByType('evm')) {
-    const net = getNetwork(key);
-    console.log(`    ${c('cyan')}${key.padEnd(12)}${c('reset')} ${net.name} (${net.nativeSymbol})`);
-  }
-  
-  console.log('\n  Solana Chains:');
-  for (const key of getNetworksByType('solana')) {
-    const net = getNetwork(key);
-    console.log(`    ${c('cyan')}${key.padEnd(12)}${c('reset')} ${net.name} (${net.nativeSymbol})`);
+/**
+ * Parse a --metrics-port value: "9464", "127.0.0.1:9464" or "[::1]:9464".
+ * @returns {{host: string|undefined, port: number}|null} Null if invalid
+ */
+function parseListenAddress(value) {
+  const match = /^(?:\[?([^\]]*?)\]?:)?(\d{1,5})$/.exec(String(value).trim());
+  if (!match || Number(match[2]) > 65535) {
+    return null;
   }
+  return { host: match[1] || undefined, port: Number(match[2]) };
+}
 
-  console.log('\n  TON Chains:');
-  for (const key of getNetworksByType('ton')) {
-    const net = getNetwork(key);
-    console.log(`    ${c('cyan')}${key.padEnd(12)}${c('reset')} ${net.name} (${net.nativeSymbol})`);
+/**
+ * EndpointPool observer: RPC latency per endpoint attempt, and the
+ * attempts that failed over.
+ */
+function recordRpcRequest({ url, durationMs, status, error }) {
+  const endpoint = redactUrl(url);
+  observe(metrics, 'mcbd_rpc_request_duration_seconds', {
+    network: options.network,
+    endpoint,
+    status: error ? 'error' : status,
+  }, durationMs / 1000);
+  if (error || status === 429 || status >= 500) {
+    incCounter(metrics, 'mcbd_rpc_errors_total', { network: options.network, endpoint });
   }
-  
-  console.log('\nUsage:');
-  console.log('  mcbd --address <ADDR> --network mainnet');
-  console.log('  mcbd --address <ADDR> --network base');
-  console.log('  mcbd --address <ADDR> --network solana');
-  console.log('  mcbd --address <ADDR> --network ton --json\n');
 }
 
 // ==========================================================================
-// JSON Output Builder
+// Fiat Valuation
 // ==========================================================================
 
-function buildJsonOutput(networkConfig, address, balanceDiff, tokenBalances, adapter) {
-  const blockLabel = networkConfig.chainType === 'solana' ? 'slot' : 'block';
-  
+// USD prices from --prices (null when no price source is configured)
+let prices = null;
+
+/**
+ * usdValue/usdDiff for one balance; empty without a price source.
+ * Both are null when the asset has no price.
+ */
+function buildUsdJson(asset, raw, diff, decimals) {
+  if (!prices) {
+    return {};
+  }
+  const price = findPrice(prices, asset);
   return {
-    schemaVersion: SCHEMA_VERSION,
-    network: {
-      key: options.network,
-      name: networkConfig.name,
-      chainType: networkConfig.chainType,
-      chainId: networkConfig.chainId,
-    },
-    address,
-    explorer: adapter.getExplorerUrl(address),
-    [blockLabel]: {
-      current: balanceDiff.currentBlock,
-      previous: balanceDiff.previousBlock,
-    },
-    native: {
-      symbol: networkConfig.nativeSymbol,
-      decimals: networkConfig.nativeDecimals,
-      balance: formatBigInt(balanceDiff.current.raw, networkConfig.nativeDecimals),
-      balanceRaw: balanceDiff.current.raw.toString(),
-      diff: formatBigInt(balanceDiff.diff < 0n ? -balanceDiff.diff : balanceDiff.diff, networkConfig.nativeDecimals),
-      diffRaw: balanceDiff.diff.toString(),
-      diffSign: balanceDiff.diff >= 0n ? 'positive' : 'negative',
-    },
-    tokens: tokenBalances.map(token => ({
-      symbol: token.symbol,
-      address: token.address || token.mint,
-      decimals: token.decimals,
-      balance: token.formatted,
-      balanceRaw: token.raw.toString(),
-    })),
-    timestamp: new Date().toISOString(),
+    usdValue: toUsd(raw, decimals, price),
+    usdDiff: toUsd(diff, decimals, price),
+  };
+}
+
+/**
+ * USD totals over native and token balances, e.g. for several addresses
+ * or networks. Assets without a price are left out and listed.
+ * @param {{networkConfig: object, balanceDiff: object, tokenBalances: object[]}[]} items
+ * @returns {{totalValue: number, totalDiff: number, diffComplete: boolean, unpricedAssets: string[]}}
+ */
+function sumUsd(items) {
+  let totalValue = 0;
+  let totalDiff = 0;
+  let diffComplete = true;
+  const unpriced = new Set();
+
+  const add = (asset, raw, diff, decimals) => {
+    const price = findPrice(prices, asset);
+    if (price === null) {
+      unpriced.add(asset.symbol);
+      return;
+    }
+    totalValue += toUsd(raw, decimals, price);
+    if (diff === null) {
+      diffComplete = false;
+    } else {
+      totalDiff += toUsd(diff, decimals, price);
+    }
+  };
+
+  for (const { networkConfig, balanceDiff, tokenBalances } of items) {
+    add({ symbol: networkConfig.nativeSymbol }, balanceDiff.current.raw, balanceDiff.diff, networkConfig.nativeDecimals);
+    for (const token of tokenBalances) {
+      add(token, token.raw, token.diff, token.decimals);
+    }
+  }
+
+  return {
+    totalValue: Math.round(totalValue * 100) / 100,
+    totalDiff: Math.round(totalDiff * 100) / 100 || 0,
+    diffComplete,
+    unpricedAssets: [...unpriced],
   };
 }
 
-function buildMultiAddressJsonOutput(networkConfig, results) {
+/**
+ * Combine USD totals (from sumUsd) of several outputs.
+ */
+function combineUsd(totals) {
   return {
-    schemaVersion: SCHEMA_VERSION,
-    network: {
-      key: options.network,
-      name: networkConfig.name,
-      chainType: networkConfig.chainType,
-      chainId: networkConfig.chainId,
-    },
-    addresses: results,
-    summary: {
-      totalAddresses: results.length,
-      successCount: results.filter(r => !r.error).length,
-      errorCount: results.filter(r => r.error).length,
-    },
-    timestamp: new Date().toISOString(),
+    totalValue: Math.round(totals.reduce((sum, t) => sum + t.totalValue, 0) * 100) / 100,
+    totalDiff: Math.round(totals.reduce((sum, t) => sum + t.totalDiff, 0) * 100) / 100 || 0,
+    diffComplete: totals.every(t => t.diffComplete),
+    unpricedAssets: [...new Set(totals.flatMap(t => t.unpricedAssets))],
   };
 }
 
+/**
+ * One-line USD total for pretty output.
+ */
+function formatUsdTotal(usd) {
+  const partial = usd.diffComplete ? '' : ` ${c('dim')}(partial: some diffs unavailable)${c('reset')}`;
+  const unpriced = usd.unpricedAssets.length > 0
+    ? ` ${c('dim')}(no price: ${usd.unpricedAssets.join(', ')})${c('reset')}`
+    : '';
+  return `${formatUsd(usd.totalValue)}  ${formatUsdDiffColored(usd.totalDiff)}${partial}${unpriced}`;
+}
+
 // ==========================================================================
-// Pretty Print Output
+// Network List Command
 // ==========================================================================
 
-function printPrettyOutput(networkConfig, address, balanceDiff, tokenBalances, adapter, blocksBack, isMulti = false) {
-  if (!isMulti) {
-    console.log();
-    printSeparator('═');
-  }
-  printHeader(`  ${isMulti ? address : networkConfig.name}`);
-  printSeparator('─');
-  
-  if (!isMulti) {
-    const blockLabel = networkConfig.chainType === 'solana' ? 'Current slot' : 'Current block';
-    printKeyValue(blockLabel, balanceDiff.currentBlock.toLocaleString());
-    printKeyValue('Address', address);
+// Section titles for --list-networks
+const CHAIN_TYPE_TITLES = {
+  evm: 'EVM Chains',
+  solana: 'Solana Chains',
+  ton: 'TON Chains',
+  bitcoin: 'Bitcoin',
+  cosmos: 'Cosmos SDK Chains',
+  tron: 'Tron',
+};
+
+function listNetworks() {
+  const entry = (key) => {
+    const net = getNetwork(key);
+    return {
+      key,
+      name: net.name,
+      symbol: net.nativeSymbol,
+      ...(net.chainType === 'evm' && { chainId: net.chainId }),
+      ...(net.custom && { custom: true }),
+    };
+  };
+
+  if (options.json) {
+    const networks = { schemaVersion: SCHEMA_VERSION };
+    for (const chainType of getSupportedChainTypes()) {
+      networks[chainType] = getNetworksByType(chainType).map(entry);
+    }
+    console.log(JSON.stringify(networks, null, 2));
+    return;
   }
-  printKeyValue('Explorer', adapter.getExplorerUrl(address));
-  
-  printSeparator('─');
-  
-  // Native balance
-  const nativeFormatted = `${formatBigInt(balanceDiff.current.raw, networkConfig.nativeDecimals)} ${networkConfig.nativeSymbol}`;
-  printKeyValue('Native balance', nativeFormatted);
+
+  console.log('\n📡 Supported Networks:\n');
+  getSupportedChainTypes().forEach((chainType, i) => {
+    if (i > 0) {
+      console.log('');
+    }
+    console.log(`  ${CHAIN_TYPE_TITLES[chainType] || chainType}:`);
+    for (const key of getNetworksByType(chainType)) {
+      const net = getNetwork(key);
+      const custom = net.custom ? ` ${c('dim')}[config]${c('reset')}` : '';
+      console.log(`    ${c('cyan')}${key.padEnd(16)}${c('reset')} ${net.name} (${net.nativeSymbol})${custom}`);
+    }
+  });
+  
+  console.log('\nUsage:');
+  console.log('  mcbd --address <ADDR> --network mainnet');
+  console.log('  mcbd --address <ADDR> --network base');
+  console.log('  mcbd --address <ADDR> --network solana');
+  console.log('  mcbd --address <ADDR> --network ton --json\n');
+}
+
+// ==========================================================================
+// Webhook Replay
+// ==========================================================================
+
+/**
+ * --replay-webhooks: resend the dead-lettered webhooks, to --webhook if
+ * given, otherwise to the URL each one failed on. Exits 0 when everything
+ * was delivered, 2 when some stay in the file.
+ */
+async function replayWebhooks() {
+  const file = options.replayWebhooks === true ? deadLetterFile() : options.replayWebhooks;
+
+  let outcomes;
+  try {
+    const pending = readDeadLetters(file).length;
+    if (!options.json) {
+      console.log(`\n📬 Replaying ${pending} webhook${pending === 1 ? '' : 's'} from ${file}\n`);
+    }
+    outcomes = await replayDeadLetters(file, { ...webhookDelivery, url: options.webhook });
+  } catch (error) {
+    if (options.json) {
+      console.log(JSON.stringify({ schemaVersion: SCHEMA_VERSION, error: `Could not replay webhooks: ${error.message}` }));
+    } else {
+      console.error(`\n❌ Could not replay webhooks: ${error.message}\n`);
+    }
+    process.exit(1);
+  }
+
+  const failed = outcomes.filter(({ result }) => !result.success).length;
+
+  if (options.json) {
+    console.log(JSON.stringify({
+      schemaVersion: SCHEMA_VERSION,
+      deadLetter: file,
+      delivered: outcomes.length - failed,
+      failed,
+      deliveries: outcomes.map(({ entry, result }) => ({
+        url: redactUrl(options.webhook || entry.url),
+        trigger: entry.trigger ?? null,
+        failedAt: entry.failedAt,
+        success: result.success,
+        statusCode: result.statusCode ?? null,
+        attempts: result.attempts,
+        ...(result.error && { error: result.error }),
+      })),
+    }, null, 2));
+  } else {
+    for (const { entry, result } of outcomes) {
+      const what = `${entry.trigger || 'webhook'} from ${entry.failedAt} → ${redactUrl(options.webhook || entry.url)}`;
+      if (result.success) {
+        console.log(`  ${c('green')}✓ ${what}${c('reset')}`);
+      } else {
+        console.log(`  ${c('red')}✗ ${what}: ${describeWebhookFailure(result)}${c('reset')}`);
+      }
+    }
+    console.log(`\n${outcomes.length - failed} delivered, ${failed} still in ${file}\n`);
+  }
+
+  process.exit(failed > 0 ? EXIT_RPC_ERROR : EXIT_OK);
+}
+
+// ==========================================================================
+// JSON Output Builder
+// ==========================================================================
+
+function buildNetworkInfo(networkKey, networkConfig, adapter = null) {
+  const info = {
+    key: networkKey,
+    name: networkConfig.name,
+    chainType: networkConfig.chainType,
+    chainId: networkConfig.chainId,
+  };
+  // Endpoint that actually served the data (may be a failover endpoint)
+  const endpoint = adapter?.getEndpoint();
+  if (endpoint) {
+    info.endpoint = endpoint;
+  }
+  return info;
+}
+
+function buildAlertInfo(alert) {
+  return {
+    threshold: options.alertIfDiff || null,
+    thresholdPct: options.alertPct || null,
+    triggered: alert.triggered,
+    triggeredBy: alert.triggeredBy,
+    asset: alert.asset,
+    ...(alert.rule && { rule: buildRuleJson(alert.rule) }),
+  };
+}
+
+/**
+ * JSON form of an alert rule, as written in the profile.
+ */
+function buildRuleJson(rule) {
+  return {
+    name: rule.name,
+    network: rule.network || null,
+    address: rule.address || null,
+    asset: rule.asset || null,
+    [rule.kind === 'absolute' ? 'diff' : 'pct']: rule.condition,
+  };
+}
+
+/**
+ * Block/slot range for JSON output. Time-based lookbacks also carry
+ * the timestamps of the resolved blocks.
+ */
+function buildRangeInfo(balanceDiff) {
+  const range = {
+    current: balanceDiff.currentBlock,
+    previous: balanceDiff.previousBlock,
+  };
+  if (balanceDiff.currentTimestamp !== undefined) {
+    range.currentTimestamp = new Date(balanceDiff.currentTimestamp * 1000).toISOString();
+    range.previousTimestamp = new Date(balanceDiff.previousTimestamp * 1000).toISOString();
+  }
+  return range;
+}
+
+function buildJsonOutput(networkKey, networkConfig, address, balanceDiff, tokenBalances, adapter) {
+  const blockLabel = networkConfig.chainType === 'solana' ? 'slot' : 'block';
+  const explorer = adapter.getExplorerUrl(address);
+  
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    network: buildNetworkInfo(networkKey, networkConfig, adapter),
+    address,
+    ...(explorer && { explorer }),
+    [blockLabel]: buildRangeInfo(balanceDiff),
+    native: {
+      symbol: networkConfig.nativeSymbol,
+      decimals: networkConfig.nativeDecimals,
+      balance: formatBigInt(balanceDiff.current.raw, networkConfig.nativeDecimals),
+      balanceRaw: balanceDiff.current.raw.toString(),
+      ...buildDiffJson(balanceDiff.diff, networkConfig.nativeDecimals, balanceDiff.diffUnavailableReason),
+      ...buildUsdJson({ symbol: networkConfig.nativeSymbol }, balanceDiff.current.raw, balanceDiff.diff, networkConfig.nativeDecimals),
+    },
+    tokens: tokenBalances.map(buildTokenJson),
+    ...(prices && { usd: sumUsd([{ networkConfig, balanceDiff, tokenBalances }]) }),
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * JSON entry for a token balance and its diff.
+ */
+function buildTokenJson(token) {
+  return {
+    symbol: token.symbol,
+    address: token.address || token.mint || token.master || token.denom,
+    decimals: token.decimals,
+    balance: token.formatted,
+    balanceRaw: token.raw.toString(),
+    ...(token.discovered && { discovered: true }),
+    previousBalance: token.previous?.formatted ?? null,
+    previousBalanceRaw: token.previous?.raw.toString() ?? null,
+    ...buildDiffJson(token.diff, token.decimals, token.diffUnavailableReason),
+    ...buildUsdJson(token, token.raw, token.diff, token.decimals),
+  };
+}
+
+function buildMultiAddressJsonOutput(networkKey, networkConfig, results, adapter = null) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    network: buildNetworkInfo(networkKey, networkConfig, adapter),
+    addresses: results,
+    summary: {
+      totalAddresses: results.length,
+      successCount: results.filter(r => !r.error).length,
+      errorCount: results.filter(r => r.error).length,
+      ...(prices && { usd: combineUsd(results.filter(r => r.usd).map(r => r.usd)) }),
+    },
+    timestamp: new Date().toISOString(),
+  };
+}
+
+// ==========================================================================
+// Pretty Print Output
+// ==========================================================================
+
+function printPrettyOutput(networkConfig, address, balanceDiff, tokenBalances, adapter, lookback, isMulti = false) {
+  if (!isMulti) {
+    console.log();
+    printSeparator('═');
+  }
+  printHeader(`  ${isMulti ? address : networkConfig.name}`);
+  printSeparator('─');
+  
+  if (!isMulti) {
+    const blockLabel = networkConfig.chainType === 'solana' ? 'Current slot' : 'Current block';
+    printKeyValue(blockLabel, balanceDiff.currentBlock.toLocaleString());
+    printKeyValue('Address', address);
+  }
+  const explorerUrl = adapter.getExplorerUrl(address);
+  if (explorerUrl) {
+    printKeyValue('Explorer', explorerUrl);
+  }
+  if (!isMulti && networkConfig.rpcUrls?.length > 1) {
+    printKeyValue('RPC', adapter.getEndpoint());
+  }
+  
+  printSeparator('─');
+  
+  // Native balance
+  const nativeUsd = buildUsdJson({ symbol: networkConfig.nativeSymbol }, balanceDiff.current.raw, balanceDiff.diff, networkConfig.nativeDecimals);
+  const nativeFormatted = `${formatBigInt(balanceDiff.current.raw, networkConfig.nativeDecimals)} ${networkConfig.nativeSymbol}`;
+  printKeyValue('Native balance', `${nativeFormatted}${formatUsdSuffix(nativeUsd.usdValue)}`);
   
   // Diff
   const diffColored = formatDiffColored(
     balanceDiff.diff,
     networkConfig.nativeSymbol,
     networkConfig.nativeDecimals
-  );
+  ) + (nativeUsd.usdDiff != null ? ` ${c('dim')}(${formatUsd(nativeUsd.usdDiff, true)})${c('reset')}` : '');
   const rangeLabel = networkConfig.chainType === 'solana' ? 'slots' : 'blocks';
-  console.log(`  ${c('cyan')}Δ over ${blocksBack} ${rangeLabel}:${c('reset')} ${diffColored}`);
+  console.log(`  ${c('cyan')}Δ over ${describeLookback(lookback, rangeLabel)}:${c('reset')} ${diffColored}`);
+  if (balanceDiff.diff === null) {
+    console.log(`    ${c('dim')}(history unavailable: ${balanceDiff.diffUnavailableReason})${c('reset')}`);
+  }
   
-  if (!isMulti) {
+  if (!isMulti && balanceDiff.diff !== null) {
     console.log(`    ${c('dim')}(${balanceDiff.previousBlock.toLocaleString()} → ${balanceDiff.currentBlock.toLocaleString()})${c('reset')}`);
   }
 
@@ -553,13 +1150,22 @@ function printPrettyOutput(networkConfig, address, balanceDiff, tokenBalances, a
         minimumFractionDigits: 2,
         maximumFractionDigits: 6,
       });
-      console.log(`    ${c('cyan')}${token.symbol.padEnd(10)}${c('reset')} ${amount}`);
+      const tokenDiff = token.diff !== 0n
+        ? `  ${formatDiffColored(token.diff, token.symbol, token.decimals)}`
+        : '';
+      const tokenUsd = formatUsdSuffix(buildUsdJson(token, token.raw, token.diff, token.decimals).usdValue);
+      console.log(`    ${c('cyan')}${token.symbol.padEnd(10)}${c('reset')} ${amount.padStart(16)}${tokenDiff}${tokenUsd}`);
     }
-  } else if (options.tokens && networkConfig.tokens.length > 0) {
+  } else if (options.tokens && (networkConfig.tokens.length > 0 || options.discoverTokens)) {
     printSeparator('─');
     console.log(`  ${c('dim')}Tokens: (no balances found)${c('reset')}`);
   }
 
+  if (!isMulti && prices) {
+    printSeparator('─');
+    printKeyValue('Total (USD)', formatUsdTotal(sumUsd([{ networkConfig, balanceDiff, tokenBalances }])));
+  }
+
   if (!isMulti) {
     printSeparator('═');
     printSponsorHint();
@@ -571,7 +1177,7 @@ function printSponsorHint() {
   console.log(`  ${c('dim')}★ Tips: 0x0a54...dc5e · github.com/metawake/multi-chain-balance-diff${c('reset')}`);
 }
 
-function printMultiAddressSummary(networkConfig, results, blocksBack) {
+function printMultiAddressSummary(networkConfig, results, lookback, showFooter = true) {
   console.log();
   printSeparator('═');
   printHeader(`  ${networkConfig.name} — ${results.length} addresses`);
@@ -579,6 +1185,7 @@ function printMultiAddressSummary(networkConfig, results, blocksBack) {
   
   let totalNative = 0n;
   let totalDiff = 0n;
+  let partialDiff = false;
   
   for (const result of results) {
     if (result.error) {
@@ -591,17 +1198,28 @@ function printMultiAddressSummary(networkConfig, results, blocksBack) {
       console.log(`  ${c('green')}✓${c('reset')} ${shortAddr}  ${balance.padStart(12)} ${networkConfig.nativeSymbol}  ${diff}`);
       
       totalNative += result.balanceDiff.current.raw;
-      totalDiff += result.balanceDiff.diff;
+      if (result.balanceDiff.diff === null) {
+        partialDiff = true;
+      } else {
+        totalDiff += result.balanceDiff.diff;
+      }
     }
   }
   
   printSeparator('─');
   const totalFormatted = formatBigInt(totalNative, networkConfig.nativeDecimals);
   const totalDiffColored = formatDiffColored(totalDiff, networkConfig.nativeSymbol, networkConfig.nativeDecimals);
-  console.log(`  ${c('bright')}Total:${c('reset')}      ${totalFormatted.padStart(12)} ${networkConfig.nativeSymbol}  ${totalDiffColored}`);
+  const partialNote = partialDiff ? ` ${c('dim')}(partial: some diffs unavailable)${c('reset')}` : '';
+  console.log(`  ${c('bright')}Total:${c('reset')}      ${totalFormatted.padStart(12)} ${networkConfig.nativeSymbol}  ${totalDiffColored}${partialNote}`);
+  if (prices) {
+    const usd = sumUsd(results.filter(r => !r.error).map(r => ({ networkConfig, ...r })));
+    console.log(`  ${c('bright')}Total USD:${c('reset')}  ${formatUsdTotal(usd)}`);
+  }
   printSeparator('═');
-  printSponsorHint();
-  console.log();
+  if (showFooter) {
+    printSponsorHint();
+    console.log();
+  }
 }
 
 // ==========================================================================
@@ -610,8 +1228,14 @@ function printMultiAddressSummary(networkConfig, results, blocksBack) {
 
 /**
  * Build a single poll result for JSON output.
+ * @param {object} networkConfig - Network configuration
+ * @param {string} address - Wallet address
+ * @param {object|null} balanceDiff - Native balance diff
+ * @param {object[]|null} tokenBalances - Token balances, or null if tokens are not checked
+ * @param {(string|null)[]} breaches - Thresholds breached per asset (see checkAssetThresholds)
+ * @param {Error} [error] - Poll error
  */
-function buildPollResult(networkConfig, address, balanceDiff, alertTriggered, error = null) {
+function buildPollResult(networkConfig, address, balanceDiff, tokenBalances, breaches, error = null) {
   if (error) {
     return {
       schemaVersion: SCHEMA_VERSION,
@@ -623,6 +1247,7 @@ function buildPollResult(networkConfig, address, balanceDiff, alertTriggered, er
   }
   
   const blockLabel = networkConfig.chainType === 'solana' ? 'slot' : 'block';
+  const first = breaches.findIndex(Boolean);
   return {
     schemaVersion: SCHEMA_VERSION,
     timestamp: new Date().toISOString(),
@@ -630,10 +1255,14 @@ function buildPollResult(networkConfig, address, balanceDiff, alertTriggered, er
     [blockLabel]: balanceDiff.currentBlock,
     balance: formatBigInt(balanceDiff.current.raw, networkConfig.nativeDecimals),
     balanceRaw: balanceDiff.current.raw.toString(),
-    diff: formatBigInt(balanceDiff.diff < 0n ? -balanceDiff.diff : balanceDiff.diff, networkConfig.nativeDecimals),
-    diffRaw: balanceDiff.diff.toString(),
-    diffSign: balanceDiff.diff >= 0n ? 'positive' : 'negative',
-    alert: alertTriggered,
+    ...buildDiffJson(balanceDiff.diff, networkConfig.nativeDecimals, balanceDiff.diffUnavailableReason),
+    ...buildUsdJson({ symbol: networkConfig.nativeSymbol }, balanceDiff.current.raw, balanceDiff.diff, networkConfig.nativeDecimals),
+    ...(tokenBalances && {
+      tokens: tokenBalances.map((token, i) => ({ ...buildTokenJson(token), alert: Boolean(breaches[i + 1]) })),
+    }),
+    alert: first !== -1,
+    alertAsset: first === -1 ? null : first === 0 ? networkConfig.nativeSymbol : tokenBalances[first - 1].symbol,
+    alertTriggeredBy: first === -1 ? null : breachName(breaches[first]),
   };
 }
 
@@ -653,32 +1282,132 @@ function isRpcError(error) {
  * Watch mode: poll balances periodically with CI-friendly semantics.
  * 
  * Behavior:
- * - Polls at --interval seconds
+ * - Polls every address at --interval seconds, over one block range per poll
+ * - Polls token balances too unless --no-tokens (tokens are resolved on
+ *   the first poll, so --discover-tokens scans once)
+ * - With --subscribe, polls on WebSocket notifications instead: account
+ *   changes right away, new blocks at most once per --interval. Falls
+ *   back to the interval without a wsUrl or when the socket drops or
+ *   stops answering pings
  * - Exits after --count polls (if specified)
  * - Exits immediately on threshold breach (if --exit-on-diff)
  * - Exits immediately on RPC error (if --exit-on-error)
- * - JSON mode outputs newline-delimited JSON (one object per poll)
+ * - JSON mode outputs newline-delimited JSON (one object per address per poll)
+ * - With --metrics-port, serves Prometheus metrics updated on every poll
  * 
  * Exit codes:
  * - 0: Completed without threshold breach
- * - 1: Threshold breached
+ * - 1: Threshold breached (any address)
  * - 2: RPC error (with --exit-on-error)
  * - 130: SIGINT
  */
-async function watchMode(adapter, networkConfig, address, blocksBack) {
+async function watchMode(adapter, networkConfig, addresses, lookback, checkTokens) {
   const intervalMs = parseInt(options.interval, 10) * 1000;
   const maxPolls = options.count ? parseInt(options.count, 10) : Infinity;
   const exitOnError = options.exitOnError;
   const exitOnDiff = options.exitOnDiff;
   const threshold = parseThreshold(options.alertIfDiff);
   const pctThreshold = parseThreshold(options.alertPct);
+  const alertAfter = parseInt(options.alertAfter, 10);
+  const alertCooldownMs = options.alertCooldown ? parseDuration(options.alertCooldown) * 1000 : 0;
+  const multiple = addresses.length > 1;
   
   let pollCount = 0;
-  let lastBalance = null;
+  // Triggered/resolved state per address, asset and condition
+  const alertState = createAlertState();
+  // Balance at the previous poll, per address and asset (for "since last" deltas)
+  const lastBalances = new Map();
+  // Tokens to poll, resolved on the first successful poll
+  let tokens = checkTokens ? null : [];
+  let lastEndpoint = adapter.getEndpoint();
   let shouldExit = false;
   let exitCode = EXIT_OK;
   let intervalId = null;
   
+  // Polls never overlap: updates arriving during one collapse into a
+  // single follow-up poll
+  let polling = false;
+  let pollAgain = false;
+  let lastPollAt = 0;
+  let blockTimer = null;
+  let ready = false;
+  
+  const runPoll = async () => {
+    if (polling) {
+      pollAgain = true;
+      return;
+    }
+    polling = true;
+    lastPollAt = Date.now();
+    try {
+      await tick();
+    } finally {
+      polling = false;
+    }
+    if (pollAgain) {
+      pollAgain = false;
+      await runPoll();
+    }
+  };
+  
+  // --subscribe: account changes are polled right away, new blocks at
+  // most once per --interval (a block mid-interval waits for its end)
+  const onUpdate = (kind) => {
+    if (!ready) {
+      // The first poll is about to run anyway
+      return;
+    }
+    if (kind === 'account') {
+      clearTimeout(blockTimer);
+      blockTimer = null;
+      runPoll();
+    } else if (!blockTimer) {
+      blockTimer = setTimeout(() => {
+        blockTimer = null;
+        runPoll();
+      }, Math.max(0, lastPollAt + intervalMs - Date.now()));
+    }
+  };
+  
+  let socket = null;
+  if (options.subscribe) {
+    const fallback = `polling every ${options.interval}s`;
+    try {
+      socket = await adapter.subscribe(addresses, {
+        onUpdate,
+        onClose: (error) => {
+          // Also reached when the socket drops while subscribing
+          if (intervalId) return;
+          console.error(`⚠️  ${error.message}; ${fallback}`);
+          clearTimeout(blockTimer);
+          intervalId = setInterval(runPoll, intervalMs);
+        },
+      });
+      if (!socket) {
+        console.error(`⚠️  No WebSocket subscriptions for ${networkConfig.name} (set wsUrl); ${fallback}`);
+      }
+    } catch (error) {
+      console.error(`⚠️  Could not subscribe on ${networkConfig.name}: ${error.message}; ${fallback}`);
+    }
+  }
+  
+  // --metrics-port: serve /metrics for the lifetime of the watch
+  let metricsServer = null;
+  if (metrics) {
+    const { host, port } = parseListenAddress(options.metricsPort);
+    try {
+      metricsServer = await startMetricsServer(metrics, port, host);
+    } catch (error) {
+      const message = `Could not serve metrics on ${options.metricsPort}: ${error.message}`;
+      if (options.json) {
+        console.log(JSON.stringify({ schemaVersion: SCHEMA_VERSION, error: message }));
+      } else {
+        console.error(`\n❌ ${message}\n`);
+      }
+      process.exit(1);
+    }
+  }
+  
   // JSON mode: output watch metadata at start
   if (options.json) {
     const meta = {
@@ -686,18 +1415,31 @@ async function watchMode(adapter, networkConfig, address, blocksBack) {
       type: 'watch_start',
       timestamp: new Date().toISOString(),
       network: options.network,
-      address,
+      ...(multiple ? {} : { address: addresses[0] }),
+      addresses,
       interval: parseInt(options.interval, 10),
+      subscribed: socket !== null,
       count: options.count ? parseInt(options.count, 10) : null,
       threshold: options.alertIfDiff || null,
       thresholdPct: options.alertPct || null,
+      ...(alertRules.length > 0 && { alertRules: alertRules.map(buildRuleJson) }),
+      alertAfter,
+      alertCooldown: alertCooldownMs / 1000 || null,
+      metricsPort: metricsServer ? metricsServer.address().port : null,
     };
     console.log(JSON.stringify(meta));
   } else {
     console.log();
-    console.log(`🔄 ${c('bright')}Watch mode${c('reset')} — monitoring ${address.slice(0, 8)}...${address.slice(-6)}`);
+    const target = multiple
+      ? `${addresses.length} addresses`
+      : `${addresses[0].slice(0, 8)}...${addresses[0].slice(-6)}`;
+    console.log(`🔄 ${c('bright')}Watch mode${c('reset')} — monitoring ${target}`);
     console.log(`   Network: ${networkConfig.name}`);
-    console.log(`   Interval: ${options.interval}s`);
+    if (socket) {
+      console.log(`   Updates: ${socket.endpoint} (new blocks at most every ${options.interval}s)`);
+    } else {
+      console.log(`   Interval: ${options.interval}s`);
+    }
     if (maxPolls !== Infinity) {
       console.log(`   Count: ${maxPolls} polls`);
     }
@@ -707,83 +1449,266 @@ async function watchMode(adapter, networkConfig, address, blocksBack) {
     if (pctThreshold) {
       console.log(`   Threshold (%): ${options.alertPct}`);
     }
+    for (const rule of alertRules) {
+      console.log(`   Rule: ${rule.name}`);
+    }
+    if (options.webhook) {
+      console.log(`   Webhook: ${redactUrl(options.webhook)}${webhookDelivery.secret ? ' (signed)' : ''}`);
+    }
+    if (alertAfter > 1 || alertCooldownMs > 0) {
+      const cooldown = alertCooldownMs > 0 ? `, at most every ${options.alertCooldown}` : '';
+      console.log(`   Alerts: after ${alertAfter} breaching poll${alertAfter > 1 ? 's' : ''}${cooldown}`);
+    }
+    if (metricsServer) {
+      const { address, port } = metricsServer.address();
+      const host = options.metricsPort.includes(':') ? (address.includes(':') ? `[${address}]` : address) : 'localhost';
+      console.log(`   Metrics: http://${host}:${port}/metrics`);
+    }
     console.log(`   Press Ctrl+C to exit`);
     console.log();
     printSeparator('─');
   }
   
+  // Query one address over the poll's range; errors are reported per address
+  const pollAddress = async (address, range) => {
+    try {
+      return { address, balanceDiff: await adapter.getNativeBalanceDiff(address, range) };
+    } catch (error) {
+      return { address, error };
+    }
+  };
+  
+  // Token diffs over the same range, batched across addresses
+  const pollTokens = async (polls, range) => {
+    const fetched = polls.filter(poll => !poll.error);
+    if (!checkTokens || fetched.length === 0) {
+      return polls;
+    }
+    try {
+      if (tokens === null) {
+        tokens = await resolveTokens(adapter, networkConfig, addresses, range);
+      }
+      const diffs = tokens.length > 0
+        ? await adapter.getTokenBalanceDiffsForAddresses(fetched.map(poll => poll.address), tokens, range.currentBlock, range.previousBlock)
+        : new Map();
+      return polls.map(poll => poll.error ? poll : { ...poll, tokenBalances: diffs.get(poll.address) || [] });
+    } catch (error) {
+      return polls.map(poll => poll.error ? poll : { address: poll.address, error });
+    }
+  };
+  
+  // alert_triggered / alert_resolved: an NDJSON event, or a line under the poll
+  const buildAlertEventJson = ({ type, check, breachingPolls, triggeredAt }, address) => {
+    const rule = typeof check.condition === 'object' ? check.condition : null;
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      type,
+      timestamp: new Date().toISOString(),
+      network: options.network,
+      address,
+      asset: check.asset,
+      triggeredBy: check.triggeredBy,
+      condition: formatCondition(check.condition),
+      ...(rule && { rule: buildRuleJson(rule) }),
+      ...buildDiffJson(check.diff, check.decimals),
+      ...(type === 'alert_triggered'
+        ? { breachingPolls }
+        : { triggeredAt: new Date(triggeredAt).toISOString(), durationSeconds: Math.round((Date.now() - triggeredAt) / 1000) }),
+    };
+  };
+  
+  const printAlertEvent = (event, address, label) => {
+    const { type, check, breachingPolls, triggeredAt } = event;
+    const rule = typeof check.condition === 'object' ? check.condition : null;
+    if (options.json) {
+      console.log(JSON.stringify(buildAlertEventJson(event, address)));
+    } else if (type === 'alert_triggered') {
+      const polls = breachingPolls > 1 ? ` after ${breachingPolls} polls` : '';
+      console.log(`  ${c('yellow')}🔔 ${label}Alert: ${describeCondition(rule || check.triggeredBy)} triggered (${check.asset})${polls}${c('reset')}`);
+    } else {
+      const duration = Math.round((Date.now() - triggeredAt) / 1000);
+      console.log(`  ${c('green')}✅ ${label}Resolved: ${describeCondition(rule || check.triggeredBy)} (${check.asset}) after ${duration}s${c('reset')}`);
+    }
+  };
+  
+  // --webhook: one delivery per alert event, carrying the poll line and
+  // the event; the outcome goes to the stream as a `webhook` line
+  const notifyAlertEvent = async (event, pollResult, label) => {
+    const alertEvent = buildAlertEventJson(event, pollResult.address);
+    const explorer = adapter.getExplorerUrl(pollResult.address);
+    const result = await deliverWebhook({ ...pollResult, network: options.network, ...(explorer && { explorer }), alertEvent }, event.type);
+    
+    if (options.json) {
+      console.log(JSON.stringify({
+        schemaVersion: SCHEMA_VERSION,
+        type: 'webhook',
+        timestamp: new Date().toISOString(),
+        address: pollResult.address,
+        event: event.type,
+        asset: alertEvent.asset,
+        triggeredBy: alertEvent.triggeredBy,
+        success: result.success,
+        statusCode: result.statusCode ?? null,
+        attempts: result.attempts ?? 0,
+        ...(result.error && { error: result.error }),
+        ...(result.deadLetter && { deadLetter: result.deadLetter }),
+      }));
+    } else if (result.success) {
+      console.log(`  ${c('green')}✓ ${label}Webhook sent${c('reset')}`);
+    } else {
+      console.log(`  ${c('red')}✗ ${label}Webhook failed: ${describeWebhookFailure(result)}${c('reset')}`);
+    }
+  };
+  
+  // "(+x since last)" for a balance seen at the previous poll
+  const sinceLast = (key, raw, decimals) => {
+    const last = lastBalances.get(key);
+    lastBalances.set(key, raw);
+    if (last === undefined || raw === last) {
+      return '';
+    }
+    const delta = raw - last;
+    const deltaFormatted = formatBigInt(delta < 0n ? -delta : delta, decimals);
+    const sign = delta >= 0n ? '+' : '-';
+    const color = delta >= 0n ? c('green') : c('red');
+    return ` ${color}(${sign}${deltaFormatted} since last)${c('reset')}`;
+  };
+  
+  // --metrics-port: balances and diffs of a successful poll
+  const recordBalanceMetrics = (address, balanceDiff, tokenBalances) => {
+    const assets = [
+      { asset: networkConfig.nativeSymbol, token: '', raw: balanceDiff.current.raw, diff: balanceDiff.diff, decimals: networkConfig.nativeDecimals },
+      ...tokenBalances.map(token => ({
+        asset: token.symbol,
+        token: token.address || token.mint || token.master || token.denom,
+        raw: token.raw,
+        diff: token.diff,
+        decimals: token.decimals,
+      })),
+    ];
+    for (const { asset, token, raw, diff, decimals } of assets) {
+      const labels = { network: options.network, address, asset, token };
+      setGauge(metrics, 'mcbd_balance', labels, bigintToNumber(raw, decimals));
+      setGauge(metrics, 'mcbd_balance_diff', labels, diff == null ? NaN : bigintToNumber(diff, decimals));
+    }
+  };
+  
   const tick = async () => {
     pollCount++;
     
+    // Time windows are re-resolved on every poll, so --since slides.
+    // All addresses share the range, so their lines line up per poll.
+    let polls;
     try {
-      const balanceDiff = await adapter.getNativeBalanceDiff(address, blocksBack);
+      const range = await adapter.resolveBlockRange(lookback);
+      polls = await Promise.all(addresses.map(address => pollAddress(address, range)));
+      polls = await pollTokens(polls, range);
+    } catch (error) {
+      polls = addresses.map(address => ({ address, error }));
+    }
+    
+    if (!options.json && adapter.getEndpoint() !== lastEndpoint) {
+      console.log(`  ${c('dim')}↪ RPC failover: now using ${adapter.getEndpoint()}${c('reset')}`);
+    }
+    lastEndpoint = adapter.getEndpoint();
+    
+    for (const { address, balanceDiff, tokenBalances = [], error } of polls) {
+      // Prefix pretty lines with the address when watching several
+      const label = multiple ? `${address.slice(0, 6)}...${address.slice(-4)}  ` : '';
+      if (metrics) {
+        incCounter(metrics, 'mcbd_polls_total', { network: options.network, address });
+      }
       
-      // Check absolute threshold
-      const absTriggered = checkThreshold(
-        balanceDiff.diff, 
-        networkConfig.nativeDecimals, 
-        threshold
-      );
+      if (error) {
+        if (options.json) {
+          const result = buildPollResult(networkConfig, address, null, null, [], error);
+          result.poll = pollCount;
+          console.log(JSON.stringify(result));
+        } else {
+          console.log(`  [${formatTimestamp()}] ${label}${c('red')}Error: ${error.message}${c('reset')}`);
+        }
+        
+        if (exitOnError && isRpcError(error)) {
+          shouldExit = true;
+          // An alert on another address still decides the exit code
+          if (exitCode !== EXIT_DIFF) exitCode = EXIT_RPC_ERROR;
+        }
+        continue;
+      }
       
-      // Check percentage threshold
-      const pctTriggered = checkPercentageThreshold(
-        balanceDiff.diff,
-        balanceDiff.previous.raw,
-        networkConfig.nativeDecimals,
-        pctThreshold
-      );
+      // Thresholds and alert rules apply to native and each token separately
+      const conditions = checkAssetConditions(networkConfig, balanceDiff, tokenBalances, threshold, pctThreshold, { network: options.network, address });
+      const breaches = conditions.map(firstBreach);
+      const alertTriggered = breaches.some(Boolean);
       
-      const alertTriggered = absTriggered || pctTriggered;
+      const result = buildPollResult(networkConfig, address, balanceDiff, checkTokens ? tokenBalances : null, breaches);
+      result.poll = pollCount;
+      result.endpoint = adapter.getEndpoint();
+      if (metrics) {
+        recordBalanceMetrics(address, balanceDiff, tokenBalances);
+      }
       
       if (options.json) {
         // Newline-delimited JSON for streaming
-        const result = buildPollResult(networkConfig, address, balanceDiff, alertTriggered);
-        result.poll = pollCount;
         console.log(JSON.stringify(result));
       } else {
-        // Pretty output
+        // Pretty output: native first, then each token on the same line
+        const alertMark = (breached) => breached ? ` ${c('yellow')}⚠${c('reset')}` : '';
         const currentBalance = formatBigInt(balanceDiff.current.raw, networkConfig.nativeDecimals);
-        const diff = formatDiffColored(balanceDiff.diff, networkConfig.nativeSymbol, networkConfig.nativeDecimals);
+        const { usdDiff } = buildUsdJson({ symbol: networkConfig.nativeSymbol }, balanceDiff.current.raw, balanceDiff.diff, networkConfig.nativeDecimals);
+        const diff = formatDiffColored(balanceDiff.diff, networkConfig.nativeSymbol, networkConfig.nativeDecimals)
+          + (usdDiff != null ? ` ${c('dim')}(${formatUsd(usdDiff, true)})${c('reset')}` : '');
+        const changeIndicator = sinceLast(address, balanceDiff.current.raw, networkConfig.nativeDecimals);
         
-        let changeIndicator = '';
-        if (lastBalance !== null && balanceDiff.current.raw !== lastBalance) {
-          const delta = balanceDiff.current.raw - lastBalance;
-          const deltaFormatted = formatBigInt(delta < 0n ? -delta : delta, networkConfig.nativeDecimals);
-          const sign = delta >= 0n ? '+' : '-';
-          const color = delta >= 0n ? c('green') : c('red');
-          changeIndicator = ` ${color}(${sign}${deltaFormatted} since last)${c('reset')}`;
-        }
+        const tokenParts = tokenBalances.map((token, i) => {
+          const id = token.address || token.mint || token.master || token.denom;
+          const tokenDiff = token.diff !== 0n ? ` ${formatDiffColored(token.diff, token.symbol, token.decimals)}` : '';
+          return `${c('dim')}│${c('reset')} ${formatBigInt(token.raw, token.decimals)} ${token.symbol}${tokenDiff}`
+            + `${sinceLast(`${address}:${id}`, token.raw, token.decimals)}${alertMark(breaches[i + 1])}`;
+        });
         
-        const alertIndicator = alertTriggered ? ` ${c('yellow')}⚠ ALERT${c('reset')}` : '';
-        console.log(`  [${formatTimestamp()}] ${currentBalance} ${networkConfig.nativeSymbol}  Δ${blocksBack}: ${diff}${changeIndicator}${alertIndicator}`);
+        // Name the rule when a profile alert rule fired
+        const breach = breaches.find(Boolean);
+        const ruleName = typeof breach === 'object' ? ` (${breach.name})` : '';
+        const alertIndicator = alertTriggered ? ` ${c('yellow')}⚠ ALERT${ruleName}${c('reset')}` : '';
+        console.log(`  [${formatTimestamp()}] ${label}${currentBalance} ${networkConfig.nativeSymbol}  Δ${typeof lookback === 'number' ? lookback : describeLookback(lookback)}: ${diff}${changeIndicator}`
+          + `${tokenParts.length > 0 ? `${alertMark(breaches[0])}  ${tokenParts.join('  ')}` : ''}${alertIndicator}`);
       }
       
-      lastBalance = balanceDiff.current.raw;
-      
-      // Exit on diff if threshold triggered
-      if (alertTriggered && exitOnDiff) {
-        shouldExit = true;
-        exitCode = EXIT_DIFF;
+      // A breach raises an alert once it held for --alert-after polls
+      // (and not within --alert-cooldown of the last one); it resolves on
+      // the first poll without it, or once the asset drops out of the poll.
+      // Assets whose diff was unavailable keep their state.
+      const assetIds = [networkConfig.nativeSymbol, ...tokenBalances.map(token =>
+        token.address || token.mint || token.master || token.denom || token.symbol)];
+      const events = updateAlertState(alertState, address, conditions.flat().filter(Boolean), {
+        after: alertAfter,
+        cooldownMs: alertCooldownMs,
+        held: assetIds.filter((_, i) => conditions[i] === null),
+      });
+      for (const event of events) {
+        if (metrics && event.type === 'alert_triggered') {
+          incCounter(metrics, 'mcbd_alerts_total', { network: options.network, address, asset: event.check.asset, triggered_by: event.check.triggeredBy });
+        }
+        printAlertEvent(event, address, label);
+        if (options.webhook) {
+          await notifyAlertEvent(event, result, label);
+        }
       }
       
-      // Track if any poll triggered threshold (for final exit code)
-      if (alertTriggered) {
+      if (events.some(event => event.type === 'alert_triggered')) {
+        // Exit on diff if an alert triggered
+        if (exitOnDiff) {
+          shouldExit = true;
+        }
+        // Track if any alert triggered (for final exit code)
         exitCode = EXIT_DIFF;
       }
-      
-    } catch (error) {
-      if (options.json) {
-        const result = buildPollResult(networkConfig, address, null, false, error);
-        result.poll = pollCount;
-        console.log(JSON.stringify(result));
-      } else {
-        console.log(`  [${formatTimestamp()}] ${c('red')}Error: ${error.message}${c('reset')}`);
-      }
-      
-      if (exitOnError && isRpcError(error)) {
-        shouldExit = true;
-        exitCode = EXIT_RPC_ERROR;
-      }
+    }
+    
+    if (metrics) {
+      setGauge(metrics, 'mcbd_active_alerts', { network: options.network }, countActiveAlerts(alertState));
+      setGauge(metrics, 'mcbd_last_poll_timestamp_seconds', { network: options.network }, Math.floor(Date.now() / 1000));
     }
     
     // Check if we've reached max polls
@@ -799,6 +1724,7 @@ async function watchMode(adapter, networkConfig, address, blocksBack) {
           type: 'watch_end', 
           timestamp: new Date().toISOString(),
           polls: pollCount, 
+          activeAlerts: countActiveAlerts(alertState),
           exitCode 
         }));
       } else {
@@ -809,12 +1735,14 @@ async function watchMode(adapter, networkConfig, address, blocksBack) {
     }
   };
   
-  // Initial tick
-  await tick();
+  // Initial poll
+  ready = true;
+  await runPoll();
   
-  // Set up interval (only if not exiting)
-  if (!shouldExit) {
-    intervalId = setInterval(tick, intervalMs);
+  // Without a subscription, poll on the interval (unless the socket
+  // already fell back to it)
+  if (!socket && !intervalId) {
+    intervalId = setInterval(runPoll, intervalMs);
   }
   
   // Handle graceful shutdown
@@ -841,29 +1769,317 @@ async function watchMode(adapter, networkConfig, address, blocksBack) {
 }
 
 // ==========================================================================
-// Fetch Single Address
+// Fetch Addresses
 // ==========================================================================
 
-async function fetchAddressData(adapter, networkConfig, address, blocksBack, checkTokens) {
+/**
+ * Tokens to check: the configured ones, plus tokens discovered on-chain
+ * with --discover-tokens (configured entries win for the same token).
+ * If discovery fails, the configured tokens are used with a warning.
+ */
+async function resolveTokens(adapter, networkConfig, addressList, range) {
+  if (!options.discoverTokens) {
+    return networkConfig.tokens;
+  }
+
+  let discovered;
+  try {
+    discovered = await adapter.discoverTokens(addressList, range, {
+      scanBlocks: options.discoverTokens === true ? undefined : parseInt(options.discoverTokens, 10),
+    });
+  } catch (error) {
+    console.error(`⚠️  Token discovery failed on ${networkConfig.name}: ${error.message}`);
+    return networkConfig.tokens;
+  }
+
+  // EVM addresses may differ in checksum casing; mints are case-sensitive
+  const tokenKey = (token) => {
+    const id = token.address || token.mint || token.master || token.denom;
+    return id.startsWith('0x') ? id.toLowerCase() : id;
+  };
+  const configured = new Set(networkConfig.tokens.map(tokenKey));
+  return [...networkConfig.tokens, ...discovered.filter(token => !configured.has(tokenKey(token)))];
+}
+
+async function fetchAddressData(adapter, networkConfig, address, range) {
   try {
     // Validate address format for this chain type
     if (!adapter.isValidAddress(address)) {
       return { address, error: `Invalid ${networkConfig.chainType.toUpperCase()} address` };
     }
 
-    // Fetch native balance diff
-    const balanceDiff = await adapter.getNativeBalanceDiff(address, blocksBack);
+    // Fetch native balance diff over the shared range
+    const balanceDiff = await adapter.getNativeBalanceDiff(address, range);
+    return { address, balanceDiff, tokenBalances: [] };
+  } catch (error) {
+    return { address, error: error.message };
+  }
+}
 
-    // Fetch token balances
-    let tokenBalances = [];
-    if (checkTokens && networkConfig.tokens.length > 0) {
-      tokenBalances = await adapter.getTokenBalances(address, networkConfig.tokens);
+/**
+ * Fetch native and token diffs for several addresses over one range.
+ * Token reads go through one batched call for all addresses, so
+ * adapters can aggregate them (Multicall3 on EVM).
+ */
+async function fetchAddressesData(adapter, networkConfig, addressList, range, checkTokens) {
+  const results = await Promise.all(
+    addressList.map(addr => fetchAddressData(adapter, networkConfig, addr, range))
+  );
+  const fetched = results.filter(r => !r.error);
+  if (!checkTokens || fetched.length === 0) {
+    return results;
+  }
+
+  try {
+    const tokens = await resolveTokens(adapter, networkConfig, fetched.map(r => r.address), range);
+    if (tokens.length === 0) {
+      return results;
+    }
+    const diffs = await adapter.getTokenBalanceDiffsForAddresses(
+      fetched.map(r => r.address),
+      tokens,
+      range.currentBlock,
+      range.previousBlock
+    );
+    for (const r of fetched) {
+      r.tokenBalances = diffs.get(r.address);
+      r.tokens = tokens;
     }
+    return results;
+  } catch (error) {
+    return results.map(r => r.error ? r : { address: r.address, error: error.message });
+  }
+}
+
+// ==========================================================================
+// Snapshots
+// ==========================================================================
+
+// Snapshot directory from --snapshot-dir or the config file (null when unset)
+let snapshotDir = null;
 
-    return { address, balanceDiff, tokenBalances };
+/**
+ * The block range to resolve for a lookback. A snapshot baseline only
+ * needs the current block.
+ */
+function blockLookback(lookback) {
+  return lookback.snapshot !== undefined ? 0 : lookback;
+}
+
+/**
+ * Snapshot mode: with --diff-against, replace each address's diffs with
+ * diffs against its stored snapshot; then store the current balances for
+ * later runs. Results are updated in place.
+ * @param {string} networkKey - Network key
+ * @param {object} networkConfig - Network configuration
+ * @param {BaseAdapter} adapter - Connected adapter
+ * @param {object[]} results - Fetched addresses ({address, balanceDiff, tokenBalances, tokens})
+ * @param {number|object} lookback - Parsed lookback
+ * @param {boolean} checkTokens - Whether tokens were checked
+ */
+function processSnapshots(networkKey, networkConfig, adapter, results, lookback, checkTokens) {
+  if (!snapshotDir) return;
+
+  for (const r of results) {
+    if (r.error) continue;
+    const address = adapter.normalizeAddress(r.address);
+
+    if (lookback.snapshot !== undefined) {
+      let snapshot = null;
+      let missingReason = `No snapshot of this address on ${networkKey} (${lookback.label})`;
+      try {
+        snapshot = findSnapshot(snapshotDir, networkKey, address, lookback.snapshot);
+      } catch (error) {
+        missingReason = `Could not read snapshot: ${error.message}`;
+      }
+      Object.assign(r, applySnapshot(r.balanceDiff, r.tokenBalances, snapshot, {
+        formatBalance: (raw, decimals) => adapter.formatBalance(raw, decimals),
+        tokens: checkTokens ? r.tokens || [] : [],
+        missingReason,
+      }));
+    }
+
+    // Balances at a past --to-time are not the current state
+    if (lookback.to != null) continue;
+    try {
+      saveSnapshot(snapshotDir, networkKey, address,
+        buildSnapshot(r.balanceDiff, checkTokens ? r.tokenBalances : null, networkConfig));
+    } catch (error) {
+      console.error(`⚠️  Could not save snapshot for ${r.address}: ${error.message}`);
+    }
+  }
+}
+
+// ==========================================================================
+// Multi-Network Mode
+// ==========================================================================
+
+/**
+ * Connect to one network and fetch every address on it.
+ * Connection failures are returned (not thrown) so one bad RPC
+ * does not sink the other networks.
+ */
+async function queryNetwork(networkKey, networkAddresses, lookback, checkTokens, timeoutMs) {
+  const networkConfig = getNetwork(networkKey);
+  const adapter = createAdapter(networkConfig, { timeoutMs });
+
+  try {
+    await adapter.connect();
   } catch (error) {
-    return { address, error: error.message };
+    return { networkKey, networkConfig, error: `Connection failed: ${error.message}` };
+  }
+
+  // Resolve the lookback once so every address shares the same range
+  let range;
+  try {
+    range = await adapter.resolveBlockRange(blockLookback(lookback));
+  } catch (error) {
+    return { networkKey, networkConfig, error: `Could not resolve block range: ${error.message}` };
+  }
+
+  const threshold = parseThreshold(options.alertIfDiff);
+  const pctThreshold = parseThreshold(options.alertPct);
+
+  const results = await fetchAddressesData(adapter, networkConfig, networkAddresses, range, checkTokens);
+  processSnapshots(networkKey, networkConfig, adapter, results, lookback, checkTokens);
+  for (const r of results) {
+    if (r.error) continue;
+    r.alert = evaluateAlert(networkConfig, r.balanceDiff, r.tokenBalances, threshold, pctThreshold, { network: networkKey, address: r.address });
+  }
+
+  return { networkKey, networkConfig, adapter, results };
+}
+
+function buildMultiNetworkJsonOutput(sections, firstAlert, exitCode) {
+  const hasThreshold = hasAlertConditions(parseThreshold(options.alertIfDiff), parseThreshold(options.alertPct));
+
+  const networks = sections.map(section => {
+    if (section.error) {
+      return {
+        network: buildNetworkInfo(section.networkKey, section.networkConfig),
+        error: section.error,
+      };
+    }
+
+    const { networkKey, networkConfig, adapter, results } = section;
+    const item = buildMultiAddressJsonOutput(networkKey, networkConfig, results.map(r => {
+      if (r.error) {
+        return { address: r.address, error: r.error };
+      }
+      const entry = buildJsonOutput(networkKey, networkConfig, r.address, r.balanceDiff, r.tokenBalances, adapter);
+      if (hasThreshold) {
+        entry.alert = buildAlertInfo(r.alert);
+      }
+      return entry;
+    }), adapter);
+    if (hasThreshold) {
+      item.alert = buildAlertInfo(results.find(r => r.alert?.triggered)?.alert || NO_ALERT);
+    }
+    return item;
+  });
+
+  const output = {
+    schemaVersion: SCHEMA_VERSION,
+    networks,
+    summary: {
+      totalNetworks: sections.length,
+      successCount: sections.filter(s => !s.error).length,
+      errorCount: sections.filter(s => s.error).length,
+      totalAddresses: sections.reduce((sum, s) => sum + (s.results?.length || 0), 0),
+      ...(prices && { usd: combineUsd(networks.filter(n => n.summary?.usd).map(n => n.summary.usd)) }),
+    },
+    exitCode,
+    timestamp: new Date().toISOString(),
+  };
+  if (hasThreshold) {
+    output.alert = buildAlertInfo(firstAlert || NO_ALERT);
   }
+  return output;
+}
+
+/**
+ * Query several networks concurrently and emit one combined result.
+ * 
+ * Each address is only queried on networks whose chain type accepts it,
+ * so EVM and Solana wallets can be mixed in one --addresses list.
+ * 
+ * Exit code: 1 if any alert triggered, else 2 if any network failed
+ * to connect, else 0.
+ */
+async function multiNetworkMode(networkKeys, lookback, checkTokens, timeoutMs) {
+  // Assign addresses to the networks whose chain type accepts them
+  const plan = networkKeys.map(key => {
+    const adapter = createAdapter(getNetwork(key), { timeoutMs });
+    return { key, addresses: addresses.filter(addr => adapter.isValidAddress(addr)) };
+  });
+
+  // Every address must be usable on at least one selected network (fail fast)
+  for (const addr of addresses) {
+    if (!plan.some(p => p.addresses.includes(addr))) {
+      const message = `Invalid address for selected networks: ${addr}`;
+      if (options.json) {
+        console.log(JSON.stringify({ schemaVersion: SCHEMA_VERSION, error: message }));
+      } else {
+        console.error(`\n❌ ${message}\n`);
+      }
+      process.exit(1);
+    }
+  }
+
+  const runnable = plan.filter(p => p.addresses.length > 0);
+  const skipped = plan.filter(p => p.addresses.length === 0).map(p => p.key);
+
+  if (!options.json) {
+    console.log();
+    console.log(`🔗 Querying ${c('bright')}${runnable.length} networks${c('reset')}: ${runnable.map(p => p.key).join(', ')}`);
+    if (skipped.length > 0) {
+      console.log(`   ${c('dim')}Skipped (no matching addresses): ${skipped.join(', ')}${c('reset')}`);
+    }
+  }
+
+  const sections = await Promise.all(
+    runnable.map(p => queryNetwork(p.key, p.addresses, lookback, checkTokens, timeoutMs))
+  );
+
+  const firstAlert = sections
+    .flatMap(s => s.results || [])
+    .find(r => r.alert?.triggered)?.alert || null;
+  const anyConnectionError = sections.some(s => s.error);
+  const exitCode = firstAlert ? EXIT_DIFF : anyConnectionError ? EXIT_RPC_ERROR : EXIT_OK;
+
+  const output = buildMultiNetworkJsonOutput(sections, firstAlert, exitCode);
+
+  if (options.json) {
+    console.log(JSON.stringify(output, null, 2));
+  } else {
+    for (const section of sections) {
+      if (section.error) {
+        console.log();
+        printSeparator('═');
+        printHeader(`  ${section.networkConfig.name}`);
+        printSeparator('═');
+        console.log(`  ${c('red')}✗${c('reset')} ${section.error}`);
+        printSeparator('═');
+        continue;
+      }
+      printMultiAddressSummary(section.networkConfig, section.results, lookback, false);
+    }
+    if (output.summary.usd) {
+      console.log(`  ${c('bright')}All networks (USD):${c('reset')} ${formatUsdTotal(output.summary.usd)}`);
+      printSeparator('═');
+    }
+    console.log();
+    printSponsorHint();
+    console.log();
+    if (firstAlert) {
+      console.log(`${c('yellow')}⚠️  Alert: ${describeAlert(firstAlert)}${c('reset')}\n`);
+    }
+  }
+
+  // Send webhook if configured and alert triggered
+  await maybeNotifyWebhook(output, firstAlert !== null);
+
+  process.exit(exitCode);
 }
 
 // ==========================================================================
@@ -877,37 +2093,202 @@ async function main() {
     process.exit(0);
   }
 
-  const { network, blocks, tokens: checkTokens } = options;
-  const blocksBack = parseInt(blocks, 10);
+  const { network, tokens: checkTokens } = options;
 
-  // Get network configuration
-  const networkConfig = getNetwork(network);
-  if (!networkConfig) {
+  // Validate lookback (--blocks, or --since / --from-time / --to-time)
+  let lookback;
+  try {
+    lookback = parseLookback(options);
+  } catch (error) {
     if (options.json) {
-      console.log(JSON.stringify({ schemaVersion: SCHEMA_VERSION, error: `Unknown network: ${network}` }));
+      console.log(JSON.stringify({ schemaVersion: SCHEMA_VERSION, error: error.message }));
     } else {
-      console.error(`\n❌ Unknown network: ${network}`);
-      console.error(`   Run with --list-networks to see available options.\n`);
+      console.error(`\n❌ ${error.message}\n`);
     }
     process.exit(1);
   }
 
-  // Validate blocks parameter
-  if (isNaN(blocksBack) || blocksBack < 1) {
+  // Parse timeout (convert seconds to milliseconds)
+  const timeoutMs = parseInt(options.timeout, 10) * 1000;
+
+  // USD prices (--prices, or "prices" in the config file). A price file
+  // that cannot be read is a usage error; an unreachable price endpoint
+  // only leaves the USD values null
+  const priceSource = options.prices || config?.prices;
+  if (priceSource) {
+    try {
+      prices = await loadPrices(priceSource, { timeoutMs });
+    } catch (error) {
+      if (!/^https?:\/\//i.test(priceSource)) {
+        if (options.json) {
+          console.log(JSON.stringify({ schemaVersion: SCHEMA_VERSION, error: `Could not load prices: ${error.message}` }));
+        } else {
+          console.error(`\n❌ Could not load prices: ${error.message}\n`);
+        }
+        process.exit(1);
+      }
+      console.error(`⚠️  Could not load prices: ${error.message}`);
+      prices = new Map();
+    }
+  }
+
+  if (options.discoverTokens !== undefined && options.discoverTokens !== true) {
+    const scanBlocks = parseInt(options.discoverTokens, 10);
+    if (isNaN(scanBlocks) || scanBlocks < 1) {
+      const message = `Invalid --discover-tokens value: ${options.discoverTokens}`;
+      if (options.json) {
+        console.log(JSON.stringify({ schemaVersion: SCHEMA_VERSION, error: message }));
+      } else {
+        console.error(`\n❌ ${message}\n`);
+      }
+      process.exit(1);
+    }
+  }
+
+  // Webhook body (--webhook-format, --webhook-template)
+  let webhookError = null;
+  if (options.webhookFormat !== undefined && !WEBHOOK_FORMATS.includes(options.webhookFormat)) {
+    webhookError = `Invalid --webhook-format value: ${options.webhookFormat} (expected ${WEBHOOK_FORMATS.join(', ')})`;
+  } else if (options.webhookFormat !== undefined && options.webhookTemplate !== undefined) {
+    webhookError = 'Use either --webhook-format or --webhook-template, not both';
+  } else if (options.webhookTemplate !== undefined) {
+    try {
+      webhookTemplate = {
+        text: fs.readFileSync(options.webhookTemplate, 'utf8'),
+        json: options.webhookTemplate.toLowerCase().endsWith('.json'),
+      };
+    } catch (error) {
+      webhookError = `Could not load webhook template: ${error.message}`;
+    }
+  }
+  if (webhookError) {
     if (options.json) {
-      console.log(JSON.stringify({ schemaVersion: SCHEMA_VERSION, error: `Invalid blocks value: ${blocks}` }));
+      console.log(JSON.stringify({ schemaVersion: SCHEMA_VERSION, error: webhookError }));
     } else {
-      console.error(`\n❌ Invalid blocks value: ${blocks}`);
-      console.error('   Please provide a positive integer.\n');
+      console.error(`\n❌ ${webhookError}\n`);
     }
     process.exit(1);
   }
 
-  // Parse timeout (convert seconds to milliseconds)
-  const timeoutMs = parseInt(options.timeout, 10) * 1000;
+  // Webhook delivery (--webhook-retries, --webhook-timeout; the signing
+  // secret comes from MCBD_WEBHOOK_SECRET or "webhookSecret" in the config file)
+  const webhookRetries = Number(options.webhookRetries);
+  const webhookTimeout = Number(options.webhookTimeout);
+  const badDeliveryOption = !Number.isInteger(webhookRetries) || webhookRetries < 0
+    ? `Invalid --webhook-retries value: ${options.webhookRetries} (expected a number of retries)`
+    : !(webhookTimeout > 0)
+      ? `Invalid --webhook-timeout value: ${options.webhookTimeout} (expected seconds)`
+      : null;
+  if (badDeliveryOption) {
+    if (options.json) {
+      console.log(JSON.stringify({ schemaVersion: SCHEMA_VERSION, error: badDeliveryOption }));
+    } else {
+      console.error(`\n❌ ${badDeliveryOption}\n`);
+    }
+    process.exit(1);
+  }
+  webhookDelivery = {
+    secret: process.env.MCBD_WEBHOOK_SECRET || config?.webhookSecret || null,
+    retries: webhookRetries,
+    timeoutMs: webhookTimeout * 1000,
+    userAgent: `multi-chain-balance-diff/${VERSION}`,
+  };
 
-  // Create the appropriate adapter for this chain
-  const adapter = createAdapter(networkConfig, { timeoutMs });
+  if (options.replayWebhooks !== undefined) {
+    await replayWebhooks();
+  }
+
+  // Alert debounce and cooldown (watch mode)
+  const alertAfter = Number(options.alertAfter);
+  const badAlertOption = !Number.isInteger(alertAfter) || alertAfter < 1
+    ? `Invalid --alert-after value: ${options.alertAfter} (expected a number of polls)`
+    : options.alertCooldown !== undefined && parseDuration(options.alertCooldown) === null
+      ? `Invalid --alert-cooldown value: ${options.alertCooldown} (expected e.g. 90s, 15m, 1h)`
+      : null;
+  if (badAlertOption) {
+    if (options.json) {
+      console.log(JSON.stringify({ schemaVersion: SCHEMA_VERSION, error: badAlertOption }));
+    } else {
+      console.error(`\n❌ ${badAlertOption}\n`);
+    }
+    process.exit(1);
+  }
+
+  // Prometheus metrics (watch mode)
+  if (options.metricsPort !== undefined) {
+    const metricsListen = parseListenAddress(options.metricsPort);
+    const message = !metricsListen
+      ? `Invalid --metrics-port value: ${options.metricsPort} (expected a port or host:port)`
+      : !options.watch ? '--metrics-port needs --watch' : null;
+    if (message) {
+      if (options.json) {
+        console.log(JSON.stringify({ schemaVersion: SCHEMA_VERSION, error: message }));
+      } else {
+        console.error(`\n❌ ${message}\n`);
+      }
+      process.exit(1);
+    }
+    metrics = createWatchMetrics();
+  }
+
+  // Snapshots (--snapshot-dir, or "snapshotDir" in the config file)
+  snapshotDir = options.snapshotDir || config?.snapshotDir || null;
+  if (lookback.snapshot !== undefined && (!snapshotDir || options.watch)) {
+    const message = options.watch
+      ? '--diff-against is not supported in watch mode'
+      : '--diff-against needs --snapshot-dir (or snapshotDir in the config file)';
+    if (options.json) {
+      console.log(JSON.stringify({ schemaVersion: SCHEMA_VERSION, error: message }));
+    } else {
+      console.error(`\n❌ ${message}\n`);
+    }
+    process.exit(1);
+  }
+
+  // Multi-network mode (--networks)
+  if (options.networks) {
+    const { keys, unknown } = resolveNetworkKeys(options.networks);
+    if (unknown.length > 0 || keys.length === 0) {
+      const message = unknown.length > 0
+        ? `Unknown network: ${unknown.join(', ')}`
+        : `No networks selected: ${options.networks}`;
+      if (options.json) {
+        console.log(JSON.stringify({ schemaVersion: SCHEMA_VERSION, error: message }));
+      } else {
+        console.error(`\n❌ ${message}`);
+        console.error(`   Run with --list-networks to see available options.\n`);
+      }
+      process.exit(1);
+    }
+    if (options.watch) {
+      const message = 'Watch mode only supports a single network.';
+      if (options.json) {
+        console.log(JSON.stringify({ schemaVersion: SCHEMA_VERSION, error: message }));
+      } else {
+        console.error(`\n❌ ${message}\n`);
+      }
+      process.exit(1);
+    }
+
+    await multiNetworkMode(keys, lookback, checkTokens, timeoutMs);
+    return;
+  }
+
+  // Get network configuration
+  const networkConfig = getNetwork(network);
+  if (!networkConfig) {
+    if (options.json) {
+      console.log(JSON.stringify({ schemaVersion: SCHEMA_VERSION, error: `Unknown network: ${network}` }));
+    } else {
+      console.error(`\n❌ Unknown network: ${network}`);
+      console.error(`   Run with --list-networks to see available options.\n`);
+    }
+    process.exit(1);
+  }
+
+  // Create the appropriate adapter for this chain (with --metrics-port,
+  // every RPC attempt is timed)
+  const adapter = createAdapter(networkConfig, { timeoutMs, ...(metrics && { onRequest: recordRpcRequest }) });
 
   // Validate all addresses before connecting (fail fast)
   for (const addr of addresses) {
@@ -920,6 +2301,12 @@ async function main() {
           console.error('   Expected format: 0x followed by 40 hex characters');
         } else if (networkConfig.chainType === 'solana') {
           console.error('   Expected format: Base58 encoded public key');
+        } else if (networkConfig.chainType === 'bitcoin') {
+          console.error(`   Expected format: legacy (1.../3...) or ${networkConfig.bech32Prefix}1... (SegWit/Taproot) address`);
+        } else if (networkConfig.chainType === 'cosmos') {
+          console.error(`   Expected format: bech32 address starting with ${networkConfig.bech32Prefix}1`);
+        } else if (networkConfig.chainType === 'tron') {
+          console.error('   Expected format: Base58Check address starting with T');
         }
         console.error('');
       }
@@ -945,14 +2332,9 @@ async function main() {
     process.exit(EXIT_RPC_ERROR);
   }
 
-  // Watch mode (single address only)
+  // Watch mode
   if (options.watch) {
-    if (addresses.length > 1) {
-      console.error(`\n❌ Watch mode only supports a single address.\n`);
-      process.exit(1);
-    }
-    
-    await watchMode(adapter, networkConfig, addresses[0], blocksBack);
+    await watchMode(adapter, networkConfig, addresses, lookback, checkTokens);
     return;
   }
 
@@ -962,69 +2344,54 @@ async function main() {
       console.log(`📊 Fetching data for ${addresses.length} addresses...`);
     }
 
-    const results = await Promise.all(
-      addresses.map(addr => fetchAddressData(adapter, networkConfig, addr, blocksBack, checkTokens))
-    );
+    // Resolve the lookback once so every address shares the same range
+    let range;
+    try {
+      range = await adapter.resolveBlockRange(blockLookback(lookback));
+    } catch (error) {
+      if (options.json) {
+        console.log(JSON.stringify({ schemaVersion: SCHEMA_VERSION, error: `Could not resolve block range: ${error.message}`, exitCode: EXIT_RPC_ERROR }));
+      } else {
+        console.error(`\n❌ Could not resolve block range: ${error.message}\n`);
+      }
+      process.exit(EXIT_RPC_ERROR);
+    }
 
-    // Check threshold for any address
+    const results = await fetchAddressesData(adapter, networkConfig, addresses, range, checkTokens);
+    processSnapshots(network, networkConfig, adapter, results, lookback, checkTokens);
+
+    // Check threshold for every address (native and tokens)
     const threshold = parseThreshold(options.alertIfDiff);
     const pctThreshold = parseThreshold(options.alertPct);
-    let anyAlertTriggered = false;
     
     for (const r of results) {
       if (r.error) continue;
+      r.alert = evaluateAlert(networkConfig, r.balanceDiff, r.tokenBalances, threshold, pctThreshold, { network, address: r.address });
+    }
+    const firstAlert = results.find(r => r.alert?.triggered)?.alert || null;
+    const anyAlertTriggered = firstAlert !== null;
+
+    const output = buildMultiAddressJsonOutput(network, networkConfig, results.map(r => {
+      if (r.error) {
+        return { address: r.address, error: r.error };
+      }
+      const item = buildJsonOutput(network, networkConfig, r.address, r.balanceDiff, r.tokenBalances, adapter);
       
-      const absTriggered = checkThreshold(r.balanceDiff.diff, networkConfig.nativeDecimals, threshold);
-      const pctTriggered = checkPercentageThreshold(
-        r.balanceDiff.diff,
-        r.balanceDiff.previous.raw,
-        networkConfig.nativeDecimals,
-        pctThreshold
-      );
-      
-      if (absTriggered || pctTriggered) {
-        anyAlertTriggered = true;
-        break;
+      if (hasAlertConditions(threshold, pctThreshold)) {
+        item.alert = buildAlertInfo(r.alert);
       }
+      return item;
+    }), adapter);
+    if (hasAlertConditions(threshold, pctThreshold)) {
+      output.alert = buildAlertInfo(firstAlert || NO_ALERT);
     }
 
     if (options.json) {
-      const output = buildMultiAddressJsonOutput(networkConfig, results.map(r => {
-        if (r.error) {
-          return { address: r.address, error: r.error };
-        }
-        const item = buildJsonOutput(networkConfig, r.address, r.balanceDiff, r.tokenBalances, adapter);
-        
-        const absTriggered = checkThreshold(r.balanceDiff.diff, networkConfig.nativeDecimals, threshold);
-        const pctTriggered = checkPercentageThreshold(
-          r.balanceDiff.diff,
-          r.balanceDiff.previous.raw,
-          networkConfig.nativeDecimals,
-          pctThreshold
-        );
-        
-        if (threshold || pctThreshold) {
-          item.alert = {
-            threshold: options.alertIfDiff || null,
-            thresholdPct: options.alertPct || null,
-            triggered: absTriggered || pctTriggered,
-          };
-        }
-        return item;
-      }));
-      if (threshold || pctThreshold) {
-        output.alert = { 
-          threshold: options.alertIfDiff || null, 
-          thresholdPct: options.alertPct || null,
-          triggered: anyAlertTriggered 
-        };
-      }
       console.log(JSON.stringify(output, null, 2));
     } else {
-      printMultiAddressSummary(networkConfig, results, blocksBack);
+      printMultiAddressSummary(networkConfig, results, lookback);
       if (anyAlertTriggered) {
-        const which = options.alertIfDiff || (options.alertPct + '%');
-        console.log(`${c('yellow')}⚠️  Alert: threshold ${which} triggered${c('reset')}\n`);
+        console.log(`${c('yellow')}⚠️  Alert: ${describeAlert(firstAlert)}${c('reset')}\n`);
       }
     }
 
@@ -1046,48 +2413,47 @@ async function main() {
 
   try {
     // Fetch native balance diff
-    const balanceDiff = await adapter.getNativeBalanceDiff(address, blocksBack);
+    let balanceDiff = await adapter.getNativeBalanceDiff(address, blockLookback(lookback));
 
-    // Fetch token balances
+    // Fetch token balance diffs over the same block range
     let tokenBalances = [];
-    if (checkTokens && networkConfig.tokens.length > 0) {
+    const tokens = checkTokens ? await resolveTokens(adapter, networkConfig, [address], balanceDiff) : [];
+    if (tokens.length > 0) {
       if (!options.json) {
-        console.log(`🪙  Checking ${networkConfig.tokens.length} tokens...`);
+        const discovered = tokens.filter(token => token.discovered).length;
+        console.log(`🪙  Checking ${tokens.length} tokens${discovered > 0 ? ` (${discovered} discovered)` : ''}...`);
       }
-      tokenBalances = await adapter.getTokenBalances(address, networkConfig.tokens);
+      tokenBalances = await adapter.getTokenBalanceDiffs(
+        address,
+        tokens,
+        balanceDiff.currentBlock,
+        balanceDiff.previousBlock
+      );
     }
 
-    // Check thresholds if specified
+    const result = { address, balanceDiff, tokenBalances, tokens };
+    processSnapshots(network, networkConfig, adapter, [result], lookback, checkTokens);
+    ({ balanceDiff, tokenBalances } = result);
+
+    // Check thresholds if specified (native and tokens)
     const threshold = parseThreshold(options.alertIfDiff);
     const pctThreshold = parseThreshold(options.alertPct);
-    
-    const absTriggered = checkThreshold(balanceDiff.diff, networkConfig.nativeDecimals, threshold);
-    const pctTriggered = checkPercentageThreshold(
-      balanceDiff.diff,
-      balanceDiff.previous.raw,
-      networkConfig.nativeDecimals,
-      pctThreshold
-    );
-    const alertTriggered = absTriggered || pctTriggered;
+    const alert = evaluateAlert(networkConfig, balanceDiff, tokenBalances, threshold, pctThreshold, { network, address });
+    const alertTriggered = alert.triggered;
 
     // Output results
+    const output = buildJsonOutput(network, networkConfig, address, balanceDiff, tokenBalances, adapter);
+    if (hasAlertConditions(threshold, pctThreshold)) {
+      output.alert = buildAlertInfo(alert);
+    }
+
     if (options.json) {
-      const output = buildJsonOutput(networkConfig, address, balanceDiff, tokenBalances, adapter);
-      if (threshold || pctThreshold) {
-        output.alert = {
-          threshold: options.alertIfDiff || null,
-          thresholdPct: options.alertPct || null,
-          triggered: alertTriggered,
-          triggeredBy: absTriggered ? 'absolute' : pctTriggered ? 'percentage' : null,
-        };
-      }
       console.log(JSON.stringify(output, null, 2));
     } else {
-      printPrettyOutput(networkConfig, address, balanceDiff, tokenBalances, adapter, blocksBack);
+      printPrettyOutput(networkConfig, address, balanceDiff, tokenBalances, adapter, lookback);
       
       if (alertTriggered) {
-        const which = absTriggered ? options.alertIfDiff : options.alertPct + '%';
-        console.log(`${c('yellow')}⚠️  Alert: threshold ${which} triggered${c('reset')}\n`);
+        console.log(`${c('yellow')}⚠️  Alert: ${describeAlert(alert)}${c('reset')}\n`);
       }
     }
 
@@ -1122,7 +2488,7 @@ async function main() {
       console.error(`   Address: ${address}`);
     } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
       console.error(`❌ Network error: Could not connect to ${networkConfig.name}`);
-      console.error(`   RPC: ${networkConfig.rpcUrl}`);
+      console.error(`   RPC: ${redactUrl(networkConfig.rpcUrl)}`);
       console.error('   Please check your internet connection or try a different RPC.');
     } else if (error.message?.includes('429') || error.message?.includes('rate')) {
       console.error(`❌ Rate limited by RPC endpoint`);
@@ -0,0 +1,108 @@
+/**
+ * Alert state for watch mode.
+ *
+ * Each address, asset and condition (--alert-if-diff, --alert-pct or a
+ * profile alert rule) moves between two states:
+ *
+ *   ok ──(N consecutive breaching polls, cooldown over)──▶ triggered
+ *   triggered ──(first poll that does not breach)──▶ ok (resolved)
+ *
+ * Only the transitions are reported, so a breach that lasts many polls
+ * raises one alert and one recovery instead of an alert per poll. The
+ * cooldown is the minimum time between two alerts for the same key; a
+ * breach during the cooldown keeps counting but raises nothing.
+ *
+ * An asset missing from a poll had no balance at either end of the window
+ * (adapters leave those out), so its alerts resolve, unless its diff was
+ * unavailable, which leaves the state as it was.
+ */
+
+/**
+ * Create an empty alert state.
+ * @returns {Map<string, object>}
+ */
+function createAlertState() {
+  return new Map();
+}
+
+/**
+ * Record one successful poll of an address and return the transitions it
+ * caused. Conditions of assets missing from `checks` count as not
+ * breached, except for the `held` assets.
+ * @param {Map<string, object>} state - From createAlertState
+ * @param {string} address - Polled address
+ * @param {{assetId: string, triggeredBy: string, breached: boolean}[]} checks -
+ *   Every condition checked for the address this poll
+ * @param {object} [options]
+ * @param {number} [options.after=1] - Consecutive breaching polls before an alert
+ * @param {number} [options.cooldownMs=0] - Minimum time between alerts per key
+ * @param {number} [options.now] - Current time in ms
+ * @param {string[]} [options.held] - Assets (assetId) whose diff was
+ *   unavailable this poll; their state is kept
+ * @returns {{type: 'alert_triggered'|'alert_resolved', check: object,
+ *   breachingPolls?: number, triggeredAt?: number}[]} Transitions, with
+ *   the check that caused them
+ */
+function updateAlertState(state, address, checks, options = {}) {
+  const { after = 1, cooldownMs = 0, now = Date.now(), held = [] } = options;
+  const events = [];
+  const checked = new Set();
+
+  for (const check of checks) {
+    const key = `${address}\u0000${check.assetId}\u0000${check.triggeredBy}`;
+    const entry = state.get(key) || { triggered: false, streak: 0, triggeredAt: null };
+    entry.check = check;
+    state.set(key, entry);
+    checked.add(key);
+
+    if (!check.breached) {
+      entry.streak = 0;
+      if (entry.triggered) {
+        entry.triggered = false;
+        events.push({ type: 'alert_resolved', check, triggeredAt: entry.triggeredAt });
+      }
+      continue;
+    }
+
+    entry.streak++;
+    const coolingDown = entry.triggeredAt !== null && now - entry.triggeredAt < cooldownMs;
+    if (!entry.triggered && entry.streak >= after && !coolingDown) {
+      entry.triggered = true;
+      entry.triggeredAt = now;
+      events.push({ type: 'alert_triggered', check, breachingPolls: entry.streak });
+    }
+  }
+
+  // Gone from the poll: no balance at either end of the window, so no diff
+  for (const [key, entry] of state) {
+    if (!key.startsWith(`${address}\u0000`) || checked.has(key) || held.includes(entry.check.assetId)) {
+      continue;
+    }
+    entry.streak = 0;
+    if (entry.triggered) {
+      entry.triggered = false;
+      events.push({ type: 'alert_resolved', check: { ...entry.check, breached: false, diff: 0n }, triggeredAt: entry.triggeredAt });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Number of alerts currently triggered.
+ * @param {Map<string, object>} state - From createAlertState
+ * @returns {number}
+ */
+function countActiveAlerts(state) {
+  let count = 0;
+  for (const entry of state.values()) {
+    if (entry.triggered) count++;
+  }
+  return count;
+}
+
+module.exports = {
+  createAlertState,
+  updateAlertState,
+  countActiveAlerts,
+};
@@ -0,0 +1,134 @@
+/**
+ * Lookback parsing for the diff range.
+ *
+ * A lookback is either a number of blocks/slots (--blocks) or a time
+ * window (--since, --from-time/--to-time). Time windows are resolved to
+ * blocks per chain by the adapters (see BaseAdapter.resolveBlockRange),
+ * so the same window means the same duration on every network.
+ *
+ * With --diff-against the baseline is a stored snapshot instead (see
+ * snapshotStore); the block range then only covers the current block.
+ */
+
+const DURATION_UNITS = {
+  s: 1,
+  m: 60,
+  h: 3600,
+  d: 86400,
+  w: 604800,
+};
+
+/**
+ * Parse a duration like "90s", "30m", "24h", "7d" or "2w".
+ * @param {string} str - Duration string
+ * @returns {number|null} Duration in seconds, or null if invalid
+ */
+function parseDuration(str) {
+  const match = String(str).trim().match(/^(\d+(?:\.\d+)?)\s*([smhdw])$/i);
+  if (!match) {
+    return null;
+  }
+  const seconds = Math.round(parseFloat(match[1]) * DURATION_UNITS[match[2].toLowerCase()]);
+  return seconds > 0 ? seconds : null;
+}
+
+/**
+ * Parse an ISO 8601 date/time into Unix seconds.
+ * @param {string} str - Date string
+ * @returns {number|null} Unix timestamp in seconds, or null if invalid
+ */
+function parseTime(str) {
+  const ms = Date.parse(str);
+  return isNaN(ms) ? null : Math.floor(ms / 1000);
+}
+
+/**
+ * Build a lookback from CLI options. --diff-against and time options
+ * take precedence over --blocks.
+ * @param {{blocks?: string, since?: string, fromTime?: string, toTime?: string, diffAgainst?: string}} opts
+ * @param {number} [now] - Current Unix time in seconds
+ * @returns {number|{since: number, label: string}|{from: number, to: number|null}|{snapshot: 'last'|number, label: string}}
+ * @throws {Error} If the options are invalid or contradictory
+ */
+function parseLookback(opts, now = Math.floor(Date.now() / 1000)) {
+  const { blocks, since, fromTime, toTime, diffAgainst } = opts;
+
+  if (diffAgainst !== undefined) {
+    if (since !== undefined || fromTime !== undefined || toTime !== undefined) {
+      throw new Error('Use either --diff-against or --since/--from-time/--to-time, not both');
+    }
+    if (diffAgainst === 'last') {
+      return { snapshot: 'last', label: 'last snapshot' };
+    }
+    // A duration means "the snapshot from at least that long ago"
+    const seconds = parseDuration(diffAgainst);
+    const at = seconds !== null ? now - seconds : parseTime(diffAgainst);
+    if (at === null) {
+      throw new Error(`Invalid --diff-against value: ${diffAgainst} (expected last, a duration like 24h, or an ISO time)`);
+    }
+    return { snapshot: at, label: `snapshot at or before ${seconds !== null ? `${diffAgainst} ago` : diffAgainst}` };
+  }
+
+  if (since !== undefined) {
+    if (fromTime !== undefined || toTime !== undefined) {
+      throw new Error('Use either --since or --from-time/--to-time, not both');
+    }
+    const seconds = parseDuration(since);
+    if (seconds === null) {
+      throw new Error(`Invalid duration: ${since} (expected e.g. 30m, 24h, 7d)`);
+    }
+    return { since: seconds, label: since };
+  }
+
+  if (fromTime !== undefined || toTime !== undefined) {
+    if (fromTime === undefined) {
+      throw new Error('--to-time requires --from-time');
+    }
+    const from = parseTime(fromTime);
+    if (from === null) {
+      throw new Error(`Invalid time: ${fromTime}`);
+    }
+    let to = null;
+    if (toTime !== undefined) {
+      to = parseTime(toTime);
+      if (to === null) {
+        throw new Error(`Invalid time: ${toTime}`);
+      }
+    }
+    if (from >= (to ?? now)) {
+      throw new Error('--from-time must be before --to-time (or now)');
+    }
+    return { from, to };
+  }
+
+  const blocksBack = parseInt(blocks, 10);
+  if (isNaN(blocksBack) || blocksBack < 1) {
+    throw new Error(`Invalid blocks value: ${blocks}`);
+  }
+  return blocksBack;
+}
+
+/**
+ * Human-readable lookback, e.g. "50 blocks", "24h" or
+ * "2025-01-01T00:00:00Z → now".
+ * @param {number|object} lookback - Parsed lookback
+ * @param {string} [unit] - Block unit name ('blocks', 'slots', ...)
+ * @returns {string}
+ */
+function describeLookback(lookback, unit = 'blocks') {
+  if (typeof lookback === 'number') {
+    return `${lookback} ${unit}`;
+  }
+  if (lookback.since !== undefined || lookback.snapshot !== undefined) {
+    return lookback.label;
+  }
+  const iso = (seconds) => new Date(seconds * 1000).toISOString().replace('.000Z', 'Z');
+  return `${iso(lookback.from)} → ${lookback.to === null ? 'now' : iso(lookback.to)}`;
+}
+
+module.exports = {
+  parseDuration,
+  parseTime,
+  parseLookback,
+  describeLookback,
+};
@@ -0,0 +1,215 @@
+/**
+ * Prometheus metrics for watch mode (--metrics-port).
+ *
+ * A small registry of gauges, counters and histograms, rendered in the
+ * Prometheus text exposition format (0.0.4) and served on /metrics:
+ *
+ *   mcbd_balance{network,address,asset,token}                   gauge
+ *   mcbd_balance_diff{network,address,asset,token}              gauge
+ *   mcbd_polls_total{network,address}                           counter
+ *   mcbd_rpc_errors_total{network,endpoint}                     counter
+ *   mcbd_alerts_total{network,address,asset,triggered_by}       counter
+ *   mcbd_active_alerts{network}                                 gauge
+ *   mcbd_last_poll_timestamp_seconds{network}                   gauge
+ *   mcbd_rpc_request_duration_seconds{network,endpoint,status}  histogram
+ *
+ * Balances and diffs are in asset units (ETH, not wei); `token` is the
+ * contract, mint, master or denom, empty for the native asset. RPC
+ * latency is recorded per endpoint attempt, `status` being the HTTP
+ * status or `error` (connection error, timeout); the attempts that failed
+ * over (errors, 429s and 5xx) also count as RPC errors.
+ */
+
+const http = require('http');
+
+// Seconds; RPC calls range from a few ms (local node) to the 30s timeout
+const DEFAULT_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const WATCH_METRICS = [
+  ['mcbd_balance', 'gauge', 'Current balance in asset units', ['network', 'address', 'asset', 'token']],
+  ['mcbd_balance_diff', 'gauge', 'Balance diff over the lookback at the last poll, in asset units (NaN when unavailable)', ['network', 'address', 'asset', 'token']],
+  ['mcbd_polls_total', 'counter', 'Polls of an address', ['network', 'address']],
+  ['mcbd_rpc_errors_total', 'counter', 'RPC requests that failed per endpoint attempt (connection error, timeout, 429 or 5xx)', ['network', 'endpoint']],
+  ['mcbd_alerts_total', 'counter', 'Alerts triggered', ['network', 'address', 'asset', 'triggered_by']],
+  ['mcbd_active_alerts', 'gauge', 'Alerts currently triggered', ['network']],
+  ['mcbd_last_poll_timestamp_seconds', 'gauge', 'Unix time of the last completed poll', ['network']],
+  ['mcbd_rpc_request_duration_seconds', 'histogram', 'RPC request latency per endpoint attempt', ['network', 'endpoint', 'status']],
+];
+
+/**
+ * Create an empty registry.
+ * @returns {Map<string, object>}
+ */
+function createRegistry() {
+  return new Map();
+}
+
+/**
+ * Register a metric.
+ * @param {Map<string, object>} registry - From createRegistry
+ * @param {string} name - Metric name
+ * @param {'gauge'|'counter'|'histogram'} type
+ * @param {string} help - HELP text
+ * @param {string[]} labelNames - Label names, in output order
+ * @param {object} [options]
+ * @param {number[]} [options.buckets] - Histogram upper bounds
+ */
+function defineMetric(registry, name, type, help, labelNames, options = {}) {
+  registry.set(name, {
+    type,
+    help,
+    labelNames,
+    buckets: type === 'histogram' ? options.buckets || DEFAULT_BUCKETS : null,
+    series: new Map(),
+  });
+}
+
+/**
+ * Registry with the watch mode metrics.
+ * @returns {Map<string, object>}
+ */
+function createWatchMetrics() {
+  const registry = createRegistry();
+  for (const [name, type, help, labelNames] of WATCH_METRICS) {
+    defineMetric(registry, name, type, help, labelNames);
+  }
+  return registry;
+}
+
+function series(registry, name, labels) {
+  const metric = registry.get(name);
+  if (!metric) {
+    throw new Error(`Unknown metric: ${name}`);
+  }
+  const values = metric.labelNames.map(label => String(labels[label] ?? ''));
+  const key = values.join('\u0000');
+  if (!metric.series.has(key)) {
+    metric.series.set(key, metric.type === 'histogram'
+      ? { values, counts: metric.buckets.map(() => 0), sum: 0, count: 0 }
+      : { values, value: 0 });
+  }
+  return metric.series.get(key);
+}
+
+/**
+ * Set a gauge.
+ * @param {Map<string, object>} registry
+ * @param {string} name - Metric name
+ * @param {object} labels - Label values by name
+ * @param {number} value
+ */
+function setGauge(registry, name, labels, value) {
+  series(registry, name, labels).value = value;
+}
+
+/**
+ * Increment a counter.
+ * @param {Map<string, object>} registry
+ * @param {string} name - Metric name
+ * @param {object} labels - Label values by name
+ * @param {number} [by=1]
+ */
+function incCounter(registry, name, labels, by = 1) {
+  series(registry, name, labels).value += by;
+}
+
+/**
+ * Record a histogram observation.
+ * @param {Map<string, object>} registry
+ * @param {string} name - Metric name
+ * @param {object} labels - Label values by name
+ * @param {number} value
+ */
+function observe(registry, name, labels, value) {
+  const { buckets } = registry.get(name) || {};
+  const entry = series(registry, name, labels);
+  buckets.forEach((bound, i) => {
+    if (value <= bound) entry.counts[i]++;
+  });
+  entry.sum += value;
+  entry.count++;
+}
+
+function escapeLabel(value) {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(names, values) {
+  if (names.length === 0) return '';
+  return `{${names.map((name, i) => `${name}="${escapeLabel(values[i])}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Render the registry in the Prometheus text format.
+ * @param {Map<string, object>} registry
+ * @returns {string}
+ */
+function renderMetrics(registry) {
+  const lines = [];
+  for (const [name, metric] of registry) {
+    lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+    for (const entry of metric.series.values()) {
+      if (metric.type !== 'histogram') {
+        lines.push(`${name}${formatLabels(metric.labelNames, entry.values)} ${formatValue(entry.value)}`);
+        continue;
+      }
+      const bucketLabels = [...metric.labelNames, 'le'];
+      metric.buckets.forEach((bound, i) => {
+        lines.push(`${name}_bucket${formatLabels(bucketLabels, [...entry.values, String(bound)])} ${entry.counts[i]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels(bucketLabels, [...entry.values, '+Inf'])} ${entry.count}`);
+      lines.push(`${name}_sum${formatLabels(metric.labelNames, entry.values)} ${entry.sum}`);
+      lines.push(`${name}_count${formatLabels(metric.labelNames, entry.values)} ${entry.count}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Serve the registry on GET /metrics.
+ * @param {Map<string, object>} registry
+ * @param {number} port - 0 picks a free port
+ * @param {string} [host] - Interface to listen on (all by default)
+ * @returns {Promise<http.Server>} Listening server
+ * @throws {Error} If the port cannot be bound
+ */
+function startMetricsServer(registry, port, host) {
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (req.method !== 'GET' || pathname !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found. Metrics are on /metrics\n');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(renderMetrics(registry));
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      // Scrapes must not keep a finished watch run alive
+      server.unref();
+      resolve(server);
+    });
+  });
+}
+
+module.exports = {
+  createRegistry,
+  defineMetric,
+  createWatchMetrics,
+  setGauge,
+  incCounter,
+  observe,
+  renderMetrics,
+  startMetricsServer,
+};
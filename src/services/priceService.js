@@ -0,0 +1,197 @@
+/**
+ * USD prices for fiat valuation (--prices).
+ *
+ * Prices come from a local JSON/CSV file or an HTTP endpoint returning
+ * the same formats, so an offline price file can stand in for a live
+ * feed. Entries are keyed by symbol ("ETH") or by token address/mint;
+ * an address entry wins over a symbol entry for the same token.
+ *
+ * JSON: { "ETH": 3200.5, "USDC": 1, "0xa0b8...eb48": { "usd": 1 } }
+ * CSV:  symbol,usd
+ *       ETH,3200.5
+ *
+ * One spot price per asset is applied to both ends of the diff range;
+ * historical prices are not looked up.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Default HTTP timeout: 30 seconds
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Normalize a price key. Keys are case-insensitive so EVM addresses
+ * match in any checksum casing.
+ */
+function priceKey(key) {
+  return String(key).trim().toUpperCase();
+}
+
+/**
+ * Parse a price value: a number, a numeric string, or `{ usd: number }`.
+ * @returns {number|null} Price, or null if invalid
+ */
+function parsePriceValue(value) {
+  if (value !== null && typeof value === 'object') {
+    value = value.usd;
+  }
+  if (typeof value === 'string' && value.trim() !== '') {
+    value = Number(value);
+  }
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 ? value : null;
+}
+
+/**
+ * Parse a JSON price map.
+ * @param {string} text - JSON object keyed by symbol or address
+ * @returns {Map<string, number>}
+ * @throws {Error} If the JSON or a price is invalid
+ */
+function parsePriceJson(text) {
+  const data = JSON.parse(text);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('expected an object keyed by symbol or address');
+  }
+
+  const prices = new Map();
+  for (const [key, value] of Object.entries(data)) {
+    const price = parsePriceValue(value);
+    if (price === null) {
+      throw new Error(`invalid price for ${key}: ${JSON.stringify(value)}`);
+    }
+    prices.set(priceKey(key), price);
+  }
+  return prices;
+}
+
+/**
+ * Parse CSV prices: `key,price` per line. A header line, blank lines
+ * and `#` comments are skipped.
+ * @param {string} text - CSV content
+ * @returns {Map<string, number>}
+ * @throws {Error} If a line is invalid
+ */
+function parsePriceCsv(text) {
+  const prices = new Map();
+  const lines = text.split(/\r?\n/);
+
+  lines.forEach((line, i) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+
+    const [key, value] = trimmed.split(',').map(field => field.trim());
+    const price = parsePriceValue(value);
+    if (price === null) {
+      // Header line, e.g. "symbol,usd"
+      if (prices.size === 0 && isNaN(Number(value))) return;
+      throw new Error(`invalid price on line ${i + 1}: ${trimmed}`);
+    }
+    prices.set(priceKey(key), price);
+  });
+
+  return prices;
+}
+
+/**
+ * Load prices from a file path or an http(s) URL.
+ * The format follows the file extension (.csv, otherwise JSON); HTTP
+ * responses are parsed as JSON unless the content type says CSV.
+ * @param {string} source - File path or URL
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] - HTTP timeout
+ * @returns {Promise<Map<string, number>>}
+ * @throws {Error} If the source cannot be read or parsed
+ */
+async function loadPrices(source, options = {}) {
+  let text;
+  let isCsv;
+
+  if (/^https?:\/\//i.test(source)) {
+    let response;
+    try {
+      response = await fetch(source, {
+        headers: { Accept: 'application/json, text/csv' },
+        signal: AbortSignal.timeout(options.timeoutMs || DEFAULT_TIMEOUT_MS),
+      });
+    } catch (error) {
+      // undici reports connection errors as "fetch failed"
+      throw new Error(`Price endpoint unreachable: ${error.cause?.code || error.message}`);
+    }
+    if (!response.ok) {
+      throw new Error(`Price endpoint returned HTTP ${response.status}`);
+    }
+    text = await response.text();
+    isCsv = /csv/i.test(response.headers.get('content-type') || '');
+  } else {
+    text = fs.readFileSync(source, 'utf8');
+    isCsv = path.extname(source).toLowerCase() === '.csv';
+  }
+
+  try {
+    return isCsv ? parsePriceCsv(text) : parsePriceJson(text);
+  } catch (error) {
+    throw new Error(`Invalid prices in ${source}: ${error.message}`);
+  }
+}
+
+/**
+ * Find the price of an asset: by address/mint/master/denom first, then
+ * symbol. Anyone can deploy a token called "USDT", so tokens found by
+ * --discover-tokens are priced by address/mint/master/denom only.
+ * @param {Map<string, number>} prices - Loaded prices
+ * @param {{symbol: string, address?: string, mint?: string, master?: string, denom?: string, discovered?: boolean}} asset
+ * @returns {number|null}
+ */
+function findPrice(prices, asset) {
+  const id = asset.address || asset.mint || asset.master || asset.denom;
+  if (id && prices.has(priceKey(id))) {
+    return prices.get(priceKey(id));
+  }
+  if (asset.discovered) {
+    return null;
+  }
+  return prices.get(priceKey(asset.symbol)) ?? null;
+}
+
+/**
+ * Convert a raw amount to USD, rounded to cents.
+ * @param {bigint|null} raw - Raw amount (balance or diff)
+ * @param {number} decimals - Asset decimals
+ * @param {number|null} price - USD price per whole unit
+ * @returns {number|null} USD value, or null if the amount or price is missing
+ */
+function toUsd(raw, decimals, price) {
+  if (raw === null || raw === undefined || price === null) {
+    return null;
+  }
+  const value = (Number(raw) / 10 ** decimals) * price;
+  // Avoid -0 for tiny negative diffs
+  return Math.round(value * 100) / 100 || 0;
+}
+
+/**
+ * Format a USD amount, e.g. "$40,120.50" or "+$1.00" with `signed`.
+ * @param {number} value - USD amount
+ * @param {boolean} [signed] - Prefix positive values with "+"
+ * @returns {string}
+ */
+function formatUsd(value, signed = false) {
+  const formatted = `$${Math.abs(value).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+  if (value < 0) {
+    return `-${formatted}`;
+  }
+  return signed ? `+${formatted}` : formatted;
+}
+
+module.exports = {
+  parsePriceJson,
+  parsePriceCsv,
+  loadPrices,
+  findPrice,
+  toUsd,
+  formatUsd,
+};
@@ -0,0 +1,199 @@
+/**
+ * Balance snapshots (--snapshot-dir, --diff-against).
+ *
+ * Each run appends the native and token balances of every address to
+ * <dir>/<network>/<address>-<hash>.jsonl, one JSON object per line:
+ *
+ *   {"takenAt":"2025-06-01T00:00:00.000Z","block":21500000,
+ *    "native":{"symbol":"ETH","decimals":18,"raw":"1500000000000000000"},
+ *    "tokens":[{"symbol":"USDC","address":"0xa0b8...","decimals":6,"raw":"2500000"}]}
+ *
+ * --diff-against compares the current balances to a stored snapshot
+ * instead of a past block, so diffs work on every chain whether or not
+ * the RPC serves historical state. `tokens` is null when the run skipped
+ * tokens (--no-tokens).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Fields that identify a token across chains (EVM/Tron, Solana, TON, Cosmos)
+const TOKEN_ID_FIELDS = ['address', 'mint', 'master', 'denom'];
+
+function tokenId(token) {
+  const id = TOKEN_ID_FIELDS.map(field => token[field]).find(Boolean) || token.symbol;
+  // EVM addresses may differ in checksum casing
+  return id.startsWith('0x') ? id.toLowerCase() : id;
+}
+
+/**
+ * Snapshot file for a network and address.
+ * @param {string} dir - Snapshot directory
+ * @param {string} networkKey - Network key
+ * @param {string} address - Wallet address, normalized by the adapter
+ *   (adapter.normalizeAddress) so each account has a single file
+ * @returns {string}
+ */
+function snapshotPath(dir, networkKey, address) {
+  // Keep file names portable (TON raw addresses contain ':'); the hash
+  // keeps addresses that only differ in replaced characters apart
+  const name = address.replace(/[^A-Za-z0-9_-]/g, '_');
+  const hash = crypto.createHash('sha256').update(address).digest('hex').slice(0, 8);
+  return path.join(dir, networkKey, `${name}-${hash}.jsonl`);
+}
+
+/**
+ * Build a snapshot from fetched balances.
+ * @param {object} balanceDiff - Native balance diff from the adapter
+ * @param {object[]|null} tokenBalances - Token balances, or null if tokens were skipped
+ * @param {object} networkConfig - Network configuration
+ * @param {Date} [takenAt] - Snapshot time
+ * @returns {object}
+ */
+function buildSnapshot(balanceDiff, tokenBalances, networkConfig, takenAt = new Date()) {
+  return {
+    takenAt: takenAt.toISOString(),
+    block: balanceDiff.currentBlock,
+    native: {
+      symbol: networkConfig.nativeSymbol,
+      decimals: networkConfig.nativeDecimals,
+      raw: balanceDiff.current.raw.toString(),
+    },
+    tokens: tokenBalances && tokenBalances
+      .filter(token => token.raw > 0n)
+      .map(token => ({
+        symbol: token.symbol,
+        ...Object.fromEntries(TOKEN_ID_FIELDS.filter(field => token[field]).map(field => [field, token[field]])),
+        decimals: token.decimals,
+        raw: token.raw.toString(),
+      })),
+  };
+}
+
+/**
+ * Append a snapshot for a network and address.
+ * @throws {Error} If the directory or file cannot be written
+ */
+function saveSnapshot(dir, networkKey, address, snapshot) {
+  const file = snapshotPath(dir, networkKey, address);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, `${JSON.stringify(snapshot)}\n`);
+}
+
+/**
+ * Find the baseline snapshot for a network and address.
+ * @param {string} dir - Snapshot directory
+ * @param {string} networkKey - Network key
+ * @param {string} address - Wallet address
+ * @param {'last'|number} at - 'last', or the latest snapshot taken at or
+ *   before this Unix time (seconds)
+ * @returns {object|null} Snapshot, or null if there is none
+ * @throws {Error} If the snapshot file cannot be read
+ */
+function findSnapshot(dir, networkKey, address, at) {
+  let content;
+  try {
+    content = fs.readFileSync(snapshotPath(dir, networkKey, address), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  const snapshots = content
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        // Half-written line from an interrupted run
+        return null;
+      }
+    })
+    .filter(snapshot => snapshot && (at === 'last' || Date.parse(snapshot.takenAt) / 1000 <= at));
+
+  return snapshots.reduce((latest, snapshot) =>
+    !latest || Date.parse(snapshot.takenAt) >= Date.parse(latest.takenAt) ? snapshot : latest, null);
+}
+
+/**
+ * Replace the diffs of fetched balances with diffs against a snapshot.
+ * The range's previous block and timestamp become the snapshot's.
+ * Without a snapshot (first run) the diffs are reported as unavailable.
+ * @param {object} balanceDiff - Native balance diff from the adapter
+ * @param {object[]} tokenBalances - Current token balances
+ * @param {object|null} snapshot - Baseline snapshot
+ * @param {object} options
+ * @param {function(bigint, number): string} options.formatBalance - Adapter formatter
+ * @param {object[]} [options.tokens] - Tokens checked this run; snapshot
+ *   tokens outside this list (no longer configured) are not reported as gone
+ * @param {string} [options.missingReason] - Reason reported when there is no snapshot
+ * @returns {{balanceDiff: object, tokenBalances: object[]}}
+ */
+function applySnapshot(balanceDiff, tokenBalances, snapshot, options) {
+  const { formatBalance, tokens, missingReason = 'No snapshot to diff against' } = options;
+  const now = Math.floor(Date.now() / 1000);
+  const unavailable = (reason) => ({ previous: null, diff: null, diffUnavailableReason: reason });
+
+  if (!snapshot) {
+    return {
+      balanceDiff: { ...balanceDiff, ...unavailable(missingReason) },
+      tokenBalances: tokenBalances.map(token => ({ ...token, ...unavailable(missingReason) })),
+    };
+  }
+
+  const previousRaw = BigInt(snapshot.native.raw);
+  const nativeDiff = {
+    ...balanceDiff,
+    previousBlock: snapshot.block,
+    currentTimestamp: balanceDiff.currentTimestamp ?? now,
+    previousTimestamp: Math.floor(Date.parse(snapshot.takenAt) / 1000),
+    previous: { raw: previousRaw, formatted: formatBalance(previousRaw, snapshot.native.decimals) },
+    diff: balanceDiff.current.raw - previousRaw,
+  };
+  delete nativeDiff.diffUnavailableReason;
+
+  if (!snapshot.tokens) {
+    return {
+      balanceDiff: nativeDiff,
+      tokenBalances: tokenBalances.map(token => ({ ...token, ...unavailable('Snapshot has no token balances') })),
+    };
+  }
+
+  // Pair by token; tokens held at the snapshot but gone now show up as zero
+  const previousById = new Map(snapshot.tokens.map(token => [tokenId(token), token]));
+  const merged = tokenBalances.map(token => {
+    const prev = previousById.get(tokenId(token));
+    previousById.delete(tokenId(token));
+    const raw = prev ? BigInt(prev.raw) : 0n;
+    const { diffUnavailableReason, ...current } = token;
+    return {
+      ...current,
+      previous: { raw, formatted: formatBalance(raw, token.decimals) },
+      diff: token.raw - raw,
+    };
+  });
+  const checked = tokens && new Set(tokens.map(tokenId));
+  for (const prev of previousById.values()) {
+    if (checked && !checked.has(tokenId(prev))) continue;
+    const raw = BigInt(prev.raw);
+    merged.push({
+      ...prev,
+      raw: 0n,
+      formatted: formatBalance(0n, prev.decimals),
+      previous: { raw, formatted: formatBalance(raw, prev.decimals) },
+      diff: -raw,
+    });
+  }
+
+  return { balanceDiff: nativeDiff, tokenBalances: merged };
+}
+
+module.exports = {
+  snapshotPath,
+  buildSnapshot,
+  saveSnapshot,
+  findSnapshot,
+  applySnapshot,
+};
@@ -0,0 +1,236 @@
+/**
+ * Webhook delivery: signing, retries and the dead-letter file.
+ *
+ * With a secret, every request carries
+ *
+ *   X-MCBD-Timestamp: <unix seconds>
+ *   X-MCBD-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ *
+ * so receivers can check the body came from us and reject stale
+ * timestamps (replays). Connection errors, timeouts, 429 and 5xx are
+ * retried with exponential backoff; other statuses are final. Payloads
+ * that still fail are appended to a dead-letter NDJSON file, one entry
+ * per line, which --replay-webhooks sends again (signed afresh).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SIGNATURE_HEADER = 'X-MCBD-Signature';
+const TIMESTAMP_HEADER = 'X-MCBD-Timestamp';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 2;
+// First retry after 1s, then 2s, 4s, ...
+const DEFAULT_BACKOFF_MS = 1000;
+
+/**
+ * Signature header value for a body.
+ * @param {string} body - Request body
+ * @param {string} secret - Shared secret
+ * @param {number} timestamp - Unix seconds, sent as X-MCBD-Timestamp
+ * @returns {string} 'sha256=<hex>'
+ */
+function signWebhook(body, secret, timestamp) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${hmac}`;
+}
+
+/**
+ * One POST attempt.
+ * @returns {Promise<{success: boolean, statusCode?: number, error?: string}>}
+ */
+function postOnce(url, body, options) {
+  const { contentType, secret, timeoutMs, userAgent } = options;
+  try {
+    const urlObj = new URL(url);
+    const isHttps = urlObj.protocol === 'https:';
+    const http = isHttps ? require('https') : require('http');
+
+    const headers = {
+      'Content-Type': contentType,
+      'Content-Length': Buffer.byteLength(body),
+      'User-Agent': userAgent,
+    };
+    if (secret) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      headers[TIMESTAMP_HEADER] = String(timestamp);
+      headers[SIGNATURE_HEADER] = signWebhook(body, secret, timestamp);
+    }
+
+    const requestOptions = {
+      hostname: urlObj.hostname,
+      port: urlObj.port || (isHttps ? 443 : 80),
+      path: urlObj.pathname + urlObj.search,
+      method: 'POST',
+      headers,
+      timeout: timeoutMs,
+    };
+
+    return new Promise((resolve) => {
+      const req = http.request(requestOptions, (res) => {
+        res.resume();
+        resolve({ success: res.statusCode >= 200 && res.statusCode < 300, statusCode: res.statusCode });
+      });
+
+      req.on('error', (error) => {
+        resolve({ success: false, error: error.message });
+      });
+
+      req.on('timeout', () => {
+        req.destroy();
+        resolve({ success: false, error: 'Request timeout' });
+      });
+
+      req.write(body);
+      req.end();
+    });
+  } catch (error) {
+    return Promise.resolve({ success: false, error: error.message, final: true });
+  }
+}
+
+/**
+ * Whether a failed attempt is worth repeating: no response (connection
+ * error, timeout), 429 or 5xx.
+ */
+function isRetryable(result) {
+  if (result.success || result.final) return false;
+  return result.statusCode === undefined || result.statusCode === 429 || result.statusCode >= 500;
+}
+
+/**
+ * POST a webhook body, retrying transient failures.
+ * @param {string} url - Webhook URL
+ * @param {object|string} payload - JSON payload, or a formatted body
+ * @param {object} [options]
+ * @param {string} [options.contentType='application/json']
+ * @param {string} [options.secret] - Signs the request when set
+ * @param {number} [options.retries=2] - Retries after the first attempt
+ * @param {number} [options.timeoutMs=10000] - Per attempt
+ * @param {number} [options.backoffMs=1000] - Delay before the first retry, doubled after each
+ * @param {string} [options.userAgent]
+ * @returns {Promise<{success: boolean, statusCode?: number, error?: string, attempts: number}>}
+ */
+async function sendWebhook(url, payload, options = {}) {
+  const {
+    contentType = 'application/json',
+    secret = null,
+    retries = DEFAULT_RETRIES,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    backoffMs = DEFAULT_BACKOFF_MS,
+    userAgent = 'multi-chain-balance-diff',
+  } = options;
+  const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+
+  let attempts = 0;
+  for (;;) {
+    attempts++;
+    const { final, ...result } = await postOnce(url, body, { contentType, secret, timeoutMs, userAgent });
+    if (attempts > retries || !isRetryable({ ...result, final })) {
+      return { ...result, attempts };
+    }
+    await new Promise(resolve => setTimeout(resolve, backoffMs * 2 ** (attempts - 1)));
+  }
+}
+
+/**
+ * Append a failed delivery to the dead-letter file (created on demand).
+ * @param {string} file - Dead-letter NDJSON file
+ * @param {{url: string, contentType: string, body: string, trigger?: string,
+ *   attempts: number, statusCode?: number, error?: string}} entry
+ */
+function appendDeadLetter(file, entry) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify({ failedAt: new Date().toISOString(), ...entry }) + '\n');
+}
+
+/**
+ * Contents of a dead-letter file; a missing file is empty.
+ */
+function readDeadLetterText(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return '';
+    throw error;
+  }
+}
+
+function parseDeadLetters(text, file) {
+  return text.split('\n').filter(line => line.trim()).map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch {
+      throw new Error(`${file}:${i + 1}: not a dead-letter entry`);
+    }
+  });
+}
+
+/**
+ * Entries of a dead-letter file; a missing file has none.
+ * @param {string} file - Dead-letter NDJSON file
+ * @returns {object[]}
+ * @throws {Error} On a line that is not JSON
+ */
+function readDeadLetters(file) {
+  return parseDeadLetters(readDeadLetterText(file), file);
+}
+
+/**
+ * Send every dead-lettered payload again. Entries that still fail stay
+ * in the file (with their latest error); the file is removed once empty.
+ *
+ * Entries a running watch appends during the replay are kept: the file
+ * is re-read before being replaced (through a temp file and a rename),
+ * and everything past the replayed entries is carried over. Only the
+ * moment between that re-read and the rename is unguarded, so avoid
+ * replaying while a watch is failing deliveries to the same file, and
+ * never run two replays of one file at once.
+ * @param {string} file - Dead-letter NDJSON file
+ * @param {object} [options] - sendWebhook options, plus `url` to send
+ *   everything to another endpoint
+ * @returns {Promise<{entry: object, result: object}[]>}
+ */
+async function replayDeadLetters(file, options = {}) {
+  const { url, ...sendOptions } = options;
+  const outcomes = [];
+  const replayed = readDeadLetterText(file);
+  for (const entry of parseDeadLetters(replayed, file)) {
+    const result = await sendWebhook(url || entry.url, entry.body, { ...sendOptions, contentType: entry.contentType });
+    outcomes.push({ entry, result });
+  }
+
+  const remaining = outcomes
+    .filter(({ result }) => !result.success)
+    .map(({ entry, result }) => ({
+      ...entry,
+      failedAt: new Date().toISOString(),
+      attempts: entry.attempts + result.attempts,
+      statusCode: result.statusCode,
+      error: result.error,
+    }));
+  // Appends only ever extend the file
+  const appended = readDeadLetterText(file).slice(replayed.length);
+  const content = remaining.map(entry => `${JSON.stringify(entry)}\n`).join('') + appended;
+  if (content) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, content);
+    fs.renameSync(tmp, file);
+  } else {
+    fs.rmSync(file, { force: true });
+  }
+
+  return outcomes;
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  signWebhook,
+  sendWebhook,
+  appendDeadLetter,
+  readDeadLetters,
+  replayDeadLetters,
+};
@@ -0,0 +1,266 @@
+/**
+ * Webhook message formats (--webhook-format, --webhook-template).
+ *
+ * `raw` posts the JSON output as is. The chat formats turn the alerts in
+ * it into the platform's message payload:
+ *
+ *   slack    Block Kit blocks (incoming webhooks)
+ *   discord  embeds (channel webhooks)
+ *   teams    an Adaptive Card (Workflows / incoming webhooks)
+ *
+ * Payloads are one-shot results (single, multi-address, multi-network)
+ * or watch mode alert events, each with a `webhook` delivery block. A
+ * template file renders `{{path.to.field}}` placeholders against the same
+ * payload instead; `{{message}}` is a one-line summary.
+ */
+
+const WEBHOOK_FORMATS = ['raw', 'slack', 'discord', 'teams'];
+
+// Platform limits: Slack allows 50 blocks, Discord 10 embeds per message
+const MAX_ITEMS = 10;
+
+const COLOR_TRIGGERED = 0xE01E5A;
+const COLOR_RESOLVED = 0x2EB67D;
+
+function shortAddress(address) {
+  return address.length > 16 ? `${address.slice(0, 8)}...${address.slice(-6)}` : address;
+}
+
+function signedDiff(entry) {
+  if (!entry || entry.diff == null) {
+    return 'n/a';
+  }
+  return `${entry.diffSign === 'negative' ? '-' : '+'}${entry.diff}`;
+}
+
+function networkName(network) {
+  return typeof network === 'object' && network !== null ? network.name || network.key : network;
+}
+
+/**
+ * Alert of a one-shot result (single address) as a message item.
+ */
+function resultItem(result, network) {
+  const { alert } = result;
+  const token = (result.tokens || []).find(t => t.symbol === alert.asset);
+  const entry = token || result.native;
+  const condition = alert.rule
+    ? alert.rule.diff ?? `${alert.rule.pct}%`
+    : alert.triggeredBy === 'percentage' ? `${alert.thresholdPct}%` : alert.threshold;
+
+  return {
+    status: 'triggered',
+    network: networkName(network),
+    address: result.address,
+    explorer: result.explorer || null,
+    asset: alert.asset,
+    balance: entry ? `${entry.balance} ${alert.asset}` : 'n/a',
+    diff: `${signedDiff(entry)} ${alert.asset}`,
+    condition: alert.rule ? `${alert.rule.name} (${condition})` : condition,
+  };
+}
+
+/**
+ * Watch mode alert event as a message item.
+ */
+function eventItem(payload) {
+  const event = payload.alertEvent;
+  const token = (payload.tokens || []).find(t => t.symbol === event.asset);
+
+  return {
+    status: event.type === 'alert_resolved' ? 'resolved' : 'triggered',
+    network: networkName(payload.network),
+    address: payload.address,
+    explorer: payload.explorer || null,
+    asset: event.asset,
+    balance: `${token ? token.balance : payload.balance} ${event.asset}`,
+    diff: `${signedDiff(event)} ${event.asset}`,
+    condition: event.rule ? `${event.rule.name} (${event.condition})` : event.condition,
+  };
+}
+
+/**
+ * Alerts in a webhook payload, one item per address (and network) that
+ * triggered.
+ * @param {object} payload - JSON output or watch alert event payload
+ * @returns {object[]} Items with status, network, address, explorer,
+ *   asset, balance, diff and condition
+ */
+function alertItems(payload) {
+  if (payload.alertEvent) {
+    return [eventItem(payload)];
+  }
+  const fromAddresses = (section) => (section.addresses || [])
+    .filter(result => result.alert?.triggered)
+    .map(result => resultItem(result, section.network));
+
+  if (payload.networks) {
+    return payload.networks.flatMap(fromAddresses);
+  }
+  if (payload.addresses) {
+    return fromAddresses(payload);
+  }
+  return payload.alert?.triggered ? [resultItem(payload, payload.network)] : [];
+}
+
+function title(items) {
+  return items.length > 0 && items.every(item => item.status === 'resolved')
+    ? '✅ Balance alert resolved'
+    : '🚨 Balance alert';
+}
+
+/**
+ * One-line summary, e.g. "🚨 Balance alert: -1.5 ETH on Ethereum Mainnet (0xd8dA6B...A96045, <-1)".
+ * @param {object} payload - Webhook payload
+ * @returns {string}
+ */
+function summarize(payload) {
+  const items = alertItems(payload);
+  const parts = items.map(item => `${item.diff} on ${item.network} (${shortAddress(item.address)}, ${item.condition})`);
+  return `${title(items)}${parts.length > 0 ? `: ${parts.join('; ')}` : ''}`;
+}
+
+function slackMessage(payload, items) {
+  const field = (label, value) => ({ type: 'mrkdwn', text: `*${label}*\n${value}` });
+  return {
+    text: summarize(payload),
+    blocks: [
+      { type: 'header', text: { type: 'plain_text', text: title(items) } },
+      ...items.slice(0, MAX_ITEMS).map(item => ({
+        type: 'section',
+        fields: [
+          field('Network', item.network),
+          field('Address', item.explorer ? `<${item.explorer}|${shortAddress(item.address)}>` : `\`${item.address}\``),
+          field('Diff', item.diff),
+          field('Balance', item.balance),
+          field('Threshold', `\`${item.condition}\``),
+          field('Status', item.status),
+        ],
+      })),
+      ...(items.length > MAX_ITEMS
+        ? [{ type: 'section', text: { type: 'mrkdwn', text: `…and ${items.length - MAX_ITEMS} more` } }]
+        : []),
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `multi-chain-balance-diff · ${payload.webhook?.sentAt || new Date().toISOString()}` }],
+      },
+    ],
+  };
+}
+
+function discordMessage(payload, items) {
+  return {
+    content: items.length > MAX_ITEMS ? `${title(items)} (${items.length} addresses, first ${MAX_ITEMS} shown)` : null,
+    embeds: items.slice(0, MAX_ITEMS).map(item => ({
+      title: `${title([item])}: ${item.diff}`,
+      ...(item.explorer && { url: item.explorer }),
+      color: item.status === 'resolved' ? COLOR_RESOLVED : COLOR_TRIGGERED,
+      fields: [
+        { name: 'Network', value: item.network, inline: true },
+        { name: 'Address', value: item.explorer ? `[${shortAddress(item.address)}](${item.explorer})` : item.address, inline: true },
+        { name: 'Balance', value: item.balance, inline: true },
+        { name: 'Threshold', value: `\`${item.condition}\``, inline: true },
+      ],
+      footer: { text: 'multi-chain-balance-diff' },
+      timestamp: payload.webhook?.sentAt || new Date().toISOString(),
+    })),
+  };
+}
+
+function teamsMessage(payload, items) {
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body: [
+          { type: 'TextBlock', text: title(items), weight: 'Bolder', size: 'Medium', wrap: true },
+          ...items.slice(0, MAX_ITEMS).map(item => ({
+            type: 'FactSet',
+            separator: true,
+            facts: [
+              { title: 'Network', value: item.network },
+              { title: 'Address', value: item.address },
+              { title: 'Diff', value: item.diff },
+              { title: 'Balance', value: item.balance },
+              { title: 'Threshold', value: item.condition },
+            ],
+          })),
+        ],
+        actions: items.filter(item => item.explorer).slice(0, 5).map(item => ({
+          type: 'Action.OpenUrl',
+          title: `View ${shortAddress(item.address)}`,
+          url: item.explorer,
+        })),
+      },
+    }],
+  };
+}
+
+function lookup(context, path) {
+  return path.split('.').reduce((value, key) => value?.[key], context);
+}
+
+/**
+ * Render a template: `{{path}}` is replaced by that field of the payload
+ * (`{{native.diff}}`, `{{addresses.0.address}}`), objects as JSON, missing
+ * fields as an empty string. With `json`, values are escaped for use
+ * inside JSON strings.
+ * @param {string} template - Template text
+ * @param {object} payload - Webhook payload
+ * @param {object} [options]
+ * @param {boolean} [options.json] - Escape values for a JSON template
+ * @returns {string}
+ */
+function renderTemplate(template, payload, options = {}) {
+  const context = { ...payload, message: summarize(payload) };
+  return template.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (_, path) => {
+    const value = lookup(context, path);
+    const text = value == null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return options.json ? JSON.stringify(text).slice(1, -1) : text;
+  });
+}
+
+/**
+ * Request body for a webhook payload.
+ * @param {object} payload - JSON output with `webhook` metadata
+ * @param {object} [options]
+ * @param {string} [options.format='raw'] - One of WEBHOOK_FORMATS
+ * @param {{text: string, json: boolean}} [options.template] - Template
+ *   (takes precedence over the format)
+ * @returns {{body: string, contentType: string}}
+ * @throws {Error} If a JSON template does not render to valid JSON
+ */
+function formatWebhookPayload(payload, options = {}) {
+  const { format = 'raw', template } = options;
+
+  if (template) {
+    const body = renderTemplate(template.text, payload, { json: template.json });
+    if (template.json) {
+      try {
+        JSON.parse(body);
+      } catch (error) {
+        throw new Error(`Webhook template did not render to valid JSON: ${error.message}`);
+      }
+    }
+    return { body, contentType: template.json ? 'application/json' : 'text/plain; charset=utf-8' };
+  }
+
+  const items = alertItems(payload);
+  const message = format === 'slack' ? slackMessage(payload, items)
+    : format === 'discord' ? discordMessage(payload, items)
+      : format === 'teams' ? teamsMessage(payload, items)
+        : payload;
+  return { body: JSON.stringify(message), contentType: 'application/json' };
+}
+
+module.exports = {
+  WEBHOOK_FORMATS,
+  alertItems,
+  summarize,
+  renderTemplate,
+  formatWebhookPayload,
+};
@@ -0,0 +1,223 @@
+/**
+ * Address encodings shared by the non-EVM adapters:
+ * - Base58 / Base58Check (Bitcoin legacy and P2SH addresses)
+ * - Bech32 (BIP-173) and Bech32m (BIP-350) (SegWit and Taproot
+ *   addresses, Cosmos SDK addresses)
+ *
+ * Decoders throw on malformed input; callers turn that into a boolean
+ * for address validation.
+ */
+
+const crypto = require('crypto');
+
+// ==========================================================================
+// Base58
+// ==========================================================================
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Decode a Base58 string.
+ * @param {string} str - Base58 string
+ * @returns {Buffer}
+ * @throws {Error} On characters outside the alphabet
+ */
+function base58Decode(str) {
+  let value = 0n;
+  for (const char of str) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit === -1) {
+      throw new Error(`Invalid base58 character: ${char}`);
+    }
+    value = value * 58n + BigInt(digit);
+  }
+
+  const bytes = [];
+  while (value > 0n) {
+    bytes.unshift(Number(value % 256n));
+    value /= 256n;
+  }
+  // Each leading '1' encodes a leading zero byte
+  const leadingZeros = str.match(/^1*/)[0].length;
+  return Buffer.from([...new Array(leadingZeros).fill(0), ...bytes]);
+}
+
+/**
+ * Encode bytes as Base58.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function base58Encode(bytes) {
+  let value = BigInt(`0x${Buffer.from(bytes).toString('hex') || '0'}`);
+  let str = '';
+  while (value > 0n) {
+    str = BASE58_ALPHABET[Number(value % 58n)] + str;
+    value /= 58n;
+  }
+  const leadingZeros = Buffer.from(bytes).findIndex(byte => byte !== 0);
+  return '1'.repeat(leadingZeros === -1 ? bytes.length : leadingZeros) + str;
+}
+
+function checksum(payload) {
+  const hash = crypto.createHash('sha256').update(crypto.createHash('sha256').update(payload).digest()).digest();
+  return hash.subarray(0, 4);
+}
+
+/**
+ * Decode Base58Check: payload followed by a 4-byte double-SHA256 checksum.
+ * @param {string} str - Base58Check string
+ * @returns {Buffer} Payload (version byte included)
+ * @throws {Error} On invalid characters or checksum
+ */
+function base58CheckDecode(str) {
+  const bytes = base58Decode(str);
+  if (bytes.length < 5) {
+    throw new Error('Base58Check string too short');
+  }
+  const payload = bytes.subarray(0, -4);
+  if (!checksum(payload).equals(bytes.subarray(-4))) {
+    throw new Error('Invalid Base58Check checksum');
+  }
+  return payload;
+}
+
+/**
+ * Encode a payload as Base58Check.
+ * @param {Uint8Array} payload - Payload (version byte included)
+ * @returns {string}
+ */
+function base58CheckEncode(payload) {
+  return base58Encode(Buffer.concat([Buffer.from(payload), checksum(payload)]));
+}
+
+// ==========================================================================
+// Bech32 / Bech32m
+// ==========================================================================
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_CONSTANTS = { bech32: 1, bech32m: 0x2bc830a3 };
+const BECH32_GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+
+function polymod(values) {
+  let chk = 1;
+  for (const value of values) {
+    const top = chk >>> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) {
+        chk ^= BECH32_GENERATOR[i];
+      }
+    }
+  }
+  return chk >>> 0;
+}
+
+function expandPrefix(prefix) {
+  return [
+    ...[...prefix].map(char => char.charCodeAt(0) >> 5),
+    0,
+    ...[...prefix].map(char => char.charCodeAt(0) & 31),
+  ];
+}
+
+/**
+ * Decode a Bech32 or Bech32m string.
+ * @param {string} str - Bech32 string (lowercase or uppercase, not mixed)
+ * @param {number} [maxLength] - Maximum length (90 per BIP-173; Cosmos
+ *   and other non-Bitcoin uses allow longer)
+ * @returns {{prefix: string, words: number[], encoding: 'bech32'|'bech32m'}}
+ *   Human-readable prefix and 5-bit data words without the checksum
+ * @throws {Error} If the string is malformed or the checksum is invalid
+ */
+function bech32Decode(str, maxLength = 90) {
+  if (str.length > maxLength) {
+    throw new Error('Bech32 string too long');
+  }
+  if (str !== str.toLowerCase() && str !== str.toUpperCase()) {
+    throw new Error('Bech32 string has mixed case');
+  }
+  const lower = str.toLowerCase();
+  const separator = lower.lastIndexOf('1');
+  if (separator < 1 || separator + 7 > lower.length) {
+    throw new Error('Bech32 separator missing or misplaced');
+  }
+
+  const prefix = lower.slice(0, separator);
+  if (![...prefix].every(char => char.charCodeAt(0) >= 33 && char.charCodeAt(0) <= 126)) {
+    throw new Error('Invalid Bech32 prefix');
+  }
+  const data = [...lower.slice(separator + 1)].map(char => {
+    const value = BECH32_CHARSET.indexOf(char);
+    if (value === -1) {
+      throw new Error(`Invalid Bech32 character: ${char}`);
+    }
+    return value;
+  });
+
+  const check = polymod([...expandPrefix(prefix), ...data]);
+  const encoding = Object.keys(BECH32_CONSTANTS).find(name => BECH32_CONSTANTS[name] === check);
+  if (!encoding) {
+    throw new Error('Invalid Bech32 checksum');
+  }
+  return { prefix, words: data.slice(0, -6), encoding };
+}
+
+/**
+ * Encode 5-bit words as Bech32 or Bech32m.
+ * @param {string} prefix - Human-readable prefix (e.g. 'bc', 'cosmos')
+ * @param {number[]} words - 5-bit data words
+ * @param {'bech32'|'bech32m'} [encoding]
+ * @returns {string}
+ */
+function bech32Encode(prefix, words, encoding = 'bech32') {
+  const values = [...expandPrefix(prefix), ...words, 0, 0, 0, 0, 0, 0];
+  const check = polymod(values) ^ BECH32_CONSTANTS[encoding];
+  const checksumWords = [0, 1, 2, 3, 4, 5].map(i => (check >>> (5 * (5 - i))) & 31);
+  return `${prefix}1${[...words, ...checksumWords].map(word => BECH32_CHARSET[word]).join('')}`;
+}
+
+/**
+ * Regroup bits, e.g. 8-bit bytes to 5-bit Bech32 words and back.
+ * @param {number[]} data - Input values
+ * @param {number} fromBits - Bits per input value
+ * @param {number} toBits - Bits per output value
+ * @param {boolean} pad - Pad the last group (encoding) or require
+ *   zero padding (decoding)
+ * @returns {number[]}
+ * @throws {Error} On invalid padding
+ */
+function convertBits(data, fromBits, toBits, pad) {
+  let acc = 0;
+  let bits = 0;
+  const result = [];
+  const maxValue = (1 << toBits) - 1;
+
+  for (const value of data) {
+    acc = (acc << fromBits) | value;
+    bits += fromBits;
+    while (bits >= toBits) {
+      bits -= toBits;
+      result.push((acc >>> bits) & maxValue);
+    }
+    acc &= (1 << bits) - 1;
+  }
+
+  if (pad) {
+    if (bits > 0) {
+      result.push((acc << (toBits - bits)) & maxValue);
+    }
+  } else if (bits >= fromBits || acc !== 0) {
+    throw new Error('Invalid padding');
+  }
+  return result;
+}
+
+module.exports = {
+  base58Decode,
+  base58Encode,
+  base58CheckDecode,
+  base58CheckEncode,
+  bech32Decode,
+  bech32Encode,
+  convertBits,
+};
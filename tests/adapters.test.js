@@ -38,6 +38,14 @@ describe('EVM Adapter', () => {
     assert.strictEqual(adapter.isValidAddress('not-an-address'), false);
   });
 
+  it('normalizes checksum casing', () => {
+    const adapter = createAdapter(getNetwork('mainnet'));
+    assert.strictEqual(
+      adapter.normalizeAddress('0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045'),
+      '0xd8da6bf26964af9d7eed9e03e53415d37aa96045'
+    );
+  });
+
   it('formats balance correctly', () => {
     const config = getNetwork('mainnet');
     const adapter = createAdapter(config);
@@ -60,6 +68,19 @@ describe('EVM Adapter', () => {
   });
 });
 
+describe('Base Adapter formatting', () => {
+  it('formats exactly, in the native decimals by default', () => {
+    const adapter = createAdapter(getNetwork('bitcoin'));
+
+    assert.strictEqual(adapter.formatBalance(150_000n), '0.0015');
+    assert.strictEqual(adapter.formatBalance(2_500_000n, 6), '2.5');
+    assert.strictEqual(adapter.formatBalance(123_456_789_012_345_678_901n, 18), '123.456789012345678901');
+    assert.strictEqual(adapter.formatBalanceWithSymbol(100_000_000n, 'BTC'), '1 BTC');
+    assert.strictEqual(adapter.formatDiff(-150_000n, 'BTC'), '-0.0015 BTC');
+    assert.strictEqual(adapter.formatDiff(0n, 'BTC'), '+0 BTC');
+  });
+});
+
 describe('Solana Adapter', () => {
   it('validates Solana addresses correctly', () => {
     const config = getNetwork('solana');
@@ -111,3 +132,570 @@ describe('Network Config', () => {
 });
 
 
+
+describe('Token Balance Diffs', () => {
+  const BaseAdapter = require('../src/adapters/baseAdapter');
+
+  // Stub adapter serving fixed balances per block
+  class StubAdapter extends BaseAdapter {
+    constructor(balancesByBlock) {
+      super({ tokens: [] });
+      this.balancesByBlock = balancesByBlock;
+    }
+
+    async getTokenBalances(address, tokens, blockTag) {
+      return (this.balancesByBlock[blockTag] || []).map(([symbol, raw]) => ({
+        symbol,
+        address: `0x${symbol}`,
+        raw,
+        formatted: raw.toString(),
+        decimals: 0,
+      }));
+    }
+
+    formatBalance(raw) {
+      return raw.toString();
+    }
+  }
+
+  it('computes previous, current and diff over the block range', async () => {
+    const adapter = new StubAdapter({
+      100: [['USDC', 150n]],
+      50: [['USDC', 100n]],
+    });
+    const [usdc] = await adapter.getTokenBalanceDiffs('0xabc', [], 100, 50);
+
+    assert.strictEqual(usdc.raw, 150n);
+    assert.strictEqual(usdc.previous.raw, 100n);
+    assert.strictEqual(usdc.diff, 50n);
+  });
+
+  it('includes tokens that appeared or were fully exited', async () => {
+    const adapter = new StubAdapter({
+      100: [['USDC', 10n]],
+      50: [['stETH', 7n]],
+    });
+    const diffs = await adapter.getTokenBalanceDiffs('0xabc', [], 100, 50);
+    const bySymbol = Object.fromEntries(diffs.map(t => [t.symbol, t]));
+
+    assert.strictEqual(bySymbol.USDC.previous.raw, 0n);
+    assert.strictEqual(bySymbol.USDC.diff, 10n);
+    assert.strictEqual(bySymbol.stETH.raw, 0n);
+    assert.strictEqual(bySymbol.stETH.diff, -7n);
+  });
+
+  it('reports a null diff when the past state is unavailable', async () => {
+    const { HistoryUnavailableError } = require('../src/adapters');
+    const adapter = new StubAdapter({ 100: [['USDC', 10n]] });
+    const getTokenBalances = adapter.getTokenBalances.bind(adapter);
+    adapter.getTokenBalances = async (address, tokens, blockTag) => {
+      if (blockTag === 50) throw new HistoryUnavailableError('no archive');
+      return getTokenBalances(address, tokens, blockTag);
+    };
+
+    const [usdc] = await adapter.getTokenBalanceDiffs('0xabc', [], 100, 50);
+    assert.strictEqual(usdc.raw, 10n);
+    assert.strictEqual(usdc.previous, null);
+    assert.strictEqual(usdc.diff, null);
+    assert.strictEqual(usdc.diffUnavailableReason, 'no archive');
+  });
+});
+
+describe('EVM Multicall Batching', () => {
+  const { ethers } = require('ethers');
+  const EVMAdapter = require('../src/adapters/evmAdapter');
+  const erc20 = new ethers.Interface(['function balanceOf(address owner) view returns (uint256)']);
+  const multicall = new ethers.Interface([
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+  ]);
+  const TOKENS = [
+    { symbol: 'USDC', address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', decimals: 6 },
+    { symbol: 'USDT', address: '0xdAC17F958D2ee523a2206206994597C13D831ec7', decimals: 6 },
+  ];
+  const ALICE = '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045';
+  const BOB = '0x0a542565b3615e8fc934cc3cc4921a0c22e5dc5e';
+
+  // Stub provider: balance = last address byte * 1000, USDT call fails
+  function stubProvider({ code = '0x6080' } = {}) {
+    const calls = [];
+    const balanceFor = (data) => BigInt(parseInt(data.slice(-2), 16)) * 1000n;
+    return {
+      calls,
+      getCode: async () => code,
+      call: async (tx) => {
+        calls.push(tx);
+        if (tx.data.startsWith(multicall.getFunction('aggregate3').selector)) {
+          const [batch] = multicall.decodeFunctionData('aggregate3', tx.data);
+          return multicall.encodeFunctionResult('aggregate3', [batch.map(call =>
+            call.target === TOKENS[1].address
+              ? [false, '0x']
+              : [true, erc20.encodeFunctionResult('balanceOf', [balanceFor(call.callData)])]
+          )]);
+        }
+        return erc20.encodeFunctionResult('balanceOf', [balanceFor(tx.data)]);
+      },
+    };
+  }
+
+  it('reads every address and token in one aggregate3 call', async () => {
+    const adapter = new EVMAdapter({ tokens: TOKENS });
+    adapter.provider = stubProvider();
+
+    const balances = await adapter.getTokenBalancesForAddresses([ALICE, BOB], TOKENS, 100);
+    assert.strictEqual(adapter.provider.calls.length, 1);
+    assert.strictEqual(adapter.provider.calls[0].blockTag, 100);
+    assert.deepStrictEqual(balances.get(ALICE).map(t => [t.symbol, t.raw]), [['USDC', 0x45n * 1000n]]);
+    assert.deepStrictEqual(balances.get(BOB).map(t => [t.symbol, t.raw]), [['USDC', 0x5en * 1000n]]);
+  });
+
+  it('falls back to individual calls without Multicall3', async () => {
+    const adapter = new EVMAdapter({ tokens: TOKENS });
+    adapter.provider = stubProvider({ code: '0x' });
+
+    const balances = await adapter.getTokenBalancesForAddresses([ALICE, BOB], TOKENS, 100);
+    assert.strictEqual(adapter.provider.calls.length, 4);
+    assert.strictEqual(balances.get(ALICE).length, 2);
+  });
+
+  describe('when the aggregate3 call fails', () => {
+    // Multicall3 deployed, but aggregate3 throws `error`
+    function failingAggregate(error) {
+      const provider = stubProvider();
+      const call = provider.call;
+      provider.call = async (tx) => {
+        if (tx.data.startsWith(multicall.getFunction('aggregate3').selector)) {
+          provider.calls.push(tx);
+          throw error;
+        }
+        return call(tx);
+      };
+      return provider;
+    }
+    const callException = (message) => Object.assign(new Error('missing revert data'), {
+      code: 'CALL_EXCEPTION',
+      info: { error: { code: -32000, message } },
+    });
+
+    it('falls back to individual calls when it reverts', async () => {
+      const adapter = new EVMAdapter({ tokens: TOKENS });
+      adapter.provider = failingAggregate(callException('execution reverted'));
+
+      const balances = await adapter.getTokenBalancesForAddresses([ALICE, BOB], TOKENS, 100);
+      assert.strictEqual(adapter.provider.calls.length, 1 + 4);
+      assert.strictEqual(balances.get(ALICE).length, 2);
+    });
+
+    it('does not retry rate limits once per token', async () => {
+      const adapter = new EVMAdapter({ tokens: TOKENS });
+      adapter.provider = failingAggregate(callException('429 Too Many Requests'));
+
+      await assert.rejects(adapter.getTokenBalancesForAddresses([ALICE, BOB], TOKENS, 100), /missing revert data/);
+      assert.strictEqual(adapter.provider.calls.length, 1);
+    });
+
+    it('reports pruned state without retrying', async () => {
+      const { HistoryUnavailableError } = require('../src/adapters');
+      const adapter = new EVMAdapter({ tokens: TOKENS });
+      adapter.provider = failingAggregate(callException('missing trie node abc'));
+
+      await assert.rejects(adapter.getTokenBalancesForAddresses([ALICE, BOB], TOKENS, 50), HistoryUnavailableError);
+      assert.strictEqual(adapter.provider.calls.length, 1);
+    });
+  });
+
+  describe('when the historical balanceOf fails', () => {
+    // Individual calls (no Multicall3) that throw `error` at block 50 only
+    function failingAt50(error) {
+      const provider = stubProvider({ code: '0x' });
+      const call = provider.call;
+      provider.call = async (tx) => {
+        if (tx.blockTag === 50) throw error;
+        return call(tx);
+      };
+      return provider;
+    }
+    const callException = (message) => Object.assign(new Error('missing revert data'), {
+      code: 'CALL_EXCEPTION',
+      info: { error: { code: -32000, message } },
+    });
+
+    it('rethrows transport errors instead of reading a zero balance', async () => {
+      const adapter = new EVMAdapter({ tokens: TOKENS });
+      adapter.provider = failingAt50(Object.assign(new Error('request timeout'), { code: 'TIMEOUT' }));
+
+      await assert.rejects(adapter.getTokenBalanceDiffsForAddresses([ALICE], TOKENS, 100, 50), /request timeout/);
+    });
+
+    it('reports the diff as unavailable when the node has pruned the state', async () => {
+      const adapter = new EVMAdapter({ tokens: TOKENS });
+      adapter.provider = failingAt50(callException('missing trie node 0c3f… (path ) state 0x… is not available'));
+
+      const [usdc] = (await adapter.getTokenBalanceDiffsForAddresses([ALICE], TOKENS, 100, 50)).get(ALICE);
+      assert.strictEqual(usdc.raw, 0x45n * 1000n);
+      assert.strictEqual(usdc.previous, null);
+      assert.strictEqual(usdc.diff, null);
+      assert.match(usdc.diffUnavailableReason, /State at block 50 unavailable: missing trie node/);
+    });
+
+    it('rethrows rate limits and timeouts that ethers reports as CALL_EXCEPTION', async () => {
+      for (const message of ['429 Too Many Requests: rate limit exceeded', 'execution timeout']) {
+        const adapter = new EVMAdapter({ tokens: TOKENS });
+        adapter.provider = failingAt50(callException(message));
+
+        await assert.rejects(adapter.getTokenBalanceDiffsForAddresses([ALICE], TOKENS, 100, 50), { code: 'CALL_EXCEPTION' });
+      }
+    });
+
+    it('reads a revert with revert data as no balance', async () => {
+      const adapter = new EVMAdapter({ tokens: TOKENS });
+      adapter.provider = failingAt50(Object.assign(callException('reverted'), { data: '0x' }));
+
+      const [usdc] = (await adapter.getTokenBalanceDiffsForAddresses([ALICE], TOKENS, 100, 50)).get(ALICE);
+      assert.strictEqual(usdc.previous.raw, 0n);
+    });
+
+    it('still reads a revert as no balance', async () => {
+      const adapter = new EVMAdapter({ tokens: TOKENS });
+      adapter.provider = failingAt50(callException('execution reverted'));
+
+      const [usdc] = (await adapter.getTokenBalanceDiffsForAddresses([ALICE], TOKENS, 100, 50)).get(ALICE);
+      assert.strictEqual(usdc.previous.raw, 0n);
+      assert.strictEqual(usdc.diff, 0x45n * 1000n);
+    });
+  });
+});
+
+describe('Block Lookup by Timestamp', () => {
+  const BaseAdapter = require('../src/adapters/baseAdapter');
+
+  // Blocks every 12s until `gapAt`, then every 2s (block time change)
+  class TimedAdapter extends BaseAdapter {
+    constructor(latest, gapAt = Infinity) {
+      super({ tokens: [] });
+      this.latest = latest;
+      this.gapAt = gapAt;
+      this.calls = 0;
+    }
+
+    async getCurrentBlock() {
+      return this.latest;
+    }
+
+    async getBlockTimestamp(block) {
+      this.calls++;
+      const slow = Math.min(block, this.gapAt);
+      return 1_600_000_000 + slow * 12 + (block - slow) * 2;
+    }
+  }
+
+  it('finds the last block at or before a timestamp', async () => {
+    const adapter = new TimedAdapter(1_000_000);
+    const latestTime = await adapter.getBlockTimestamp(1_000_000);
+
+    assert.strictEqual(await adapter.findBlockByTimestamp(1_600_000_000 + 400_000 * 12, 1_000_000, latestTime), 400_000);
+    assert.strictEqual(await adapter.findBlockByTimestamp(1_600_000_000 + 400_000 * 12 + 11, 1_000_000, latestTime), 400_000);
+    assert.strictEqual(await adapter.findBlockByTimestamp(1_500_000_000, 1_000_000, latestTime), 0);
+    assert.strictEqual(await adapter.findBlockByTimestamp(latestTime + 60, 1_000_000, latestTime), 1_000_000);
+  });
+
+  it('stays logarithmic when the block time changes', async () => {
+    const adapter = new TimedAdapter(1_000_000, 900_000);
+    const latestTime = await adapter.getBlockTimestamp(1_000_000);
+    adapter.calls = 0;
+
+    const block = await adapter.findBlockByTimestamp(1_600_000_000 + 100_000 * 12, 1_000_000, latestTime);
+    assert.strictEqual(block, 100_000);
+    assert.ok(adapter.calls <= 50, `expected few lookups, got ${adapter.calls}`);
+  });
+
+  it('resolves a time window into blocks with timestamps', async () => {
+    const adapter = new TimedAdapter(1_000);
+    const range = await adapter.resolveBlockRange({
+      from: 1_600_000_000 + 500 * 12,
+      to: 1_600_000_000 + 800 * 12 + 5,
+    });
+
+    assert.deepStrictEqual(range, {
+      currentBlock: 800,
+      previousBlock: 500,
+      currentTimestamp: 1_600_000_000 + 800 * 12,
+      previousTimestamp: 1_600_000_000 + 500 * 12,
+    });
+  });
+});
+
+describe('Solana Token Programs', () => {
+  const { PublicKey } = require('@solana/web3.js');
+  const WALLET = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+  const TOKEN_2022 = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+  const USDC = { symbol: 'USDC', mint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', decimals: 6, program: 'spl' };
+  const PYUSD = { symbol: 'PYUSD', mint: '2b1kV6DkPAnxd5ixfnxCpjxmKwqjjaYmCZfHsFu24GXo', decimals: 6 };
+
+  function tokenAccount(mint, amount) {
+    return {
+      pubkey: PublicKey.unique(),
+      account: { data: { parsed: { info: { mint, tokenAmount: { amount: String(amount), decimals: 6 } } } } },
+    };
+  }
+
+  // Stub connection: token accounts keyed by program ID
+  function stubConnection(accountsByProgram) {
+    const queried = [];
+    return {
+      queried,
+      getParsedTokenAccountsByOwner: async (owner, { programId }) => {
+        queried.push(programId.toBase58());
+        return { value: accountsByProgram[programId.toBase58()] || [] };
+      },
+    };
+  }
+
+  it('queries both token programs and merges accounts per mint', async () => {
+    const adapter = createAdapter(getNetwork('solana'));
+    adapter.conn = stubConnection({
+      TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA: [tokenAccount(USDC.mint, 1_000_000), tokenAccount(USDC.mint, 500_000)],
+      [TOKEN_2022]: [tokenAccount(PYUSD.mint, 2_000_000)],
+    });
+
+    const balances = await adapter.getTokenBalances(WALLET, [USDC, PYUSD]);
+    const bySymbol = Object.fromEntries(balances.map(t => [t.symbol, t.raw]));
+    assert.deepStrictEqual(bySymbol, { USDC: 1_500_000n, PYUSD: 2_000_000n });
+    assert.strictEqual(adapter.conn.queried.length, 2);
+  });
+
+  it('only queries the programs named by the token config', async () => {
+    const adapter = createAdapter(getNetwork('solana'));
+    adapter.conn = stubConnection({});
+
+    await adapter.getTokenBalances(WALLET, [USDC]);
+    assert.deepStrictEqual(adapter.conn.queried, ['TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA']);
+  });
+
+  it('rethrows RPC errors instead of reading no tokens', async () => {
+    const adapter = createAdapter(getNetwork('solana'));
+    adapter.conn = {
+      getParsedTokenAccountsByOwner: async () => {
+        throw new Error('429 Too Many Requests: {"jsonrpc":"2.0","error":{"code":429,"message":"Too many requests"}}');
+      },
+    };
+
+    await assert.rejects(adapter.getTokenBalances(WALLET, [USDC], 100), /429 Too Many Requests/);
+    await assert.rejects(adapter.getTokenBalances(WALLET, [USDC]), /429 Too Many Requests/);
+  });
+
+  it('PYUSD is configured under Token-2022', () => {
+    const pyusd = getNetwork('solana').tokens.find(t => t.symbol === 'PYUSD');
+    assert.strictEqual(pyusd.program, 'token-2022');
+  });
+});
+
+describe('Token Discovery', () => {
+  const { ethers } = require('ethers');
+  const { PublicKey } = require('@solana/web3.js');
+  const EVMAdapter = require('../src/adapters/evmAdapter');
+  const erc20 = new ethers.Interface([
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)',
+  ]);
+  const ALICE = '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045';
+  const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+  const MKR = '0x9f8F72aA9304c8B593d555F12eF6589cC3A579A2';
+  const NFT = '0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D';
+
+  // Stub provider: rejects log ranges over 1000 blocks; USDC and MKR
+  // (bytes32 symbol) are ERC-20, the NFT has no decimals()
+  function stubProvider() {
+    const logRanges = [];
+    const owner = ethers.zeroPadValue(ALICE, 32);
+    const zero = ethers.zeroPadValue('0x', 32);
+    return {
+      logRanges,
+      getCode: async () => '0x',
+      getLogs: async ({ topics, fromBlock, toBlock }) => {
+        if (toBlock - fromBlock + 1 > 1000) {
+          throw new Error('could not coalesce error (error={ "message": "block range is too wide" })');
+        }
+        logRanges.push([fromBlock, toBlock]);
+        if (topics[2] === undefined || fromBlock > 5000 || toBlock < 5000) return [];
+        return [
+          { address: USDC.toLowerCase(), topics: [topics[0], zero, owner] },
+          { address: MKR, topics: [topics[0], zero, owner] },
+          { address: NFT, topics: [topics[0], zero, owner, zero] },
+        ];
+      },
+      call: async ({ to, data }) => {
+        const fn = erc20.parseTransaction({ data }).name;
+        if (to === USDC) {
+          return fn === 'symbol' ? erc20.encodeFunctionResult('symbol', ['USDC']) : erc20.encodeFunctionResult('decimals', [6]);
+        }
+        if (to === MKR) {
+          return fn === 'symbol' ? ethers.encodeBytes32String('MKR') : erc20.encodeFunctionResult('decimals', [18]);
+        }
+        throw new Error('execution reverted');
+      },
+    };
+  }
+
+  it('finds ERC-20 tokens from Transfer logs and reads their metadata', async () => {
+    const adapter = new EVMAdapter({ tokens: [] });
+    adapter.provider = stubProvider();
+
+    const tokens = await adapter.discoverTokens([ALICE], { currentBlock: 10_000, previousBlock: 9_950 }, { scanBlocks: 6_000 });
+    assert.deepStrictEqual(tokens, [
+      { symbol: 'USDC', address: USDC, decimals: 6, discovered: true },
+      { symbol: 'MKR', address: MKR, decimals: 18, discovered: true },
+    ]);
+  });
+
+  it('scans at least the diff range, splitting ranges the RPC rejects', async () => {
+    const adapter = new EVMAdapter({ tokens: [] });
+    adapter.provider = stubProvider();
+
+    await adapter.discoverTokens([ALICE], { currentBlock: 10_000, previousBlock: 7_000 }, { scanBlocks: 100 });
+    const ranges = adapter.provider.logRanges;
+    assert.strictEqual(Math.min(...ranges.map(r => r[0])), 7_000);
+    assert.strictEqual(Math.max(...ranges.map(r => r[1])), 10_000);
+    assert.ok(ranges.every(([from, to]) => to - from + 1 <= 1000));
+  });
+
+  it('lists every mint with a token account on Solana', async () => {
+    const adapter = createAdapter(getNetwork('solana'));
+    const account = (mint, amount) => ({
+      pubkey: PublicKey.unique(),
+      account: { data: { parsed: { info: { mint, tokenAmount: { amount: String(amount), decimals: 5 } } } } },
+    });
+    adapter.conn = {
+      getParsedTokenAccountsByOwner: async (owner, { programId }) => ({
+        value: programId.toBase58() === 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA'
+          ? [account('DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', 10), account('DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', 0)]
+          : [],
+      }),
+    };
+
+    const tokens = await adapter.discoverTokens(['9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM'], { currentBlock: 1, previousBlock: 0 });
+    assert.deepStrictEqual(tokens, [{
+      symbol: 'DezX…B263',
+      mint: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263',
+      decimals: 5,
+      program: 'spl',
+      discovered: true,
+    }]);
+  });
+
+  it('is not supported on TON', async () => {
+    const adapter = createAdapter(getNetwork('ton'));
+    await assert.rejects(adapter.discoverTokens(['EQ...'], { currentBlock: 1, previousBlock: 0 }), /not supported on ton/);
+  });
+});
+
+describe('Solana History Reconstruction', () => {
+  const { PublicKey } = require('@solana/web3.js');
+  const { HistoryUnavailableError } = require('../src/adapters');
+  const WALLET = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+
+  // Stub connection: signatures newest-first, transactions keyed by signature
+  function stubConnection({ signatures, transactions, balance }) {
+    return {
+      getBalance: async () => balance,
+      getSignaturesForAddress: async (pubkey, { before, limit }) => {
+        const start = before ? signatures.findIndex(s => s.signature === before) + 1 : 0;
+        return signatures.slice(start, start + limit);
+      },
+      getParsedTransaction: async (signature) => transactions[signature] || null,
+    };
+  }
+
+  function tx(preBalance) {
+    return {
+      transaction: { message: { accountKeys: [{ pubkey: new PublicKey(WALLET) }] } },
+      meta: { preBalances: [preBalance], postBalances: [0], preTokenBalances: [] },
+    };
+  }
+
+  function createSolanaAdapter(conn) {
+    const adapter = createAdapter(getNetwork('solana'));
+    adapter.conn = conn;
+    return adapter;
+  }
+
+  it('uses the pre-balance of the first transaction after the slot', async () => {
+    const adapter = createSolanaAdapter(stubConnection({
+      balance: 300,
+      signatures: [
+        { signature: 'c', slot: 120 },
+        { signature: 'b', slot: 110 },
+        { signature: 'a', slot: 90 },
+      ],
+      transactions: { b: tx(200), c: tx(250) },
+    }));
+
+    const result = await adapter.getNativeBalance(WALLET, 100);
+    assert.strictEqual(result.raw, 200n);
+  });
+
+  it('returns the current balance when nothing changed since the slot', async () => {
+    const adapter = createSolanaAdapter(stubConnection({
+      balance: 300,
+      signatures: [{ signature: 'a', slot: 90 }],
+      transactions: {},
+    }));
+
+    const result = await adapter.getNativeBalance(WALLET, 100);
+    assert.strictEqual(result.raw, 300n);
+  });
+
+  it('reports unavailable history instead of falling back', async () => {
+    const adapter = createSolanaAdapter(stubConnection({
+      balance: 300,
+      signatures: [{ signature: 'b', slot: 110 }, { signature: 'a', slot: 90 }],
+      transactions: {}, // pruned by the RPC
+    }));
+
+    await assert.rejects(
+      adapter.getNativeBalance(WALLET, 100),
+      HistoryUnavailableError
+    );
+  });
+
+  describe('when a token account was closed since the slot', () => {
+    const USDC = { symbol: 'USDC', mint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', decimals: 6 };
+    const ACCOUNT = PublicKey.unique();
+
+    // Stub connection: no open token accounts, signatures per address
+    function closedAccountConnection(walletSignatures) {
+      const signatures = {
+        [WALLET]: walletSignatures,
+        [ACCOUNT.toBase58()]: [{ signature: 'close', slot: 110 }, { signature: 'fund', slot: 50 }],
+      };
+      return {
+        getParsedTokenAccountsByOwner: async () => ({ value: [] }),
+        getSignaturesForAddress: async (pubkey) => signatures[pubkey.toBase58()] || [],
+        getParsedTransaction: async (signature) => signature === 'close' ? {
+          transaction: { message: { accountKeys: [{ pubkey: new PublicKey(WALLET) }, { pubkey: ACCOUNT }] } },
+          meta: {
+            preBalances: [0, 0],
+            postBalances: [0, 0],
+            preTokenBalances: [{ accountIndex: 1, mint: USDC.mint, owner: WALLET, uiTokenAmount: { amount: '5000000', decimals: 6 } }],
+            postTokenBalances: [],
+          },
+        } : null,
+      };
+    }
+
+    it('finds it from the wallet transactions and diffs the full exit', async () => {
+      const adapter = createSolanaAdapter(closedAccountConnection([{ signature: 'close', slot: 110 }]));
+
+      const [usdc] = await adapter.getTokenBalanceDiffs(WALLET, [USDC], 'latest', 100);
+      assert.strictEqual(usdc.symbol, 'USDC');
+      assert.strictEqual(usdc.previous.raw, 5_000_000n);
+      assert.strictEqual(usdc.diff, -5_000_000n);
+    });
+
+    it('reports unavailable history when the wallet has too many transactions to scan', async () => {
+      const walletSignatures = Array.from({ length: 101 }, (_, i) => ({ signature: `tx${i}`, slot: 200 - i }));
+      const adapter = createSolanaAdapter(closedAccountConnection(walletSignatures));
+
+      await assert.rejects(adapter.getTokenBalances(WALLET, [USDC], 100), HistoryUnavailableError);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Tests for the watch mode alert state (--alert-after, --alert-cooldown)
+ * Run with: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createAlertState, updateAlertState, countActiveAlerts } = require('../src/services/alertState');
+
+const ADDRESS = '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045';
+const MINUTE = 60 * 1000;
+
+const check = (breached, assetId = 'ETH', triggeredBy = 'absolute') => ({ assetId, triggeredBy, breached });
+
+// Feed one breached/clear flag per poll, one minute apart; returns the event types per poll
+function run(polls, options = {}) {
+  const state = createAlertState();
+  return polls.map((breached, i) =>
+    updateAlertState(state, ADDRESS, [check(breached)], { ...options, now: i * MINUTE }).map(event => event.type)
+  );
+}
+
+describe('Alert state', () => {
+  it('triggers once while a breach lasts, and resolves when it clears', () => {
+    assert.deepStrictEqual(run([false, true, true, true, false, false]), [
+      [], ['alert_triggered'], [], [], ['alert_resolved'], [],
+    ]);
+  });
+
+  it('waits for N consecutive breaching polls', () => {
+    assert.deepStrictEqual(run([true, false, true, true, true], { after: 3 }), [
+      [], [], [], [], ['alert_triggered'],
+    ]);
+  });
+
+  it('holds back a new alert during the cooldown', () => {
+    // Re-breaches 2 minutes after the first alert, which is within 5 minutes
+    assert.deepStrictEqual(run([true, false, true, true, true, true, true], { cooldownMs: 5 * MINUTE }), [
+      ['alert_triggered'], ['alert_resolved'], [], [], [], ['alert_triggered'], [],
+    ]);
+  });
+
+  it('tracks each address, asset and condition separately', () => {
+    const state = createAlertState();
+    const events = updateAlertState(state, ADDRESS, [
+      check(true, 'ETH', 'absolute'),
+      check(true, 'ETH', 'gas wallet drain'),
+      check(false, '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', 'absolute'),
+    ]);
+    updateAlertState(state, '0x0a542565b3615e8fc934cc3cc4921a0c22e5dc5e', [check(true)]);
+
+    assert.deepStrictEqual(events.map(event => event.check.triggeredBy), ['absolute', 'gas wallet drain']);
+    assert.strictEqual(countActiveAlerts(state), 3);
+  });
+
+  it('reports the breach count and when a resolved alert triggered', () => {
+    const state = createAlertState();
+    updateAlertState(state, ADDRESS, [check(true)], { after: 2, now: 0 });
+    const [triggered] = updateAlertState(state, ADDRESS, [check(true)], { after: 2, now: MINUTE });
+    const [resolved] = updateAlertState(state, ADDRESS, [check(false)], { after: 2, now: 2 * MINUTE });
+
+    assert.strictEqual(triggered.breachingPolls, 2);
+    assert.strictEqual(resolved.triggeredAt, MINUTE);
+  });
+
+  it('keeps the state of assets whose diff was unavailable', () => {
+    const state = createAlertState();
+    updateAlertState(state, ADDRESS, [check(true)]);
+
+    // Diff unavailable this poll: no check, no recovery
+    assert.deepStrictEqual(updateAlertState(state, ADDRESS, [], { held: ['ETH'] }), []);
+    assert.strictEqual(countActiveAlerts(state), 1);
+  });
+
+  it('resolves alerts on assets that drop out of a poll', () => {
+    const state = createAlertState();
+    updateAlertState(state, ADDRESS, [check(true), check(true, 'USDC')]);
+
+    // Drained to zero: the token is no longer reported at either end
+    const events = updateAlertState(state, ADDRESS, [check(false)]);
+    assert.deepStrictEqual(events.map(event => [event.type, event.check.assetId]), [
+      ['alert_resolved', 'ETH'],
+      ['alert_resolved', 'USDC'],
+    ]);
+    assert.strictEqual(events[1].check.breached, false);
+    assert.strictEqual(events[1].check.diff, 0n);
+    assert.strictEqual(countActiveAlerts(state), 0);
+  });
+
+  it('triggers again when a dropped asset is refilled and drained', () => {
+    const state = createAlertState();
+    updateAlertState(state, ADDRESS, [check(true, 'USDC')]);
+    updateAlertState(state, ADDRESS, []);
+
+    // Refilled (a breach too), resolved, then drained again
+    assert.deepStrictEqual(updateAlertState(state, ADDRESS, [check(true, 'USDC')]).map(event => event.type), ['alert_triggered']);
+    updateAlertState(state, ADDRESS, [check(false, 'USDC')]);
+    assert.deepStrictEqual(updateAlertState(state, ADDRESS, [check(true, 'USDC')]).map(event => event.type), ['alert_triggered']);
+  });
+
+  it('does not resolve alerts of other addresses', () => {
+    const state = createAlertState();
+    updateAlertState(state, ADDRESS, [check(true)]);
+
+    assert.deepStrictEqual(updateAlertState(state, '0xother', []), []);
+    assert.strictEqual(countActiveAlerts(state), 1);
+  });
+});
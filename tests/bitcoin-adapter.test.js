@@ -0,0 +1,220 @@
+/**
+ * Tests for Bitcoin Adapter
+ * Run with: npm test
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const BitcoinAdapter = require('../src/adapters/bitcoinAdapter');
+const { HistoryUnavailableError } = require('../src/adapters');
+const { getNetwork } = require('../src/config/networks');
+const {
+  base58CheckDecode,
+  base58CheckEncode,
+  bech32Decode,
+  bech32Encode,
+} = require('../src/utils/encoding');
+
+const ESPLORA = 'https://esplora.example/api';
+const P2WPKH = 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4';
+
+function createAdapter(network = 'bitcoin') {
+  return new BitcoinAdapter({ ...getNetwork(network), rpcUrls: [ESPLORA] });
+}
+
+describe('Address Encodings', () => {
+  it('round-trips Base58Check', () => {
+    const payload = base58CheckDecode('1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa');
+    assert.strictEqual(payload.length, 21);
+    assert.strictEqual(payload[0], 0x00);
+    assert.strictEqual(base58CheckEncode(payload), '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa');
+  });
+
+  it('rejects a bad Base58Check checksum', () => {
+    assert.throws(() => base58CheckDecode('1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNb'), /checksum/);
+  });
+
+  it('tells bech32 from bech32m and round-trips both', () => {
+    const v0 = bech32Decode(P2WPKH);
+    assert.strictEqual(v0.prefix, 'bc');
+    assert.strictEqual(v0.encoding, 'bech32');
+    assert.strictEqual(bech32Encode(v0.prefix, v0.words, v0.encoding), P2WPKH);
+
+    const taproot = 'bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0';
+    const v1 = bech32Decode(taproot);
+    assert.strictEqual(v1.encoding, 'bech32m');
+    assert.strictEqual(bech32Encode(v1.prefix, v1.words, v1.encoding), taproot);
+  });
+
+  it('rejects mixed case and bad bech32 checksums', () => {
+    assert.throws(() => bech32Decode('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3T4'), /mixed case/);
+    assert.throws(() => bech32Decode('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t5'), /checksum/);
+  });
+});
+
+describe('Bitcoin Address Validation', () => {
+  it('accepts legacy, P2SH, SegWit and Taproot mainnet addresses', () => {
+    const adapter = createAdapter();
+    for (const address of [
+      '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa',
+      '3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy',
+      P2WPKH,
+      P2WPKH.toUpperCase(),
+      'bc1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3qccfmv3',
+      'bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0',
+    ]) {
+      assert.ok(adapter.isValidAddress(address), `Should accept ${address}`);
+    }
+  });
+
+  it('rejects addresses for other networks or with the wrong checksum variant', () => {
+    const adapter = createAdapter();
+    for (const address of [
+      'tb1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3q0sl5k7',
+      'mipcBbFg9gMiCh81Kj8tqqdgoZub1ZJRfn',
+      // v1 program with a bech32 checksum, v0 program with bech32m
+      'bc1pw508d6qejxtdg4y5r3zarvary0c5xw7kw508d6qejxtdg4y5r3zarvary0c5xw7k7grplx',
+      'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kemeawh',
+      '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045',
+      '',
+    ]) {
+      assert.ok(!adapter.isValidAddress(address), `Should reject ${address}`);
+    }
+  });
+
+  it('accepts testnet addresses on bitcoin-testnet only', () => {
+    const adapter = createAdapter('bitcoin-testnet');
+    assert.ok(adapter.isValidAddress('tb1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3q0sl5k7'));
+    assert.ok(adapter.isValidAddress('mipcBbFg9gMiCh81Kj8tqqdgoZub1ZJRfn'));
+    assert.ok(!adapter.isValidAddress(P2WPKH));
+    assert.ok(!adapter.isValidAddress('1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa'));
+  });
+});
+
+describe('Bitcoin Balances', () => {
+  const realFetch = global.fetch;
+
+  // Stub fetch: each Esplora path maps to a response body
+  function stubEsplora(routes) {
+    const paths = [];
+    global.fetch = async (url) => {
+      const path = url.slice(ESPLORA.length);
+      paths.push(path);
+      const body = routes[path];
+      if (body === undefined) {
+        return { ok: false, status: 404, text: async () => 'Not Found' };
+      }
+      return { ok: true, status: 200, text: async () => typeof body === 'string' ? body : JSON.stringify(body) };
+    };
+    return paths;
+  }
+
+  function tx(txid, height, { received = 0, spent = 0 } = {}) {
+    return {
+      txid,
+      status: { confirmed: true, block_height: height },
+      vin: spent ? [{ prevout: { scriptpubkey_address: P2WPKH, value: spent } }] : [],
+      vout: [
+        { scriptpubkey_address: 'bc1qother', value: 1000 },
+        ...(received ? [{ scriptpubkey_address: P2WPKH, value: received }] : []),
+      ],
+    };
+  }
+
+  const STATS = { chain_stats: { funded_txo_sum: 300000, spent_txo_sum: 100000 } };
+
+  afterEach(() => {
+    global.fetch = realFetch;
+  });
+
+  it('reads the tip height and block timestamps', async () => {
+    const adapter = createAdapter();
+    stubEsplora({
+      '/blocks/tip/height': '870000\n',
+      '/block-height/869000': '00000000abc',
+      '/block/00000000abc': { timestamp: 1730000000 },
+    });
+
+    assert.strictEqual(await adapter.getCurrentBlock(), 870000);
+    assert.strictEqual(await adapter.getBlockTimestamp(869000), 1730000000);
+  });
+
+  it('returns the confirmed balance in satoshis', async () => {
+    const adapter = createAdapter();
+    stubEsplora({ [`/address/${P2WPKH}`]: STATS });
+
+    const balance = await adapter.getNativeBalance(P2WPKH.toUpperCase());
+    assert.strictEqual(balance.raw, 200000n);
+    assert.strictEqual(balance.formatted, '0.002');
+    assert.strictEqual(balance.decimals, 8);
+  });
+
+  it('rebuilds a past balance from transactions above the height', async () => {
+    const adapter = createAdapter();
+    stubEsplora({
+      [`/address/${P2WPKH}`]: STATS,
+      [`/address/${P2WPKH}/txs/chain`]: [
+        tx('c', 120, { received: 50000 }),
+        tx('b', 110, { spent: 100000, received: 30000 }),
+        tx('a', 90, { received: 400000 }),
+      ],
+    });
+
+    // 200000 now, +50000 and -70000 since block 100
+    const balance = await adapter.getNativeBalance(P2WPKH, 100);
+    assert.strictEqual(balance.raw, 220000n);
+  });
+
+  it('pages through history by last txid', async () => {
+    const adapter = createAdapter();
+    const firstPage = Array.from({ length: 25 }, (_, i) => tx(`p1-${i}`, 200 - i, { received: 1000 }));
+    const paths = stubEsplora({
+      [`/address/${P2WPKH}`]: STATS,
+      [`/address/${P2WPKH}/txs/chain`]: firstPage,
+      [`/address/${P2WPKH}/txs/chain/p1-24`]: [tx('p2-0', 150, { received: 5000 })],
+    });
+
+    const balance = await adapter.getNativeBalance(P2WPKH, 100);
+    assert.strictEqual(balance.raw, 200000n - 25n * 1000n - 5000n);
+    assert.ok(paths.includes(`/address/${P2WPKH}/txs/chain/p1-24`));
+  });
+
+  it('reports history as unavailable past the page limit', async () => {
+    const adapter = createAdapter();
+    const fullPage = Array.from({ length: 25 }, (_, i) => tx(`t${i}`, 1000, { received: 1 }));
+    const paths = stubEsplora({
+      [`/address/${P2WPKH}`]: STATS,
+      [`/address/${P2WPKH}/txs/chain`]: fullPage,
+      [`/address/${P2WPKH}/txs/chain/t24`]: fullPage,
+    });
+
+    await assert.rejects(adapter.getNativeBalance(P2WPKH, 100), HistoryUnavailableError);
+    assert.strictEqual(paths.filter(path => path.includes('/txs/chain')).length, 40);
+  });
+
+  it('surfaces Esplora client errors', async () => {
+    const adapter = createAdapter();
+    stubEsplora({});
+
+    await assert.rejects(adapter.getNativeBalance(P2WPKH), /HTTP 404 Not Found/);
+  });
+});
+
+describe('Bitcoin Network Config', () => {
+  it('configures mainnet and testnet with 8 decimals and no tokens', () => {
+    const bitcoin = getNetwork('bitcoin');
+    assert.strictEqual(bitcoin.chainType, 'bitcoin');
+    assert.strictEqual(bitcoin.nativeSymbol, 'BTC');
+    assert.strictEqual(bitcoin.nativeDecimals, 8);
+    assert.deepStrictEqual(bitcoin.tokens, []);
+
+    const testnet = getNetwork('bitcoin-testnet');
+    assert.strictEqual(testnet.chainType, 'bitcoin');
+    assert.strictEqual(testnet.bech32Prefix, 'tb');
+  });
+
+  it('is registered in the adapter factory', () => {
+    const { createAdapter: create } = require('../src/adapters');
+    assert.ok(create(getNetwork('bitcoin')) instanceof BitcoinAdapter);
+  });
+});
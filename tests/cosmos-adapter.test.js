@@ -0,0 +1,169 @@
+/**
+ * Tests for Cosmos SDK Adapter
+ * Run with: npm test
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const CosmosAdapter = require('../src/adapters/cosmosAdapter');
+const { HistoryUnavailableError } = require('../src/adapters');
+const { getNetwork, registerNetworks } = require('../src/config/networks');
+
+const LCD = 'https://lcd.example';
+const OWNER = 'cosmos1773mrsx7tc0z6jjtnjxhum66fv7z68s0090sfa';
+const USDC = getNetwork('cosmoshub').tokens.find(t => t.symbol === 'USDC');
+
+function createAdapter(network = 'cosmoshub') {
+  return new CosmosAdapter({ ...getNetwork(network), rpcUrls: [LCD] });
+}
+
+describe('Cosmos Address Validation', () => {
+  it('accepts account and module addresses with the network prefix', () => {
+    const adapter = createAdapter();
+    assert.ok(adapter.isValidAddress(OWNER));
+    assert.ok(adapter.isValidAddress('cosmos1qurswpc8qurswpc8qurswpc8qurswpc8qurswpc8qurswpc8qurs79d55s'), 'Should accept 32-byte addresses');
+  });
+
+  it('checks the prefix per network', () => {
+    assert.ok(!createAdapter().isValidAddress('osmo1773mrsx7tc0z6jjtnjxhum66fv7z68s087uql0'));
+    assert.ok(createAdapter('osmosis').isValidAddress('osmo1773mrsx7tc0z6jjtnjxhum66fv7z68s087uql0'));
+    assert.ok(createAdapter('celestia').isValidAddress('celestia1773mrsx7tc0z6jjtnjxhum66fv7z68s0707qns'));
+  });
+
+  it('rejects bad checksums, wrong lengths and other chains', () => {
+    const adapter = createAdapter();
+    for (const address of [
+      'cosmos1773mrsx7tc0z6jjtnjxhum66fv7z68s0090sfb',
+      'cosmos1qurswpc8qurswpc8t4ujrw',
+      'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4',
+      '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045',
+      '',
+    ]) {
+      assert.ok(!adapter.isValidAddress(address), `Should reject ${address}`);
+    }
+  });
+});
+
+describe('Cosmos Balances', () => {
+  const realFetch = global.fetch;
+
+  // Stub fetch: each LCD path maps to a response body (or [status, body]);
+  // records the height header of every request
+  function stubLcd(routes, { servedHeight } = {}) {
+    const requests = [];
+    global.fetch = async (url, init) => {
+      const path = url.slice(LCD.length);
+      requests.push({ path, height: init.headers['x-cosmos-block-height'] });
+      const [status, body] = Array.isArray(routes[path]) ? routes[path] : [200, routes[path]];
+      return {
+        ok: status < 400,
+        status,
+        headers: new Headers(servedHeight ? { 'grpc-metadata-x-cosmos-block-height': servedHeight } : {}),
+        text: async () => JSON.stringify(body),
+      };
+    };
+    return requests;
+  }
+
+  const balancesPath = `/cosmos/bank/v1beta1/balances/${OWNER}`;
+
+  afterEach(() => {
+    global.fetch = realFetch;
+  });
+
+  it('reads the latest height and block timestamps', async () => {
+    const adapter = createAdapter();
+    stubLcd({
+      '/cosmos/base/tendermint/v1beta1/blocks/latest': { block: { header: { height: '22000000', time: '2024-10-01T12:00:00.123456789Z' } } },
+      '/cosmos/base/tendermint/v1beta1/blocks/21999000': { block: { header: { height: '21999000', time: '2024-10-01T10:00:00Z' } } },
+    });
+
+    assert.strictEqual(await adapter.getCurrentBlock(), 22000000);
+    assert.strictEqual(await adapter.getBlockTimestamp(21999000), Date.UTC(2024, 9, 1, 10) / 1000);
+  });
+
+  it('reads the native denom at a past height through the height header', async () => {
+    const adapter = createAdapter();
+    const requests = stubLcd({
+      [`${balancesPath}/by_denom?denom=uatom`]: { balance: { denom: 'uatom', amount: '12500000' } },
+    });
+
+    const balance = await adapter.getNativeBalance(OWNER, 21999000);
+    assert.strictEqual(balance.raw, 12_500_000n);
+    assert.strictEqual(balance.formatted, '12.5');
+    assert.strictEqual(requests[0].height, '21999000');
+
+    await adapter.getNativeBalance(OWNER);
+    assert.strictEqual(requests[1].height, undefined, 'Latest reads send no height');
+  });
+
+  it('matches configured denoms across balance pages', async () => {
+    const adapter = createAdapter();
+    const requests = stubLcd({
+      [`${balancesPath}?pagination.limit=1000`]: {
+        balances: [{ denom: 'uatom', amount: '1' }],
+        pagination: { next_key: 'a2V5+/=' },
+      },
+      [`${balancesPath}?pagination.limit=1000&pagination.key=a2V5%2B%2F%3D`]: {
+        balances: [{ denom: USDC.denom, amount: '2500000' }],
+        pagination: { next_key: null },
+      },
+    });
+
+    const [usdc] = await adapter.getTokenBalances(OWNER, [USDC, { symbol: 'NONE', denom: 'ibc/NONE', decimals: 6 }]);
+    assert.strictEqual(requests.length, 2);
+    assert.strictEqual(usdc.symbol, 'USDC');
+    assert.strictEqual(usdc.denom, USDC.denom);
+    assert.strictEqual(usdc.raw, 2_500_000n);
+    assert.strictEqual(usdc.formatted, '2.5');
+  });
+
+  it('reports pruned state as unavailable history', async () => {
+    const adapter = createAdapter();
+    stubLcd({
+      [`${balancesPath}/by_denom?denom=uatom`]: [400, { code: 3, message: 'failed to load state at height 100; version does not exist' }],
+    });
+
+    await assert.rejects(adapter.getNativeBalance(OWNER, 100), (error) =>
+      error instanceof HistoryUnavailableError && /version does not exist/.test(error.message)
+    );
+    await assert.rejects(adapter.getNativeBalance(OWNER), /HTTP 400/);
+  });
+
+  it('rejects state served for a different height', async () => {
+    const adapter = createAdapter();
+    stubLcd(
+      { [`${balancesPath}/by_denom?denom=uatom`]: { balance: { denom: 'uatom', amount: '1' } } },
+      { servedHeight: '22000000' }
+    );
+
+    await assert.rejects(adapter.getNativeBalance(OWNER, 21999000), HistoryUnavailableError);
+  });
+});
+
+describe('Cosmos Network Config', () => {
+  it('configures Cosmos Hub, Osmosis and Celestia', () => {
+    for (const [key, symbol, denom, prefix] of [
+      ['cosmoshub', 'ATOM', 'uatom', 'cosmos'],
+      ['osmosis', 'OSMO', 'uosmo', 'osmo'],
+      ['celestia', 'TIA', 'utia', 'celestia'],
+    ]) {
+      const network = getNetwork(key);
+      assert.strictEqual(network.chainType, 'cosmos');
+      assert.strictEqual(network.nativeSymbol, symbol);
+      assert.strictEqual(network.nativeDenom, denom);
+      assert.strictEqual(network.nativeDecimals, 6);
+      assert.strictEqual(network.bech32Prefix, prefix);
+    }
+  });
+
+  it('accepts config file networks with a denom and prefix', () => {
+    registerNetworks({
+      akash: { chainType: 'cosmos', rpcUrl: 'https://akash-rest.example', symbol: 'AKT', decimals: 6, denom: 'uakt', bech32Prefix: 'akash' },
+    });
+
+    const akash = getNetwork('akash');
+    assert.strictEqual(akash.nativeDenom, 'uakt');
+    assert.ok(require('../src/adapters').createAdapter(akash) instanceof CosmosAdapter);
+  });
+});
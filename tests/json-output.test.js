@@ -57,6 +57,95 @@ describe('JSON Output Mode', () => {
   });
 });
 
+describe('Multi-Network Mode', () => {
+  it('--help shows --networks option', () => {
+    const output = execSync(`node ${CLI_PATH} --help`, { encoding: 'utf8' });
+    assert.ok(output.includes('--networks'), 'Should show networks option');
+  });
+
+  it('unknown network in --networks returns JSON error', () => {
+    try {
+      execSync(`node ${CLI_PATH} --address 0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045 --networks mainnet,fake --json`, { encoding: 'utf8' });
+      assert.fail('Should have thrown');
+    } catch (error) {
+      const parsed = JSON.parse(error.stdout);
+      assert.ok(parsed.error.includes('Unknown network: fake'), 'Error should name the unknown network');
+    }
+  });
+
+  it('--networks with --watch returns JSON error', () => {
+    try {
+      execSync(`node ${CLI_PATH} --address 0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045 --networks mainnet,base --watch --json`, { encoding: 'utf8' });
+      assert.fail('Should have thrown');
+    } catch (error) {
+      const parsed = JSON.parse(error.stdout);
+      assert.strictEqual(parsed.error, 'Watch mode only supports a single network.');
+      assert.strictEqual(error.status, 1);
+    }
+  });
+
+  it('address valid on no selected network returns JSON error', () => {
+    try {
+      execSync(`node ${CLI_PATH} --address 0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045 --networks solana --json`, { encoding: 'utf8' });
+      assert.fail('Should have thrown');
+    } catch (error) {
+      const parsed = JSON.parse(error.stdout);
+      assert.ok(parsed.error.includes('Invalid address'), 'Error should mention invalid address');
+      assert.strictEqual(error.status, 1);
+    }
+  });
+});
+
+describe('Time-Based Lookback', () => {
+  it('--help shows --since and --from-time options', () => {
+    const output = execSync(`node ${CLI_PATH} --help`, { encoding: 'utf8' });
+    assert.ok(output.includes('--since'), 'Should show since option');
+    assert.ok(output.includes('--from-time'), 'Should show from-time option');
+  });
+
+  it('invalid --since returns JSON error', () => {
+    try {
+      execSync(`node ${CLI_PATH} --address 0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045 --since 5x --json`, { encoding: 'utf8' });
+      assert.fail('Should have thrown');
+    } catch (error) {
+      const parsed = JSON.parse(error.stdout);
+      assert.ok(parsed.error.includes('Invalid duration'), 'Error should mention invalid duration');
+      assert.strictEqual(error.status, 1);
+    }
+  });
+});
+
+describe('Fiat Valuation', () => {
+  it('--help shows --prices option', () => {
+    const output = execSync(`node ${CLI_PATH} --help`, { encoding: 'utf8' });
+    assert.ok(output.includes('--prices'), 'Should show prices option');
+  });
+
+  it('unreadable price file returns JSON error', () => {
+    try {
+      execSync(`node ${CLI_PATH} --address 0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045 --prices /nonexistent/prices.json --json`, { encoding: 'utf8' });
+      assert.fail('Should have thrown');
+    } catch (error) {
+      const parsed = JSON.parse(error.stdout);
+      assert.ok(parsed.error.includes('Could not load prices'), 'Error should mention prices');
+      assert.strictEqual(error.status, 1);
+    }
+  });
+});
+
+describe('Snapshots', () => {
+  it('--diff-against without a snapshot directory returns JSON error', () => {
+    try {
+      execSync(`node ${CLI_PATH} --address 0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045 --diff-against last --json`, { encoding: 'utf8' });
+      assert.fail('Should have thrown');
+    } catch (error) {
+      const parsed = JSON.parse(error.stdout);
+      assert.ok(parsed.error.includes('--snapshot-dir'), 'Error should mention --snapshot-dir');
+      assert.strictEqual(error.status, 1);
+    }
+  });
+});
+
 describe('CLI Validation', () => {
   it('requires address option', () => {
     try {
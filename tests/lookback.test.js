@@ -0,0 +1,72 @@
+/**
+ * Tests for time-based lookback parsing
+ * Run with: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseDuration, parseLookback, describeLookback } = require('../src/services/lookback');
+
+describe('parseDuration', () => {
+  it('parses supported units', () => {
+    assert.strictEqual(parseDuration('90s'), 90);
+    assert.strictEqual(parseDuration('30m'), 1800);
+    assert.strictEqual(parseDuration('24h'), 86400);
+    assert.strictEqual(parseDuration('7d'), 604800);
+    assert.strictEqual(parseDuration('2w'), 1209600);
+    assert.strictEqual(parseDuration('1.5h'), 5400);
+  });
+
+  it('rejects invalid durations', () => {
+    assert.strictEqual(parseDuration('24'), null);
+    assert.strictEqual(parseDuration('5x'), null);
+    assert.strictEqual(parseDuration('0h'), null);
+    assert.strictEqual(parseDuration('-1h'), null);
+  });
+});
+
+describe('parseLookback', () => {
+  const NOW = Date.parse('2025-06-01T00:00:00Z') / 1000;
+
+  it('defaults to blocks', () => {
+    assert.strictEqual(parseLookback({ blocks: '50' }, NOW), 50);
+    assert.throws(() => parseLookback({ blocks: '0' }, NOW), /Invalid blocks value/);
+  });
+
+  it('--since overrides --blocks', () => {
+    assert.deepStrictEqual(parseLookback({ blocks: '50', since: '24h' }, NOW), { since: 86400, label: '24h' });
+  });
+
+  it('parses --from-time/--to-time', () => {
+    const lookback = parseLookback({ fromTime: '2025-05-31T00:00:00Z', toTime: '2025-05-31T12:00:00Z' }, NOW);
+    assert.deepStrictEqual(lookback, { from: NOW - 86400, to: NOW - 43200 });
+    assert.deepStrictEqual(parseLookback({ fromTime: '2025-05-31T00:00:00Z' }, NOW), { from: NOW - 86400, to: null });
+  });
+
+  it('rejects contradictory or invalid windows', () => {
+    assert.throws(() => parseLookback({ since: '1h', fromTime: '2025-05-31' }, NOW), /not both/);
+    assert.throws(() => parseLookback({ toTime: '2025-05-31' }, NOW), /requires --from-time/);
+    assert.throws(() => parseLookback({ fromTime: 'yesterday' }, NOW), /Invalid time/);
+    assert.throws(() => parseLookback({ fromTime: '2025-05-31', toTime: '2025-05-30' }, NOW), /must be before/);
+    assert.throws(() => parseLookback({ fromTime: '2025-07-01' }, NOW), /must be before/);
+  });
+
+  it('parses --diff-against as a snapshot baseline', () => {
+    assert.deepStrictEqual(parseLookback({ blocks: '50', diffAgainst: 'last' }, NOW), { snapshot: 'last', label: 'last snapshot' });
+    assert.strictEqual(parseLookback({ diffAgainst: '24h' }, NOW).snapshot, NOW - 86400);
+    assert.strictEqual(parseLookback({ diffAgainst: '2025-05-31T00:00:00Z' }, NOW).snapshot, NOW - 86400);
+    assert.throws(() => parseLookback({ diffAgainst: 'yesterday' }, NOW), /Invalid --diff-against/);
+    assert.throws(() => parseLookback({ diffAgainst: 'last', since: '1h' }, NOW), /not both/);
+  });
+});
+
+describe('describeLookback', () => {
+  it('describes blocks, durations and windows', () => {
+    assert.strictEqual(describeLookback(50, 'slots'), '50 slots');
+    assert.strictEqual(describeLookback({ since: 86400, label: '24h' }), '24h');
+    assert.strictEqual(
+      describeLookback({ from: Date.parse('2025-05-31T00:00:00Z') / 1000, to: null }),
+      '2025-05-31T00:00:00Z → now'
+    );
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Tests for the Prometheus metrics registry and endpoint (--metrics-port)
+ * Run with: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  createRegistry, defineMetric, createWatchMetrics, setGauge, incCounter, observe, renderMetrics, startMetricsServer,
+} = require('../src/services/metrics');
+
+describe('Metrics registry', () => {
+  it('renders gauges and counters with HELP, TYPE and labels', () => {
+    const registry = createRegistry();
+    defineMetric(registry, 'mcbd_balance', 'gauge', 'Current balance', ['address', 'asset']);
+    defineMetric(registry, 'mcbd_polls_total', 'counter', 'Polls', ['address']);
+    setGauge(registry, 'mcbd_balance', { address: '0xabc', asset: 'ETH' }, 1.5);
+    setGauge(registry, 'mcbd_balance', { address: '0xabc', asset: 'ETH' }, 2);
+    incCounter(registry, 'mcbd_polls_total', { address: '0xabc' });
+    incCounter(registry, 'mcbd_polls_total', { address: '0xabc' });
+
+    assert.strictEqual(renderMetrics(registry), [
+      '# HELP mcbd_balance Current balance',
+      '# TYPE mcbd_balance gauge',
+      'mcbd_balance{address="0xabc",asset="ETH"} 2',
+      '# HELP mcbd_polls_total Polls',
+      '# TYPE mcbd_polls_total counter',
+      'mcbd_polls_total{address="0xabc"} 2',
+      '',
+    ].join('\n'));
+  });
+
+  it('escapes label values and renders NaN', () => {
+    const registry = createRegistry();
+    defineMetric(registry, 'mcbd_balance_diff', 'gauge', 'Diff', ['asset']);
+    setGauge(registry, 'mcbd_balance_diff', { asset: 'a"b\\c\nd' }, NaN);
+
+    assert.match(renderMetrics(registry), /^mcbd_balance_diff\{asset="a\\"b\\\\c\\nd"\} NaN$/m);
+  });
+
+  it('renders cumulative histogram buckets, sum and count', () => {
+    const registry = createRegistry();
+    defineMetric(registry, 'latency_seconds', 'histogram', 'Latency', ['endpoint'], { buckets: [0.1, 1] });
+    for (const value of [0.05, 0.5, 5]) {
+      observe(registry, 'latency_seconds', { endpoint: 'a' }, value);
+    }
+    const lines = renderMetrics(registry).trim().split('\n').slice(2);
+
+    assert.deepStrictEqual(lines, [
+      'latency_seconds_bucket{endpoint="a",le="0.1"} 1',
+      'latency_seconds_bucket{endpoint="a",le="1"} 2',
+      'latency_seconds_bucket{endpoint="a",le="+Inf"} 3',
+      'latency_seconds_sum{endpoint="a"} 5.55',
+      'latency_seconds_count{endpoint="a"} 3',
+    ]);
+  });
+
+  it('defines the watch mode metrics and rejects unknown ones', () => {
+    const registry = createWatchMetrics();
+
+    assert.ok(registry.has('mcbd_rpc_request_duration_seconds'));
+    assert.strictEqual(registry.get('mcbd_alerts_total').type, 'counter');
+    assert.throws(() => incCounter(registry, 'mcbd_nope_total', {}), /Unknown metric/);
+  });
+});
+
+describe('Metrics endpoint', () => {
+  it('serves /metrics in the text format and 404s elsewhere', async () => {
+    const registry = createWatchMetrics();
+    incCounter(registry, 'mcbd_polls_total', { network: 'mainnet', address: '0xabc' });
+    const server = await startMetricsServer(registry, 0, '127.0.0.1');
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      const response = await fetch(`${base}/metrics`);
+      assert.strictEqual(response.status, 200);
+      assert.match(response.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+      assert.match(await response.text(), /^mcbd_polls_total\{network="mainnet",address="0xabc"\} 1$/m);
+
+      assert.strictEqual((await fetch(`${base}/`)).status, 404);
+    } finally {
+      server.close();
+    }
+  });
+
+  it('fails when the port is taken', async () => {
+    const registry = createWatchMetrics();
+    const server = await startMetricsServer(registry, 0, '127.0.0.1');
+
+    try {
+      await assert.rejects(startMetricsServer(registry, server.address().port, '127.0.0.1'), /EADDRINUSE/);
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -5,7 +5,7 @@
 
 const { describe, it } = require('node:test');
 const assert = require('node:assert');
-const { getNetwork, getNetworksByType, getSupportedNetworks } = require('../src/config/networks');
+const { getNetwork, getNetworksByType, getSupportedNetworks, registerNetworks } = require('../src/config/networks');
 
 describe('L2 Networks', () => {
   it('includes Base network', () => {
@@ -88,3 +88,133 @@ describe('Network Discovery', () => {
 
 
 
+
+describe('RPC Endpoints', () => {
+  it('every network has at least one endpoint, rpcUrl is the first', () => {
+    for (const key of getSupportedNetworks()) {
+      const network = getNetwork(key);
+      assert.ok(network.rpcUrls.length > 0, `${key} should have endpoints`);
+      assert.strictEqual(network.rpcUrl, network.rpcUrls[0]);
+    }
+  });
+
+  it('comma-separated RPC_URL_* env vars replace the defaults', () => {
+    const { execFileSync } = require('child_process');
+    const output = execFileSync('node', [
+      '-e',
+      "console.log(JSON.stringify(require('./src/config/networks').getNetwork('fantom').rpcUrls))",
+    ], {
+      cwd: require('path').join(__dirname, '..'),
+      env: { ...process.env, RPC_URL_FTM: 'https://a.example, https://b.example' },
+      encoding: 'utf8',
+    });
+    assert.deepStrictEqual(JSON.parse(output), ['https://a.example', 'https://b.example']);
+  });
+
+  it('WS_URL_* env vars set the WebSocket endpoint', () => {
+    const { execFileSync } = require('child_process');
+    const output = execFileSync('node', [
+      '-e',
+      "const n = require('./src/config/networks'); console.log(JSON.stringify([n.getNetwork('fantom').wsUrl, n.getNetwork('bitcoin').wsUrl ?? null]))",
+    ], {
+      cwd: require('path').join(__dirname, '..'),
+      env: { ...process.env, WS_URL_FTM: 'wss://ftm.example' },
+      encoding: 'utf8',
+    });
+    assert.deepStrictEqual(JSON.parse(output), ['wss://ftm.example', null]);
+  });
+});
+
+describe('Config File Networks', () => {
+  it('adds a network using config field names', () => {
+    registerNetworks({
+      Linea: {
+        chainType: 'evm',
+        chainId: 59144,
+        rpcUrl: 'https://rpc.linea.build',
+        symbol: 'ETH',
+        explorer: 'https://lineascan.build',
+        tokens: [{ symbol: 'USDC', address: '0x176211869cA2b568f2A7D4EE941E073a821EE1ff', decimals: 6 }],
+      },
+    });
+
+    const linea = getNetwork('linea');
+    assert.strictEqual(linea.name, 'linea');
+    assert.strictEqual(linea.nativeSymbol, 'ETH');
+    assert.strictEqual(linea.nativeDecimals, 18, 'EVM decimals default to 18');
+    assert.strictEqual(linea.blockExplorer, 'https://lineascan.build');
+    assert.deepStrictEqual(linea.rpcUrls, ['https://rpc.linea.build']);
+    assert.strictEqual(linea.rpcUrl, 'https://rpc.linea.build');
+    assert.strictEqual(linea.custom, true);
+    assert.ok(getNetworksByType('evm').includes('linea'));
+  });
+
+  it('overrides built-in networks field by field', () => {
+    registerNetworks({ scroll: { rpcUrl: 'https://scroll.example', tokens: [] } });
+
+    const scroll = getNetwork('scroll');
+    assert.strictEqual(scroll.name, 'Scroll');
+    assert.strictEqual(scroll.chainId, 534352);
+    assert.strictEqual(scroll.rpcUrl, 'https://scroll.example');
+    assert.deepStrictEqual(scroll.tokens, []);
+    assert.strictEqual(scroll.custom, undefined);
+  });
+
+  it('rejects invalid definitions without registering any', () => {
+    assert.throws(
+      () => registerNetworks({
+        mantle: { chainType: 'evm', rpcUrl: 'https://rpc.mantle.xyz', symbol: 'MNT' },
+        blast: { chainType: 'evm', symbol: 'ETH' },
+      }),
+      /Invalid network "blast" in config: rpcUrl is required/
+    );
+    assert.strictEqual(getNetwork('mantle'), null);
+
+    assert.throws(() => registerNetworks({ x: { chainType: 'near', rpcUrl: 'https://x', symbol: 'X', decimals: 6 } }), /chainType must be one of/);
+    assert.throws(() => registerNetworks({ x: { chainType: 'cosmos', rpcUrl: 'https://x', symbol: 'X', decimals: 6 } }), /denom and a bech32Prefix/);
+    assert.throws(() => registerNetworks({ solana: { chainType: 'evm' } }), /cannot change chainType/);
+    assert.throws(() => registerNetworks({ y: { chainType: 'solana', rpcUrl: 'https://y', symbol: 'Y' } }), /decimals/);
+    assert.throws(() => registerNetworks({ z: { chainType: 'evm', rpcUrl: 'https://z', symbol: 'Z', tokens: [{ symbol: 'T' }] } }), /token/);
+    assert.throws(() => registerNetworks({ w: { chainType: 'evm', rpcUrl: 'https://w', symbol: 'W', wsUrl: 'https://w' } }), /wsUrl/);
+  });
+
+  it('requires the token id field of the chain type', () => {
+    const token = { symbol: 'T', decimals: 6 };
+    const cases = [
+      ['evm', 'address', {}],
+      ['tron', 'address', { decimals: 6 }],
+      ['solana', 'mint', { decimals: 9 }],
+      ['ton', 'master', { decimals: 9 }],
+      ['cosmos', 'denom', { decimals: 6, denom: 'uatom', bech32Prefix: 'cosmos' }],
+    ];
+    for (const [chainType, idField, fields] of cases) {
+      assert.throws(
+        () => registerNetworks({ t: { chainType, rpcUrl: 'https://t', symbol: 'X', ...fields, tokens: [{ ...token, id: 'wrong-field' }] } }),
+        new RegExp(`Invalid network "t" in config: token T is missing its ${idField} \\(required on ${chainType}\\)`)
+      );
+    }
+    assert.strictEqual(getNetwork('t'), null);
+  });
+
+  it('lists config networks in --list-networks', () => {
+    const { execFileSync } = require('child_process');
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const configPath = path.join(os.tmpdir(), `mcbd-networks-${process.pid}.json`);
+    fs.writeFileSync(configPath, JSON.stringify({
+      networks: { mantle: { name: 'Mantle', chainType: 'evm', chainId: 5000, rpcUrl: 'https://rpc.mantle.xyz', symbol: 'MNT' } },
+    }));
+
+    try {
+      const output = execFileSync('node', ['src/index.js', '--list-networks', '--json', '--config', configPath], {
+        cwd: path.join(__dirname, '..'),
+        encoding: 'utf8',
+      });
+      const mantle = JSON.parse(output).evm.find(n => n.key === 'mantle');
+      assert.deepStrictEqual(mantle, { key: 'mantle', name: 'Mantle', symbol: 'MNT', chainId: 5000, custom: true });
+    } finally {
+      fs.unlinkSync(configPath);
+    }
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for USD price loading and valuation
+ * Run with: npm test
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parsePriceJson,
+  parsePriceCsv,
+  loadPrices,
+  findPrice,
+  toUsd,
+  formatUsd,
+} = require('../src/services/priceService');
+
+describe('Price Parsing', () => {
+  it('parses JSON prices as numbers, strings or { usd }', () => {
+    const prices = parsePriceJson('{"ETH": 3200.5, "usdc": "1", "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48": {"usd": 0.999}}');
+    assert.strictEqual(prices.get('ETH'), 3200.5);
+    assert.strictEqual(prices.get('USDC'), 1);
+    assert.strictEqual(prices.get('0XA0B86991C6218B36C1D19D4A2E9EB0CE3606EB48'), 0.999);
+  });
+
+  it('rejects invalid JSON prices', () => {
+    assert.throws(() => parsePriceJson('[1, 2]'), /expected an object/);
+    assert.throws(() => parsePriceJson('{"ETH": "lots"}'), /invalid price for ETH/);
+    assert.throws(() => parsePriceJson('{"ETH": -1}'), /invalid price for ETH/);
+  });
+
+  it('parses CSV with an optional header and comments', () => {
+    const prices = parsePriceCsv('symbol,usd\n# stablecoins\nUSDC, 1\n\nSOL,150.25\r\n');
+    assert.deepStrictEqual([...prices], [['USDC', 1], ['SOL', 150.25]]);
+    assert.deepStrictEqual([...parsePriceCsv('ETH,3000')], [['ETH', 3000]]);
+  });
+
+  it('rejects invalid CSV lines', () => {
+    assert.throws(() => parsePriceCsv('ETH,3000\nSOL,abc'), /line 2/);
+  });
+});
+
+describe('Price Lookup and Valuation', () => {
+  const prices = parsePriceJson('{"ETH": 3000, "USDC": 1, "0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48": 0.99}');
+
+  it('prefers the token address over the symbol', () => {
+    assert.strictEqual(findPrice(prices, { symbol: 'USDC', address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48' }), 0.99);
+    assert.strictEqual(findPrice(prices, { symbol: 'USDC', address: '0x0000000000000000000000000000000000000001' }), 1);
+    assert.strictEqual(findPrice(prices, { symbol: 'eth' }), 3000);
+    assert.strictEqual(findPrice(prices, { symbol: 'HNT', mint: 'hntyVP6YFm1Hg25TN9WGLqM12b8TQmcknKrdu1oxWux' }), null);
+  });
+
+  it('prices discovered tokens by address only', () => {
+    // A spam token calling itself USDC is not the real one
+    assert.strictEqual(findPrice(prices, { symbol: 'USDC', address: '0x0000000000000000000000000000000000000001', discovered: true }), null);
+    assert.strictEqual(findPrice(prices, { symbol: 'USDC', address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', discovered: true }), 0.99);
+  });
+
+  it('converts raw amounts to USD rounded to cents', () => {
+    assert.strictEqual(toUsd(1_500_000_000_000_000_000n, 18, 3000), 4500);
+    assert.strictEqual(toUsd(-40_000_123_456n, 6, 1), -40000.12);
+    assert.strictEqual(toUsd(-1n, 18, 3000), 0);
+    assert.strictEqual(toUsd(null, 18, 3000), null);
+    assert.strictEqual(toUsd(1n, 18, null), null);
+  });
+
+  it('formats USD amounts', () => {
+    assert.strictEqual(formatUsd(40120.5), '$40,120.50');
+    assert.strictEqual(formatUsd(1, true), '+$1.00');
+    assert.strictEqual(formatUsd(-250), '-$250.00');
+  });
+});
+
+describe('Price Sources', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('loads a CSV file by extension', async () => {
+    const file = path.join(os.tmpdir(), `mcbd-prices-${process.pid}.csv`);
+    fs.writeFileSync(file, 'symbol,usd\nETH,3000\n');
+    try {
+      const prices = await loadPrices(file);
+      assert.strictEqual(prices.get('ETH'), 3000);
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+
+  it('loads JSON or CSV from an HTTP endpoint', async () => {
+    global.fetch = async () => new Response('{"SOL": 150}', { headers: { 'content-type': 'application/json' } });
+    assert.strictEqual((await loadPrices('https://prices.example/usd')).get('SOL'), 150);
+
+    global.fetch = async () => new Response('SOL,151', { headers: { 'content-type': 'text/csv' } });
+    assert.strictEqual((await loadPrices('https://prices.example/usd.csv')).get('SOL'), 151);
+  });
+
+  it('reports endpoint failures and invalid content', async () => {
+    global.fetch = async () => new Response('busy', { status: 503 });
+    await assert.rejects(loadPrices('https://prices.example/usd'), /HTTP 503/);
+
+    global.fetch = async () => new Response('<html>', { headers: { 'content-type': 'text/html' } });
+    await assert.rejects(loadPrices('https://prices.example/usd'), /Invalid prices in https:\/\/prices\.example\/usd/);
+  });
+});
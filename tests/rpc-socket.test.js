@@ -0,0 +1,164 @@
+/**
+ * Tests for WebSocket subscriptions (--subscribe)
+ * Run with: npm test
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { WebSocketServer } = require('ws');
+const RpcSocket = require('../src/adapters/rpcSocket');
+const { createAdapter } = require('../src/adapters');
+const { getNetwork } = require('../src/config/networks');
+
+describe('RpcSocket', () => {
+  let wss;
+  let url;
+  const sockets = new Set();
+
+  before(async () => {
+    wss = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+    await new Promise(resolve => wss.once('listening', resolve));
+    url = `ws://127.0.0.1:${wss.address().port}`;
+
+    wss.on('connection', (socket) => {
+      sockets.add(socket);
+      socket.on('message', (data) => {
+        const { id, method, params } = JSON.parse(data);
+        if (method === 'fail') {
+          socket.send(JSON.stringify({ jsonrpc: '2.0', id, error: { code: -32601, message: 'Method not found' } }));
+        } else if (method === 'silent') {
+          // Never answered
+        } else {
+          socket.send(JSON.stringify({ jsonrpc: '2.0', id, result: { echo: params } }));
+          socket.send(JSON.stringify({ jsonrpc: '2.0', method: `${method}_notification`, params: { n: 1 } }));
+        }
+      });
+    });
+  });
+
+  after(() => {
+    wss.close();
+  });
+
+  it('answers requests and dispatches notifications by method', async () => {
+    const socket = new RpcSocket(url);
+    await socket.open();
+    const notified = new Promise(resolve => socket.onNotification('hello_notification', resolve));
+
+    assert.deepStrictEqual(await socket.request('hello', ['world']), { echo: ['world'] });
+    assert.deepStrictEqual(await notified, { n: 1 });
+    socket.close();
+  });
+
+  it('rejects error responses and timeouts', async () => {
+    const socket = new RpcSocket(url, { timeoutMs: 200 });
+    await socket.open();
+
+    await assert.rejects(socket.request('fail'), /Method not found/);
+    await assert.rejects(socket.request('silent'), /timed out after 200ms/);
+    socket.close();
+  });
+
+  it('reports a lost connection, but not its own close()', async () => {
+    const socket = new RpcSocket(url);
+    await socket.open();
+    const closed = new Promise(resolve => socket.onClose(resolve));
+    for (const server of sockets) {
+      server.terminate();
+    }
+    assert.match((await closed).message, /WebSocket closed/);
+
+    const other = new RpcSocket(url);
+    await other.open();
+    other.onClose(() => assert.fail('Should not report close()'));
+    other.close();
+    await new Promise(resolve => setTimeout(resolve, 50));
+  });
+
+  it('drops a connection that stalls without closing', async () => {
+    // No pongs and no messages: the TCP connection stays up but is dead
+    const stalled = new WebSocketServer({ port: 0, host: '127.0.0.1', autoPong: false });
+    await new Promise(resolve => stalled.once('listening', resolve));
+
+    try {
+      const socket = new RpcSocket(`ws://127.0.0.1:${stalled.address().port}`, { pingIntervalMs: 100 });
+      await socket.open();
+      const closed = new Promise(resolve => socket.onClose(resolve));
+
+      assert.match((await closed).message, /stopped responding \(no pong within 100ms\)/);
+      assert.strictEqual(socket.heartbeat, null);
+    } finally {
+      for (const client of stalled.clients) {
+        client.terminate();
+      }
+      stalled.close();
+    }
+  });
+
+  it('keeps a connection that answers pings', async () => {
+    const socket = new RpcSocket(url, { pingIntervalMs: 50 });
+    await socket.open();
+    socket.onClose(() => assert.fail('Should stay open'));
+
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.deepStrictEqual(await socket.request('hello'), { echo: [] });
+    socket.close();
+  });
+
+  it('fails to open an unreachable endpoint', async () => {
+    await assert.rejects(new RpcSocket('ws://127.0.0.1:1', { timeoutMs: 1000 }).open(), /127\.0\.0\.1:1/);
+  });
+});
+
+describe('Adapter subscriptions', () => {
+  it('subscribes to new heads on EVM', () => {
+    const adapter = createAdapter(getNetwork('mainnet'));
+    assert.deepStrictEqual(adapter.getSubscriptions(['0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045']).map(s => s.method), ['eth_subscribe']);
+  });
+
+  it('subscribes to each account and to slots on Solana', () => {
+    const adapter = createAdapter(getNetwork('solana'));
+    const subscriptions = adapter.getSubscriptions([
+      '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU',
+      'vines1vzrYbzLMRdu58ou5XTby4qAqVRLmqo36NKPTg',
+    ]);
+    assert.deepStrictEqual(subscriptions.map(s => [s.method, s.kind]), [
+      ['accountSubscribe', 'account'],
+      ['accountSubscribe', 'account'],
+      ['slotSubscribe', 'block'],
+    ]);
+  });
+
+  it('subscribes to raw account addresses and masterchain blocks on TON', () => {
+    const adapter = createAdapter(getNetwork('ton'));
+    const [accounts, blocks] = adapter.getSubscriptions(['EQCxE6mUtQJKFnGfaROTKOt1lZbDiiX1kCixRv7Nw2Id_sDs']);
+    assert.strictEqual(accounts.method, 'subscribe_account');
+    assert.match(accounts.params[0], /^0:[0-9a-f]{64}$/);
+    assert.deepStrictEqual(blocks.params, ['workchain=-1']);
+  });
+
+  it('reports a socket that drops while subscribing', async () => {
+    // Hangs up on the first subscription request
+    const wss = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+    await new Promise(resolve => wss.once('listening', resolve));
+    wss.on('connection', socket => socket.on('message', () => socket.terminate()));
+
+    try {
+      const adapter = createAdapter({ ...getNetwork('mainnet'), wsUrl: `ws://127.0.0.1:${wss.address().port}` });
+      let closed = null;
+      await assert.rejects(
+        adapter.subscribe(['0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045'], { onUpdate: () => {}, onClose: (error) => { closed = error; } }),
+        /WebSocket closed/
+      );
+      assert.match(closed.message, /WebSocket closed/);
+    } finally {
+      wss.close();
+    }
+  });
+
+  it('has no push updates without a wsUrl or on REST chains', async () => {
+    const noWs = createAdapter({ ...getNetwork('mainnet'), wsUrl: undefined });
+    assert.strictEqual(await noWs.subscribe(['0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045'], {}), null);
+    assert.deepStrictEqual(createAdapter(getNetwork('bitcoin')).getSubscriptions(['bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4']), []);
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Tests for the snapshot store (--snapshot-dir, --diff-against)
+ * Run with: npm test
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  snapshotPath,
+  buildSnapshot,
+  saveSnapshot,
+  findSnapshot,
+  applySnapshot,
+} = require('../src/services/snapshotStore');
+
+const ADDRESS = '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045';
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const NETWORK = { nativeSymbol: 'ETH', nativeDecimals: 18 };
+
+// Minimal formatter standing in for an adapter's formatBalance
+const formatBalance = (raw, decimals) => `${raw}e-${decimals}`;
+
+function balanceDiff(current) {
+  return {
+    current: { raw: current, formatted: formatBalance(current, 18) },
+    previous: { raw: current, formatted: formatBalance(current, 18) },
+    diff: 0n,
+    currentBlock: 2000,
+    previousBlock: 2000,
+  };
+}
+
+function token(symbol, address, raw) {
+  return { symbol, address, raw, formatted: formatBalance(raw, 6), decimals: 6 };
+}
+
+function snapshot(takenAt, block, raw, tokens = []) {
+  return {
+    takenAt,
+    block,
+    native: { symbol: 'ETH', decimals: 18, raw: String(raw) },
+    tokens,
+  };
+}
+
+describe('snapshotPath', () => {
+  it('stores one file per network and address', () => {
+    const file = snapshotPath('/snaps', 'ethereum', ADDRESS.toLowerCase());
+    assert.strictEqual(path.dirname(file), path.join('/snaps', 'ethereum'));
+    assert.match(path.basename(file), new RegExp(`^${ADDRESS.toLowerCase()}-[0-9a-f]{8}\\.jsonl$`));
+  });
+
+  it('keeps file names portable', () => {
+    assert.match(path.basename(snapshotPath('/snaps', 'ton', '0:abc/def')), /^0_abc_def-[0-9a-f]{8}\.jsonl$/);
+  });
+
+  it('keeps addresses that only differ in replaced characters apart', () => {
+    assert.notStrictEqual(snapshotPath('/snaps', 'ton', '0:abc'), snapshotPath('/snaps', 'ton', '0_abc'));
+  });
+});
+
+describe('buildSnapshot', () => {
+  it('records native and non-zero token balances', () => {
+    const snap = buildSnapshot(
+      balanceDiff(5n),
+      [token('USDC', USDC, 2500000n), token('DAI', '0x6B17', 0n)],
+      NETWORK,
+      new Date('2025-06-01T00:00:00Z')
+    );
+
+    assert.deepStrictEqual(snap, {
+      takenAt: '2025-06-01T00:00:00.000Z',
+      block: 2000,
+      native: { symbol: 'ETH', decimals: 18, raw: '5' },
+      tokens: [{ symbol: 'USDC', address: USDC, decimals: 6, raw: '2500000' }],
+    });
+  });
+
+  it('records null tokens when tokens were skipped', () => {
+    assert.strictEqual(buildSnapshot(balanceDiff(5n), null, NETWORK).tokens, null);
+  });
+});
+
+describe('saveSnapshot / findSnapshot', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcbd-snapshots-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('returns null without a snapshot file', () => {
+    assert.strictEqual(findSnapshot(dir, 'ethereum', ADDRESS, 'last'), null);
+  });
+
+  it('finds the latest snapshot, or the latest before a time', () => {
+    saveSnapshot(dir, 'ethereum', ADDRESS, snapshot('2025-06-01T00:00:00.000Z', 100, 1));
+    saveSnapshot(dir, 'ethereum', ADDRESS, snapshot('2025-06-02T00:00:00.000Z', 200, 2));
+    saveSnapshot(dir, 'ethereum', ADDRESS, snapshot('2025-06-03T00:00:00.000Z', 300, 3));
+
+    assert.strictEqual(findSnapshot(dir, 'ethereum', ADDRESS, 'last').block, 300);
+    assert.strictEqual(findSnapshot(dir, 'ethereum', ADDRESS, Date.parse('2025-06-02T12:00:00Z') / 1000).block, 200);
+    assert.strictEqual(findSnapshot(dir, 'ethereum', ADDRESS, Date.parse('2025-05-01T00:00:00Z') / 1000), null);
+    assert.strictEqual(findSnapshot(dir, 'base', ADDRESS, 'last'), null);
+  });
+
+  it('skips half-written lines', () => {
+    saveSnapshot(dir, 'ethereum', ADDRESS, snapshot('2025-06-01T00:00:00.000Z', 100, 1));
+    fs.appendFileSync(snapshotPath(dir, 'ethereum', ADDRESS), '{"takenAt":"2025-06-02');
+
+    assert.strictEqual(findSnapshot(dir, 'ethereum', ADDRESS, 'last').block, 100);
+  });
+});
+
+describe('applySnapshot', () => {
+  const USDT = '0xdAC17F958D2ee523a2206206994597C13D831ec7';
+  const baseline = snapshot('2025-06-01T00:00:00.000Z', 1500, 3n, [
+    { symbol: 'USDC', address: USDC.toLowerCase(), decimals: 6, raw: '1000000' },
+    { symbol: 'USDT', address: USDT, decimals: 6, raw: '700' },
+    { symbol: 'OLD', address: '0x0000000000000000000000000000000000000001', decimals: 6, raw: '9' },
+  ]);
+
+  it('diffs native and token balances against the snapshot', () => {
+    const { balanceDiff: native, tokenBalances } = applySnapshot(
+      balanceDiff(5n),
+      [token('USDC', USDC, 2500000n), token('DAI', '0x6B17', 4n)],
+      baseline,
+      { formatBalance, tokens: [{ address: USDC }, { address: USDT }, { address: '0x6B17' }] }
+    );
+
+    assert.strictEqual(native.previousBlock, 1500);
+    assert.strictEqual(native.previousTimestamp, Date.parse('2025-06-01T00:00:00Z') / 1000);
+    assert.strictEqual(native.previous.raw, 3n);
+    assert.strictEqual(native.diff, 2n);
+
+    const bySymbol = Object.fromEntries(tokenBalances.map(t => [t.symbol, t]));
+    assert.strictEqual(bySymbol.USDC.diff, 1500000n);
+    assert.strictEqual(bySymbol.DAI.diff, 4n);
+    // Held at the snapshot, gone now
+    assert.strictEqual(bySymbol.USDT.raw, 0n);
+    assert.strictEqual(bySymbol.USDT.diff, -700n);
+    // No longer checked
+    assert.strictEqual(bySymbol.OLD, undefined);
+  });
+
+  it('reports diffs as unavailable without a snapshot', () => {
+    const { balanceDiff: native, tokenBalances } = applySnapshot(
+      balanceDiff(5n),
+      [token('USDC', USDC, 1n)],
+      null,
+      { formatBalance, missingReason: 'No snapshot yet' }
+    );
+
+    assert.strictEqual(native.diff, null);
+    assert.strictEqual(native.diffUnavailableReason, 'No snapshot yet');
+    assert.strictEqual(tokenBalances[0].diff, null);
+    assert.strictEqual(tokenBalances[0].diffUnavailableReason, 'No snapshot yet');
+  });
+
+  it('reports token diffs as unavailable when the snapshot skipped tokens', () => {
+    const { balanceDiff: native, tokenBalances } = applySnapshot(
+      balanceDiff(5n),
+      [token('USDC', USDC, 1n)],
+      { ...baseline, tokens: null },
+      { formatBalance }
+    );
+
+    assert.strictEqual(native.diff, 2n);
+    assert.strictEqual(tokenBalances[0].diff, null);
+    assert.match(tokenBalances[0].diffUnavailableReason, /no token balances/);
+  });
+});
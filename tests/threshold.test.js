@@ -3,9 +3,12 @@
  * Run with: npm test
  */
 
-const { describe, it } = require('node:test');
+const { describe, it, before, after } = require('node:test');
 const assert = require('node:assert');
-const { execSync, spawnSync } = require('child_process');
+const { execSync, spawnSync, execFile } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
 const path = require('path');
 
 const CLI_PATH = path.join(__dirname, '..', 'src', 'index.js');
@@ -84,3 +87,139 @@ describe('JSON Output with Threshold', () => {
   });
 });
 
+describe('Profile alert rules', () => {
+  const HOT = '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045';
+  const GAS = '0x0a542565b3615e8fc934cc3cc4921a0c22e5dc5e';
+  const USDC = '0x1111111111111111111111111111111111111111';
+  const HEAD = 1000;
+  let server;
+  let dir;
+  let configPath;
+
+  // Over the default 50 blocks: the hot wallet loses 20,000 USDC (of
+  // 100,000) and the gas wallet 1 ETH (of 2). No Multicall3, so tokens
+  // are read with balanceOf.
+  function rpc({ method, params = [] }) {
+    const past = (tag) => tag !== 'latest' && parseInt(tag, 16) < HEAD;
+    const isHot = (address) => address.toLowerCase().endsWith(HOT.slice(2).toLowerCase());
+    switch (method) {
+      case 'eth_chainId': return '0x1';
+      case 'eth_blockNumber': return `0x${HEAD.toString(16)}`;
+      case 'eth_getCode': return '0x';
+      case 'eth_getBalance': {
+        const eth = isHot(params[0]) ? 5n : past(params[1]) ? 2n : 1n;
+        return `0x${(eth * 10n ** 18n).toString(16)}`;
+      }
+      case 'eth_call': {
+        const usdc = isHot(params[0].data.slice(-40)) ? (past(params[1]) ? 100000n : 80000n) : 500n;
+        return `0x${(usdc * 10n ** 6n).toString(16).padStart(64, '0')}`;
+      }
+      default: throw new Error(`unsupported ${method}`);
+    }
+  }
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const answer = (request) => {
+          try {
+            return { jsonrpc: '2.0', id: request.id, result: rpc(request) };
+          } catch (error) {
+            return { jsonrpc: '2.0', id: request.id, error: { code: -32601, message: error.message } };
+          }
+        };
+        const parsed = JSON.parse(body);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(Array.isArray(parsed) ? parsed.map(answer) : answer(parsed)));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcbd-rules-'));
+    configPath = path.join(dir, 'config.json');
+    const profile = (alerts, address = [HOT, GAS]) => ({ network: 'local', address, alerts });
+    fs.writeFileSync(configPath, JSON.stringify({
+      networks: {
+        local: {
+          chainType: 'evm',
+          chainId: 1,
+          rpcUrl: `http://127.0.0.1:${server.address().port}`,
+          symbol: 'ETH',
+          tokens: [{ symbol: 'USDC', address: USDC, decimals: 6 }],
+        },
+      },
+      profiles: {
+        treasury: profile([
+          { name: 'hot USDC outflow', address: HOT, asset: 'USDC', diff: '<-10000' },
+          { name: 'gas wallet drain', address: GAS.toUpperCase().replace('0X', '0x'), asset: 'ETH', diff: '<-0.5' },
+        ]),
+        inflows: profile([{ asset: USDC, diff: '>0' }, { pct: '>10' }]),
+        percent: profile([{ address: HOT, asset: 'usdc', pct: '<=-20' }], HOT),
+        broken: profile([{ asset: 'ETH', diff: '<-1', pct: '<-5' }]),
+      },
+    }));
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Async, so the in-process RPC server can answer
+  function run(args) {
+    return new Promise(resolve => {
+      execFile('node', [CLI_PATH, '--config', configPath, ...args],
+        { encoding: 'utf8', timeout: 30000 },
+        (error, stdout, stderr) => resolve({ status: error ? error.code : 0, stdout, stderr }));
+    });
+  }
+
+  it('applies each rule to its own address and asset', async () => {
+    const result = await run(['--profile', 'treasury', '--json']);
+    const output = JSON.parse(result.stdout);
+
+    assert.strictEqual(result.status, EXIT_DIFF);
+    assert.deepStrictEqual(output.addresses.map(a => [a.alert.triggeredBy, a.alert.asset]), [
+      ['hot USDC outflow', 'USDC'],
+      ['gas wallet drain', 'ETH'],
+    ]);
+    assert.deepStrictEqual(output.addresses[0].alert.rule, {
+      name: 'hot USDC outflow', network: null, address: HOT, asset: 'USDC', diff: '<-10000',
+    });
+  });
+
+  it('only fires in the direction of the rule', async () => {
+    const result = await run(['--profile', 'inflows', '--json']);
+    const output = JSON.parse(result.stdout);
+
+    assert.strictEqual(result.status, EXIT_OK);
+    assert.strictEqual(output.alert.triggered, false);
+    assert.strictEqual(output.addresses[0].alert.triggeredBy, null);
+  });
+
+  it('checks percentage rules, and single-address runs', async () => {
+    const result = await run(['--profile', 'percent', '--json']);
+    const output = JSON.parse(result.stdout);
+
+    assert.strictEqual(output.address, HOT);
+    assert.strictEqual(output.alert.triggeredBy, '<=-20% usdc 0xd8dA...6045');
+  });
+
+  it('reports the rule on watch poll lines', async () => {
+    const result = await run(['--profile', 'treasury', '--watch', '--count', '1', '--json']);
+    const lines = result.stdout.trim().split('\n').map(line => JSON.parse(line));
+
+    assert.strictEqual(result.status, EXIT_DIFF);
+    assert.strictEqual(lines[0].alertRules.length, 2);
+    assert.deepStrictEqual(lines.filter(line => line.poll).map(line => line.alertTriggeredBy), ['hot USDC outflow', 'gas wallet drain']);
+  });
+
+  it('rejects a malformed rule', async () => {
+    const result = await run(['--profile', 'broken', '--json']);
+
+    assert.strictEqual(result.status, EXIT_DIFF);
+    assert.match(result.stderr, /alert rule 1 in profile "broken": set either "diff" or "pct"/);
+  });
+});
@@ -2,7 +2,7 @@
  * Tests for TON Adapter
  */
 
-const { describe, it } = require('node:test');
+const { describe, it, afterEach } = require('node:test');
 const assert = require('node:assert');
 const path = require('path');
 
@@ -36,6 +36,16 @@ describe('TON Adapter', () => {
     assert.ok(!adapter.isValidAddress(''), 'Should reject empty string');
   });
 
+  it('normalizes every form of an address to the raw form', () => {
+    const TonAdapter = require('../src/adapters/tonAdapter');
+    const adapter = new TonAdapter({ rpcUrl: 'https://toncenter.com/api/v2/jsonRPC' });
+    const raw = '0:ed1691307050047117b998b561d8de82d31fbf84910ced6eb5fc92e7485ef8a7';
+
+    assert.strictEqual(adapter.normalizeAddress('EQDtFpEwcFAEcRe5mLVh2N6C0x-_hJEM7W61_JLnSF74p4q2'), raw);
+    assert.strictEqual(adapter.normalizeAddress('UQDtFpEwcFAEcRe5mLVh2N6C0x-_hJEM7W61_JLnSF74p9dz'), raw);
+    assert.strictEqual(adapter.normalizeAddress(raw), raw);
+  });
+
   it('returns correct chain type', () => {
     const TonAdapter = require('../src/adapters/tonAdapter');
     const adapter = new TonAdapter({ rpcUrl: 'https://toncenter.com/api/v2/jsonRPC' });
@@ -73,6 +83,126 @@ describe('TON Adapter', () => {
   });
 });
 
+describe('TON Jettons', () => {
+  const OWNER = 'EQDtFpEwcFAEcRe5mLVh2N6C0x-_hJEM7W61_JLnSF74p4q2';
+  const USDT = { symbol: 'USDT', master: 'EQCxE6mUtQJKFnGfaROTKOt1lZbDiiX1kCixRv7Nw2Id_sDs', decimals: 6 };
+
+  // Stub client: client.open() returns the get-method wrappers directly
+  function stubClient(balances) {
+    const { Address } = require('@ton/ton');
+    return {
+      open: (contract) => ({
+        getWalletAddress: async () => Address.parse(OWNER),
+        getBalance: async () => balances.shift(),
+      }),
+    };
+  }
+
+  it('formats jetton balances with their own decimals', () => {
+    const TonAdapter = require('../src/adapters/tonAdapter');
+    const adapter = new TonAdapter({ rpcUrl: 'https://toncenter.com/api/v2/jsonRPC' });
+    assert.strictEqual(adapter.formatBalance(1_500_000n, 6), '1.5');
+    assert.strictEqual(adapter.formatBalance(2_000_000n, 6), '2');
+  });
+
+  it('returns jetton balances in the common token shape', async () => {
+    const TonAdapter = require('../src/adapters/tonAdapter');
+    const adapter = new TonAdapter({ rpcUrl: 'https://toncenter.com/api/v2/jsonRPC' });
+    adapter.client = stubClient([1_500_000n]);
+
+    const [usdt] = await adapter.getTokenBalances(OWNER, [USDT]);
+    assert.strictEqual(usdt.symbol, 'USDT');
+    assert.strictEqual(usdt.raw, 1_500_000n);
+    assert.strictEqual(usdt.formatted, '1.5');
+    assert.strictEqual(usdt.decimals, 6);
+    assert.strictEqual(usdt.master, USDT.master);
+  });
+
+  it('skips jettons whose master is not deployed', async () => {
+    const TonAdapter = require('../src/adapters/tonAdapter');
+    const adapter = new TonAdapter({ rpcUrl: 'https://toncenter.com/api/v2/jsonRPC' });
+    adapter.client = {
+      open: () => ({
+        getWalletAddress: async () => { throw new Error('Unable to execute get method. Got exit_code: -13'); },
+      }),
+    };
+
+    assert.deepStrictEqual(await adapter.getTokenBalances(OWNER, [USDT]), []);
+  });
+
+  it('rethrows rate limits instead of dropping the jetton', async () => {
+    const TonAdapter = require('../src/adapters/tonAdapter');
+    const adapter = new TonAdapter({ rpcUrl: 'https://toncenter.com/api/v2/jsonRPC' });
+    adapter.client = {
+      open: () => ({
+        getWalletAddress: async () => { throw new Error('Request failed with status code 429'); },
+      }),
+    };
+
+    await assert.rejects(adapter.getTokenBalances(OWNER, [USDT]), /status code 429/);
+  });
+
+  it('skips zero jetton balances', async () => {
+    const TonAdapter = require('../src/adapters/tonAdapter');
+    const adapter = new TonAdapter({ rpcUrl: 'https://toncenter.com/api/v2/jsonRPC' });
+    adapter.client = stubClient([0n]);
+
+    assert.deepStrictEqual(await adapter.getTokenBalances(OWNER, [USDT]), []);
+  });
+});
+
+describe('TON Historical Balances', () => {
+  const OWNER = 'EQDtFpEwcFAEcRe5mLVh2N6C0x-_hJEM7W61_JLnSF74p4q2';
+  const realFetch = global.fetch;
+
+  // Stub fetch with a toncenter v2 JSON-RPC response body
+  function stubFetch(body) {
+    const calls = [];
+    global.fetch = async (url, init) => {
+      calls.push(JSON.parse(init.body));
+      return { json: async () => body };
+    };
+    return calls;
+  }
+
+  function createAdapter() {
+    const TonAdapter = require('../src/adapters/tonAdapter');
+    const adapter = new TonAdapter({ rpcUrl: 'https://toncenter.com/api/v2/jsonRPC' });
+    adapter.lastSeqno = 200;
+    return adapter;
+  }
+
+  afterEach(() => {
+    global.fetch = realFetch;
+  });
+
+  it('reads the native balance at a past seqno', async () => {
+    const adapter = createAdapter();
+    const calls = stubFetch({ ok: true, result: { balance: '2500000000', block_id: { seqno: 150 } } });
+
+    const balance = await adapter.getNativeBalance(OWNER, 150);
+    assert.strictEqual(balance.raw, 2_500_000_000n);
+    assert.strictEqual(calls[0].method, 'getAddressInformation');
+    assert.strictEqual(calls[0].params.seqno, 150);
+  });
+
+  it('rejects state served for a different seqno', async () => {
+    const { HistoryUnavailableError } = require('../src/adapters');
+    const adapter = createAdapter();
+    stubFetch({ ok: true, result: { balance: '2500000000', block_id: { seqno: 200 } } });
+
+    await assert.rejects(adapter.getNativeBalance(OWNER, 150), HistoryUnavailableError);
+  });
+
+  it('treats an undeployed jetton wallet as a zero past balance', async () => {
+    const { Address } = require('@ton/ton');
+    const adapter = createAdapter();
+    stubFetch({ ok: true, result: { exit_code: -13, stack: [], block_id: { seqno: 150 } } });
+
+    assert.strictEqual(await adapter._getJettonBalanceAt(Address.parse(OWNER), 150), 0n);
+  });
+});
+
 describe('TON Network Config', () => {
   it('TON network is configured', () => {
     const { getNetwork } = require('../src/config/networks');
@@ -84,6 +214,16 @@ describe('TON Network Config', () => {
     assert.strictEqual(ton.nativeDecimals, 9);
   });
 
+  it('TON jettons are configured by master address', () => {
+    const { getNetwork } = require('../src/config/networks');
+    
+    const ton = getNetwork('ton');
+    const usdt = ton.tokens.find(t => t.symbol === 'USDT');
+    assert.ok(usdt, 'Should have USDT jetton');
+    assert.ok(usdt.master, 'Jetton should have a master address');
+    assert.strictEqual(usdt.decimals, 6);
+  });
+
   it('TON testnet is configured', () => {
     const { getNetwork } = require('../src/config/networks');
     
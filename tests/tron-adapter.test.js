@@ -0,0 +1,182 @@
+/**
+ * Tests for Tron Adapter
+ * Run with: npm test
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const TronAdapter = require('../src/adapters/tronAdapter');
+const { HistoryUnavailableError } = require('../src/adapters');
+const { getNetwork } = require('../src/config/networks');
+
+const TRONGRID = 'https://trongrid.example';
+const OWNER = 'TVjpchRyV9wdpj6kmwqVsBDWY1J8PaFtnb';
+const OTHER = 'TNUC9Qb1rRpS5CbWLmNMxXBjyFoydXjWFR';
+const USDT = getNetwork('tron').tokens.find(t => t.symbol === 'USDT');
+
+function createAdapter() {
+  return new TronAdapter({ ...getNetwork('tron'), rpcUrls: [TRONGRID] });
+}
+
+describe('Tron Address Validation', () => {
+  it('accepts Base58Check T-addresses', () => {
+    const adapter = createAdapter();
+    assert.ok(adapter.isValidAddress(OWNER));
+    assert.ok(adapter.isValidAddress(USDT.address));
+  });
+
+  it('rejects bad checksums and other chains', () => {
+    const adapter = createAdapter();
+    for (const address of [
+      'TVjpchRyV9wdpj6kmwqVsBDWY1J8PaFtnc',
+      '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa',
+      '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045',
+      '',
+    ]) {
+      assert.ok(!adapter.isValidAddress(address), `Should reject ${address}`);
+    }
+  });
+});
+
+describe('Tron Balances', () => {
+  const realFetch = global.fetch;
+
+  // Stub fetch: each path (query string included) maps to a response
+  // body, or a function of the POST body
+  function stubTronGrid(routes) {
+    const requests = [];
+    global.fetch = async (url, init) => {
+      const path = url.slice(TRONGRID.length);
+      const body = init.body ? JSON.parse(init.body) : null;
+      requests.push({ path, body });
+      const route = routes[path.split('?')[0]] ?? routes[path];
+      const result = typeof route === 'function' ? route(body, path) : route;
+      if (result === undefined) {
+        return { ok: false, status: 404, text: async () => 'Not Found' };
+      }
+      return { ok: true, status: 200, text: async () => JSON.stringify(result) };
+    };
+    return requests;
+  }
+
+  const block = (number, timestamp) => ({
+    blockID: `hash-${number}`,
+    block_header: { raw_data: { number, timestamp } },
+  });
+
+  afterEach(() => {
+    global.fetch = realFetch;
+  });
+
+  it('reads the latest block and block timestamps', async () => {
+    const adapter = createAdapter();
+    stubTronGrid({
+      '/wallet/getnowblock': block(66000000, 1730000000000),
+      '/wallet/getblockbynum': ({ num }) => block(num, 1729990000000),
+    });
+
+    assert.strictEqual(await adapter.getCurrentBlock(), 66000000);
+    assert.strictEqual(await adapter.getBlockTimestamp(65996000), 1729990000);
+  });
+
+  it('reads TRX in sun, including never-activated accounts', async () => {
+    const adapter = createAdapter();
+    stubTronGrid({ '/wallet/getaccount': ({ address }) => address === OWNER ? { balance: 12_500_000 } : {} });
+
+    const balance = await adapter.getNativeBalance(OWNER);
+    assert.strictEqual(balance.raw, 12_500_000n);
+    assert.strictEqual(balance.formatted, '12.5');
+    assert.strictEqual(balance.decimals, 6);
+    assert.strictEqual((await adapter.getNativeBalance(OTHER)).raw, 0n);
+  });
+
+  it('reads TRX at a past block by block hash', async () => {
+    const adapter = createAdapter();
+    const requests = stubTronGrid({
+      '/wallet/getblockbynum': ({ num }) => block(num, 1729990000000),
+      '/wallet/getaccountbalance': { balance: 7_000_000, block_identifier: { number: 65996000 } },
+    });
+
+    const balance = await adapter.getNativeBalance(OWNER, 65996000);
+    assert.strictEqual(balance.raw, 7_000_000n);
+    const lookup = requests.find(r => r.path === '/wallet/getaccountbalance').body;
+    assert.deepStrictEqual(lookup.block_identifier, { hash: 'hash-65996000', number: 65996000 });
+  });
+
+  it('reports nodes without historical lookups as unavailable history', async () => {
+    const adapter = createAdapter();
+    stubTronGrid({
+      '/wallet/getblockbynum': ({ num }) => block(num, 1729990000000),
+      '/wallet/getaccountbalance': { Error: 'class java.lang.IllegalArgumentException : historyBalanceLookup is disabled' },
+    });
+
+    await assert.rejects(adapter.getNativeBalance(OWNER, 65996000), HistoryUnavailableError);
+  });
+
+  it('reads TRC-20 balances through triggerconstantcontract', async () => {
+    const adapter = createAdapter();
+    const requests = stubTronGrid({
+      '/wallet/triggerconstantcontract': ({ contract_address: contract }) => contract === USDT.address
+        ? { result: { result: true }, constant_result: [(2_500_000).toString(16).padStart(64, '0')] }
+        : { result: { code: 'CONTRACT_VALIDATE_ERROR' } },
+    });
+
+    const balances = await adapter.getTokenBalances(OWNER, [USDT, { symbol: 'BAD', address: OTHER, decimals: 6 }]);
+    assert.strictEqual(balances.length, 1);
+    assert.strictEqual(balances[0].symbol, 'USDT');
+    assert.strictEqual(balances[0].raw, 2_500_000n);
+    assert.strictEqual(balances[0].formatted, '2.5');
+
+    const call = requests[0].body;
+    assert.strictEqual(call.function_selector, 'balanceOf(address)');
+    assert.strictEqual(call.parameter, '000000000000000000000000d8da6bf26964af9d7eed9e03e53415d37aa96045');
+  });
+
+  it('rebuilds past TRC-20 balances from transfers after the block', async () => {
+    const adapter = createAdapter();
+    const requests = stubTronGrid({
+      '/wallet/getblockbynum': ({ num }) => block(num, 1729990000000),
+      '/wallet/triggerconstantcontract': { result: { result: true }, constant_result: [(2_500_000).toString(16)] },
+      [`/v1/accounts/${OWNER}/transactions/trc20`]: (body, path) => path.includes('fingerprint=')
+        ? { data: [{ from: OWNER, to: OTHER, value: '300000' }], meta: {} }
+        : { data: [{ from: OTHER, to: OWNER, value: '1000000' }], meta: { fingerprint: 'next' } },
+    });
+
+    // 2.5 now, +1 and -0.3 since the block
+    const [usdt] = await adapter.getTokenBalances(OWNER, [USDT], 65996000);
+    assert.strictEqual(usdt.raw, 1_800_000n);
+
+    const history = requests.filter(r => r.path.startsWith('/v1/'));
+    assert.strictEqual(history.length, 2);
+    assert.ok(history[0].path.includes('min_timestamp=1729990000001'));
+    assert.ok(history[0].path.includes(`contract_address=${USDT.address}`));
+    // Same confirmation level as the latest balance
+    assert.ok(!history[0].path.includes('only_confirmed'));
+  });
+
+  it('reports missing TRC-20 history as unavailable', async () => {
+    const adapter = createAdapter();
+    stubTronGrid({
+      '/wallet/getblockbynum': ({ num }) => block(num, 1729990000000),
+      '/wallet/triggerconstantcontract': { result: { result: true }, constant_result: ['01'] },
+    });
+
+    await assert.rejects(adapter.getTokenBalances(OWNER, [USDT], 65996000), HistoryUnavailableError);
+  });
+});
+
+describe('Tron Network Config', () => {
+  it('configures mainnet and Nile with TRC-20 USDT', () => {
+    for (const key of ['tron', 'tron-nile']) {
+      const network = getNetwork(key);
+      assert.strictEqual(network.chainType, 'tron');
+      assert.strictEqual(network.nativeSymbol, 'TRX');
+      assert.strictEqual(network.nativeDecimals, 6);
+      assert.ok(network.tokens.some(t => t.symbol === 'USDT'));
+    }
+  });
+
+  it('links to Tronscan', () => {
+    assert.strictEqual(createAdapter().getExplorerUrl(OWNER), `https://tronscan.org/#/address/${OWNER}`);
+  });
+});
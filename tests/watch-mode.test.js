@@ -3,10 +3,14 @@
  * Run with: npm test
  */
 
-const { describe, it } = require('node:test');
+const { describe, it, before, after } = require('node:test');
 const assert = require('node:assert');
-const { spawnSync } = require('child_process');
+const { spawn, spawnSync, execFile } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
 const path = require('path');
+const { WebSocketServer } = require('ws');
 
 const CLI_PATH = path.join(__dirname, '..', 'src', 'index.js');
 
@@ -108,5 +112,326 @@ describe('Combined Thresholds', () => {
   });
 });
 
+describe('Watch Mode with several addresses', () => {
+  const ADDRESSES = [
+    '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045',
+    '0x0a542565b3615e8fc934cc3cc4921a0c22e5dc5e',
+  ];
+  const TOKEN = '0x1111111111111111111111111111111111111111';
+  const HEAD = 1000;
+  let server;
+  let wss;
+  let stalledWss;
+  let subscriptions = 0;
+  let dir;
+  let configPath;
 
+  // Minimal JSON-RPC node: the first address gains 1 gwei per block, the
+  // second holds a constant balance. Both hold TOKEN, the second gaining
+  // 1 unit per block. No Multicall3, so tokens are read with balanceOf.
+  function rpc({ method, params = [] }) {
+    const block = (tag) => tag === 'latest' ? HEAD : parseInt(tag, 16);
+    const isFirst = (address) => address.toLowerCase().endsWith(ADDRESSES[0].slice(2).toLowerCase());
+    switch (method) {
+      case 'eth_chainId': return '0x1';
+      case 'eth_blockNumber': return `0x${HEAD.toString(16)}`;
+      case 'eth_getCode': return '0x';
+      case 'eth_getBalance':
+        return `0x${(10n ** 18n + (isFirst(params[0]) ? BigInt(block(params[1])) * 10n ** 9n : 0n)).toString(16)}`;
+      case 'eth_call': {
+        // balanceOf(address): 1000 units, plus 1 unit (1e6) per block for the second address
+        const owner = params[0].data.slice(-40);
+        const balance = 1000n * 10n ** 6n + (isFirst(owner) ? 0n : BigInt(block(params[1])) * 10n ** 6n);
+        return `0x${balance.toString(16).padStart(64, '0')}`;
+      }
+      default: throw new Error(`unsupported ${method}`);
+    }
+  }
 
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const answer = (request) => {
+          try {
+            return { jsonrpc: '2.0', id: request.id, result: rpc(request) };
+          } catch (error) {
+            return { jsonrpc: '2.0', id: request.id, error: { code: -32601, message: error.message } };
+          }
+        };
+        const parsed = JSON.parse(body);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(Array.isArray(parsed) ? parsed.map(answer) : answer(parsed)));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    // Same node over WebSocket: answers eth_subscribe, then pushes a new
+    // head every 100ms
+    wss = new WebSocketServer({ server });
+    wss.on('connection', (socket) => {
+      let heads = null;
+      socket.on('message', (data) => {
+        const request = JSON.parse(data);
+        subscriptions++;
+        socket.send(JSON.stringify({ jsonrpc: '2.0', id: request.id, result: '0xabc' }));
+        heads = setInterval(() => socket.send(JSON.stringify({
+          jsonrpc: '2.0',
+          method: 'eth_subscription',
+          params: { subscription: '0xabc', result: { number: `0x${HEAD.toString(16)}` } },
+        })), 100);
+      });
+      socket.on('close', () => clearInterval(heads));
+    });
+
+    // A node that accepts the subscription, then goes silent without
+    // closing the connection (no notifications, no pongs)
+    stalledWss = new WebSocketServer({ port: 0, host: '127.0.0.1', autoPong: false });
+    await new Promise(resolve => stalledWss.once('listening', resolve));
+    stalledWss.on('connection', (socket) => {
+      socket.on('message', (data) => {
+        socket.send(JSON.stringify({ jsonrpc: '2.0', id: JSON.parse(data).id, result: '0xabc' }));
+      });
+    });
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcbd-watch-'));
+    configPath = path.join(dir, 'config.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+      networks: {
+        local: {
+          chainType: 'evm',
+          chainId: 1,
+          rpcUrl: `http://127.0.0.1:${server.address().port}`,
+          symbol: 'ETH',
+          tokens: [{ symbol: 'TKN', address: TOKEN, decimals: 6 }],
+        },
+        pushed: {
+          chainType: 'evm',
+          chainId: 1,
+          rpcUrl: `http://127.0.0.1:${server.address().port}`,
+          wsUrl: `ws://127.0.0.1:${server.address().port}`,
+          symbol: 'ETH',
+        },
+        failover: {
+          chainType: 'evm',
+          chainId: 1,
+          rpcUrls: ['http://127.0.0.1:1', `http://127.0.0.1:${server.address().port}`],
+          symbol: 'ETH',
+        },
+        stalled: {
+          chainType: 'evm',
+          chainId: 1,
+          rpcUrl: `http://127.0.0.1:${server.address().port}`,
+          wsUrl: `ws://127.0.0.1:${stalledWss.address().port}`,
+          symbol: 'ETH',
+        },
+      },
+    }));
+  });
+
+  after(() => {
+    wss.close();
+    stalledWss.close();
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Async, so the in-process RPC server can answer
+  function runWatch(args, network = 'local') {
+    return new Promise(resolve => {
+      execFile('node', [CLI_PATH, '--config', configPath, '--network', network, ...args],
+        { encoding: 'utf8', timeout: 30000 },
+        (error, stdout, stderr) => resolve({ status: error ? error.code : 0, stdout, stderr }));
+    });
+  }
+
+  it('polls every address and tags each poll line', async () => {
+    const result = await runWatch(['--addresses', ADDRESSES.join(','), '--watch', '--interval', '1', '--count', '2', '--no-tokens', '--json']);
+    const lines = result.stdout.trim().split('\n').map(line => JSON.parse(line));
+
+    assert.strictEqual(result.status, EXIT_OK);
+    assert.deepStrictEqual(lines[0].addresses, ADDRESSES);
+    const polls = lines.filter(line => line.poll !== undefined);
+    assert.deepStrictEqual(polls.map(line => [line.poll, line.address]), [
+      [1, ADDRESSES[0]], [1, ADDRESSES[1]],
+      [2, ADDRESSES[0]], [2, ADDRESSES[1]],
+    ]);
+    assert.strictEqual(lines.at(-1).type, 'watch_end');
+  });
+
+  it('alerts per address and combines the exit code', async () => {
+    // Only the first address moves (+50 gwei over 50 blocks)
+    const result = await runWatch(['--addresses', ADDRESSES.join(','), '--watch', '--count', '1', '--alert-if-diff', '>0', '--no-tokens', '--json']);
+    const polls = result.stdout.trim().split('\n').map(line => JSON.parse(line)).filter(line => line.poll !== undefined);
+
+    assert.deepStrictEqual(polls.map(line => line.alert), [true, false]);
+    assert.strictEqual(result.status, EXIT_DIFF);
+  });
+
+  it('polls tokens and applies thresholds per token', async () => {
+    // Native moves 50 gwei, TKN of the second address 50 units
+    const result = await runWatch(['--addresses', ADDRESSES.join(','), '--watch', '--count', '1', '--alert-if-diff', '>10', '--json']);
+    const polls = result.stdout.trim().split('\n').map(line => JSON.parse(line)).filter(line => line.poll !== undefined);
+
+    assert.strictEqual(result.status, EXIT_DIFF);
+    assert.deepStrictEqual(polls.map(line => [line.alert, line.alertAsset]), [[false, null], [true, 'TKN']]);
+    const [token] = polls[1].tokens;
+    assert.strictEqual(token.address, TOKEN);
+    assert.strictEqual(token.diff, '50');
+    assert.strictEqual(token.alert, true);
+    assert.strictEqual(polls[0].tokens[0].alert, false);
+  });
+
+  it('shows token changes on the pretty line', async () => {
+    const result = await runWatch(['--address', ADDRESSES[1], '--watch', '--count', '1']);
+
+    assert.strictEqual(result.status, EXIT_OK);
+    assert.match(result.stdout, /1 ETH .*│\S* 2000 TKN .*\+50 TKN/);
+  });
+
+  it('raises an alert once after --alert-after breaching polls', async () => {
+    const args = ['--address', ADDRESSES[0], '--watch', '--interval', '1', '--alert-if-diff', '>0', '--alert-after', '2', '--no-tokens', '--json'];
+    const once = await runWatch([...args, '--count', '1']);
+    const lines = (await runWatch([...args, '--count', '3'])).stdout.trim().split('\n').map(line => JSON.parse(line));
+    const events = lines.filter(line => line.type === 'alert_triggered');
+
+    // The first poll breaches, but no alert yet
+    assert.strictEqual(once.status, EXIT_OK);
+    assert.deepStrictEqual(events.map(event => [event.asset, event.triggeredBy, event.breachingPolls]), [['ETH', 'absolute', 2]]);
+    // Right after the second poll line
+    assert.strictEqual(lines[lines.indexOf(events[0]) - 1].poll, 2);
+    assert.strictEqual(lines[0].alertAfter, 2);
+    assert.strictEqual(lines.at(-1).activeAlerts, 1);
+    assert.strictEqual(lines.at(-1).exitCode, EXIT_DIFF);
+  });
+
+  it('sends a webhook per alert and reports the delivery', async () => {
+    const received = [];
+    const hook = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push(JSON.parse(body));
+        res.writeHead(204);
+        res.end();
+      });
+    });
+    await new Promise(resolve => hook.listen(0, '127.0.0.1', resolve));
+    const webhook = `http://127.0.0.1:${hook.address().port}/alert`;
+
+    const args = ['--address', ADDRESSES[0], '--watch', '--interval', '1', '--count', '2', '--alert-if-diff', '>0', '--no-tokens', '--json'];
+    const result = await runWatch([...args, '--webhook', webhook]);
+    hook.close();
+    const deliveries = result.stdout.trim().split('\n').map(line => JSON.parse(line)).filter(line => line.type === 'webhook');
+
+    // The breach lasts both polls: one alert, one delivery
+    assert.deepStrictEqual(deliveries.map(line => [line.event, line.asset, line.success, line.statusCode]), [['alert_triggered', 'ETH', true, 204]]);
+    assert.strictEqual(received.length, 1);
+    assert.strictEqual(received[0].poll, 1);
+    assert.strictEqual(received[0].network, 'local');
+    assert.strictEqual(received[0].address, ADDRESSES[0]);
+    assert.strictEqual(received[0].alertEvent.triggeredBy, 'absolute');
+    assert.strictEqual(received[0].webhook.trigger, 'alert_triggered');
+
+    const deadLetter = path.join(dir, 'dead-letter.ndjson');
+    const failed = await runWatch([...args, '--webhook', webhook, '--webhook-retries', '0', '--webhook-dead-letter', deadLetter]);
+    const [delivery] = failed.stdout.trim().split('\n').map(line => JSON.parse(line)).filter(line => line.type === 'webhook');
+    assert.strictEqual(delivery.success, false);
+    assert.match(delivery.error, /ECONNREFUSED/);
+    assert.strictEqual(delivery.attempts, 1);
+    assert.strictEqual(delivery.deadLetter, deadLetter);
+
+    // Kept for --replay-webhooks
+    const [entry] = fs.readFileSync(deadLetter, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(entry.url, webhook);
+    assert.strictEqual(entry.trigger, 'alert_triggered');
+    assert.strictEqual(JSON.parse(entry.body).alertEvent.asset, 'ETH');
+  });
+
+  it('--subscribe polls on new heads from the wsUrl', async () => {
+    const result = await runWatch(['--address', ADDRESSES[0], '--watch', '--subscribe', '--interval', '1', '--count', '2', '--json'], 'pushed');
+    const lines = result.stdout.trim().split('\n').map(line => JSON.parse(line));
+
+    assert.strictEqual(result.status, EXIT_OK);
+    assert.strictEqual(lines[0].subscribed, true);
+    assert.deepStrictEqual(lines.filter(line => line.poll !== undefined).map(line => line.poll), [1, 2]);
+    assert.strictEqual(subscriptions, 1);
+  });
+
+  it('--subscribe falls back to polling when the socket stalls', async () => {
+    // The heartbeat runs on --timeout: the silent socket is dropped after ~2s
+    const result = await runWatch(['--address', ADDRESSES[0], '--watch', '--subscribe', '--interval', '1', '--timeout', '1',
+      '--count', '2', '--no-tokens', '--json'], 'stalled');
+    const lines = result.stdout.trim().split('\n').map(line => JSON.parse(line));
+
+    assert.strictEqual(result.status, EXIT_OK);
+    assert.strictEqual(lines[0].subscribed, true);
+    assert.deepStrictEqual(lines.filter(line => line.poll !== undefined).map(line => line.poll), [1, 2]);
+    assert.match(result.stderr, /stopped responding .*; polling every 1s/);
+  });
+
+  // Watch two polls with --metrics-port and scrape between them
+  async function scrapeWatch(args, network = 'local') {
+    const child = spawn('node', [CLI_PATH, '--config', configPath, '--network', network,
+      '--addresses', ADDRESSES.join(','), '--watch', '--interval', '1', '--count', '2',
+      '--metrics-port', '127.0.0.1:0', '--json', ...args]);
+    const exited = new Promise(resolve => child.on('exit', resolve));
+    const timer = setTimeout(() => child.kill(), 30000);
+
+    let output = '';
+    const lines = await new Promise(resolve => {
+      child.stdout.on('data', (chunk) => {
+        output += chunk;
+        const parsed = output.split('\n').slice(0, -1).map(line => JSON.parse(line));
+        if (parsed.filter(line => line.poll === 1).length === ADDRESSES.length) resolve(parsed);
+      });
+    });
+    const response = await fetch(`http://127.0.0.1:${lines[0].metricsPort}/metrics`);
+    const text = await response.text();
+    const status = await exited;
+    clearTimeout(timer);
+    return { status, response, text };
+  }
+
+  it('serves Prometheus metrics with --metrics-port', async () => {
+    const { status, response, text } = await scrapeWatch(['--alert-if-diff', '>10']);
+
+    assert.strictEqual(status, EXIT_DIFF);
+    assert.strictEqual(response.status, 200);
+    assert.match(text, new RegExp(`^mcbd_polls_total\\{network="local",address="${ADDRESSES[0]}"\\} 1$`, 'm'));
+    assert.match(text, new RegExp(`^mcbd_balance\\{network="local",address="${ADDRESSES[1]}",asset="TKN",token="${TOKEN}"\\} 2000$`, 'm'));
+    assert.match(text, new RegExp(`^mcbd_balance_diff\\{network="local",address="${ADDRESSES[1]}",asset="ETH",token=""\\} 0$`, 'm'));
+    assert.match(text, new RegExp(`^mcbd_alerts_total\\{network="local",address="${ADDRESSES[1]}",asset="TKN",triggered_by="absolute"\\} 1$`, 'm'));
+    assert.match(text, /^mcbd_active_alerts\{network="local"\} 1$/m);
+    const [, requests] = /^mcbd_rpc_request_duration_seconds_count\{network="local",endpoint="http:\/\/127\.0\.0\.1:\d+",status="200"\} (\d+)$/m.exec(text);
+    assert.ok(Number(requests) > 0);
+    assert.doesNotMatch(text, /^mcbd_rpc_errors_total\{/m);
+  });
+
+  it('counts failed RPC attempts per endpoint', async () => {
+    const { status, text } = await scrapeWatch(['--no-tokens'], 'failover');
+
+    assert.strictEqual(status, EXIT_OK);
+    const [, errors] = /^mcbd_rpc_errors_total\{network="failover",endpoint="http:\/\/127\.0\.0\.1:1"\} (\d+)$/m.exec(text);
+    assert.ok(Number(errors) > 0);
+    assert.match(text, /^mcbd_polls_total\{network="failover",address="[^"]+"\} 1$/m);
+    assert.match(text, /^mcbd_rpc_request_duration_seconds_count\{network="failover",endpoint="http:\/\/127\.0\.0\.1:1",status="error"\} \d+$/m);
+  });
+
+  it('--metrics-port needs --watch', () => {
+    const result = spawnSync('node', [CLI_PATH, '--address', ADDRESSES[0], '--metrics-port', '9464', '--json'], { encoding: 'utf8' });
+
+    assert.strictEqual(result.status, 1);
+    assert.match(JSON.parse(result.stdout).error, /--metrics-port needs --watch/);
+  });
+
+  it('--subscribe falls back to polling without a wsUrl', async () => {
+    const result = await runWatch(['--address', ADDRESSES[0], '--watch', '--subscribe', '--count', '1', '--no-tokens', '--json']);
+    const lines = result.stdout.trim().split('\n').map(line => JSON.parse(line));
+
+    assert.strictEqual(result.status, EXIT_OK);
+    assert.strictEqual(lines[0].subscribed, false);
+    assert.match(result.stderr, /set wsUrl/);
+  });
+});
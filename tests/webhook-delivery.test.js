@@ -0,0 +1,145 @@
+/**
+ * Tests for webhook signing, retries and the dead-letter file
+ * Run with: npm test
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const {
+  signWebhook, sendWebhook, appendDeadLetter, readDeadLetters, replayDeadLetters,
+} = require('../src/services/webhookDelivery');
+
+const SECRET = 'whsec_test';
+
+describe('Webhook signing', () => {
+  it('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+    const body = '{"alert":true}';
+    const expected = crypto.createHmac('sha256', SECRET).update(`1700000000.${body}`).digest('hex');
+
+    assert.strictEqual(signWebhook(body, SECRET, 1700000000), `sha256=${expected}`);
+    assert.notStrictEqual(signWebhook(body, SECRET, 1700000001), signWebhook(body, SECRET, 1700000000));
+  });
+});
+
+describe('Webhook delivery', () => {
+  let server;
+  let url;
+  let requests;
+  // Status codes to answer with, in order; 200 once they run out. 0 never answers
+  let statuses;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ headers: req.headers, body });
+        const status = statuses.length > 0 ? statuses.shift() : 200;
+        if (status === 0) return;
+        res.writeHead(status);
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  const send = (payload, options = {}) => sendWebhook(url, payload, { backoffMs: 10, timeoutMs: 200, ...options });
+
+  it('sends a signature receivers can verify', async () => {
+    requests = [];
+    statuses = [];
+    const result = await send({ alert: true }, { secret: SECRET });
+    const [{ headers, body }] = requests;
+
+    assert.deepStrictEqual(result, { success: true, statusCode: 200, attempts: 1 });
+    assert.ok(Math.abs(Number(headers['x-mcbd-timestamp']) - Date.now() / 1000) < 5);
+    assert.strictEqual(headers['x-mcbd-signature'], signWebhook(body, SECRET, headers['x-mcbd-timestamp']));
+  });
+
+  it('leaves requests unsigned without a secret', async () => {
+    requests = [];
+    statuses = [];
+    await send('plain text', { contentType: 'text/plain' });
+
+    assert.strictEqual(requests[0].headers['x-mcbd-signature'], undefined);
+    assert.strictEqual(requests[0].body, 'plain text');
+  });
+
+  it('retries 5xx, 429 and timeouts, then gives up', async () => {
+    requests = [];
+    statuses = [503, 429, 0];
+    assert.deepStrictEqual(await send({}, { retries: 3 }), { success: true, statusCode: 200, attempts: 4 });
+
+    requests = [];
+    statuses = [502, 502, 502];
+    assert.deepStrictEqual(await send({}, { retries: 2 }), { success: false, statusCode: 502, attempts: 3 });
+    assert.strictEqual(requests.length, 3);
+  });
+
+  it('does not retry other client errors', async () => {
+    requests = [];
+    statuses = [400];
+    assert.deepStrictEqual(await send({}, { retries: 3 }), { success: false, statusCode: 400, attempts: 1 });
+  });
+
+  it('replays dead letters and keeps the ones that fail again', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcbd-dead-letter-'));
+    const file = path.join(dir, 'nested', 'dead-letter.ndjson');
+    try {
+      appendDeadLetter(file, { url, trigger: 'alert', contentType: 'application/json', body: '{"n":1}', attempts: 3, error: 'Request timeout' });
+      appendDeadLetter(file, { url, trigger: 'alert', contentType: 'text/plain', body: 'n=2', attempts: 3, statusCode: 500 });
+      assert.deepStrictEqual(readDeadLetters(file).map(entry => entry.body), ['{"n":1}', 'n=2']);
+
+      requests = [];
+      statuses = [200, 404];
+      const outcomes = await replayDeadLetters(file, { secret: SECRET, retries: 0 });
+
+      assert.deepStrictEqual(outcomes.map(({ result }) => result.success), [true, false]);
+      // Signed afresh, with the original content type
+      assert.strictEqual(requests[1].headers['content-type'], 'text/plain');
+      assert.strictEqual(requests[1].headers['x-mcbd-signature'], signWebhook('n=2', SECRET, requests[1].headers['x-mcbd-timestamp']));
+      const [left] = readDeadLetters(file);
+      assert.deepStrictEqual([readDeadLetters(file).length, left.body, left.statusCode, left.attempts], [1, 'n=2', 404, 4]);
+
+      requests = [];
+      statuses = [];
+      await replayDeadLetters(file, { retries: 0 });
+      assert.strictEqual(fs.existsSync(file), false);
+      assert.deepStrictEqual(readDeadLetters(file), []);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('keeps dead letters appended during a replay', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcbd-dead-letter-'));
+    const file = path.join(dir, 'dead-letter.ndjson');
+    try {
+      appendDeadLetter(file, { url, contentType: 'text/plain', body: 'n=1', attempts: 3, statusCode: 500 });
+
+      requests = [];
+      statuses = [500];
+      // The file is read before the first request goes out
+      const replay = replayDeadLetters(file, { retries: 0 });
+      appendDeadLetter(file, { url, contentType: 'text/plain', body: 'n=2', attempts: 3, statusCode: 500 });
+      await replay;
+
+      assert.strictEqual(requests.length, 1);
+      assert.deepStrictEqual(readDeadLetters(file).map(entry => [entry.body, entry.attempts]), [['n=1', 4], ['n=2', 3]]);
+      assert.deepStrictEqual(fs.readdirSync(dir), ['dead-letter.ndjson']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Tests for webhook message formats (--webhook-format, --webhook-template)
+ * Run with: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { alertItems, summarize, renderTemplate, formatWebhookPayload } = require('../src/services/webhookFormats');
+
+const ADDRESS = '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045';
+const EXPLORER = `https://etherscan.io/address/${ADDRESS}`;
+
+const RESULT = {
+  schemaVersion: '0.1.0',
+  network: { key: 'mainnet', name: 'Ethereum Mainnet', chainType: 'evm', chainId: 1 },
+  address: ADDRESS,
+  explorer: EXPLORER,
+  native: { symbol: 'ETH', decimals: 18, balance: '3.5', diff: '1.5', diffSign: 'negative' },
+  tokens: [{ symbol: 'USDC', balance: '80000', diff: '20000', diffSign: 'negative' }],
+  alert: { threshold: '<-1', thresholdPct: null, triggered: true, triggeredBy: 'absolute', asset: 'ETH' },
+  webhook: { sentAt: '2025-01-15T10:30:00.000Z', trigger: 'alert' },
+};
+
+const WATCH_EVENT = {
+  address: ADDRESS,
+  balance: '3.5',
+  tokens: [{ symbol: 'USDC', balance: '80000' }],
+  poll: 7,
+  network: 'mainnet',
+  explorer: EXPLORER,
+  alertEvent: {
+    type: 'alert_resolved',
+    asset: 'USDC',
+    triggeredBy: 'hot USDC outflow',
+    condition: '<-10000',
+    rule: { name: 'hot USDC outflow', asset: 'USDC', diff: '<-10000' },
+    diff: '0',
+    diffSign: 'positive',
+  },
+  webhook: { sentAt: '2025-01-15T10:30:00.000Z', trigger: 'alert_resolved' },
+};
+
+describe('Webhook alert items', () => {
+  it('describes a one-shot alert with its asset, diff and threshold', () => {
+    assert.deepStrictEqual(alertItems(RESULT), [{
+      status: 'triggered',
+      network: 'Ethereum Mainnet',
+      address: ADDRESS,
+      explorer: EXPLORER,
+      asset: 'ETH',
+      balance: '3.5 ETH',
+      diff: '-1.5 ETH',
+      condition: '<-1',
+    }]);
+  });
+
+  it('lists only the triggered addresses of multi-address and multi-network results', () => {
+    const quiet = { ...RESULT, address: '0x0a542565b3615e8fc934cc3cc4921a0c22e5dc5e', alert: { triggered: false } };
+    const section = { network: RESULT.network, addresses: [RESULT, quiet, { address: 'x', error: 'timeout' }] };
+
+    assert.deepStrictEqual(alertItems(section).map(item => item.address), [ADDRESS]);
+    assert.deepStrictEqual(alertItems({ networks: [section, { network: RESULT.network, error: 'down' }] }).map(item => item.address), [ADDRESS]);
+  });
+
+  it('describes watch alert events, named after their rule', () => {
+    const [item] = alertItems(WATCH_EVENT);
+
+    assert.strictEqual(item.status, 'resolved');
+    assert.strictEqual(item.balance, '80000 USDC');
+    assert.strictEqual(item.condition, 'hot USDC outflow (<-10000)');
+    assert.strictEqual(summarize(WATCH_EVENT), '✅ Balance alert resolved: +0 USDC on mainnet (0xd8dA6B...A96045, hot USDC outflow (<-10000))');
+  });
+});
+
+describe('Webhook formats', () => {
+  it('raw posts the payload as is', () => {
+    const { body, contentType } = formatWebhookPayload(RESULT);
+    assert.deepStrictEqual(JSON.parse(body), RESULT);
+    assert.strictEqual(contentType, 'application/json');
+  });
+
+  it('slack builds Block Kit blocks with an explorer link', () => {
+    const message = JSON.parse(formatWebhookPayload(RESULT, { format: 'slack' }).body);
+
+    assert.match(message.text, /^🚨 Balance alert: -1\.5 ETH on Ethereum Mainnet/);
+    assert.strictEqual(message.blocks[0].type, 'header');
+    const fields = message.blocks[1].fields.map(field => field.text);
+    assert.ok(fields.includes(`*Address*\n<${EXPLORER}|0xd8dA6B...A96045>`));
+    assert.ok(fields.includes('*Threshold*\n`<-1`'));
+  });
+
+  it('discord builds one embed per alert, colored by status', () => {
+    const triggered = JSON.parse(formatWebhookPayload(RESULT, { format: 'discord' }).body);
+    const resolved = JSON.parse(formatWebhookPayload(WATCH_EVENT, { format: 'discord' }).body);
+
+    assert.strictEqual(triggered.embeds.length, 1);
+    assert.strictEqual(triggered.embeds[0].url, EXPLORER);
+    assert.strictEqual(triggered.embeds[0].title, '🚨 Balance alert: -1.5 ETH');
+    assert.notStrictEqual(triggered.embeds[0].color, resolved.embeds[0].color);
+  });
+
+  it('teams builds an Adaptive Card with facts and an explorer action', () => {
+    const message = JSON.parse(formatWebhookPayload(RESULT, { format: 'teams' }).body);
+    const card = message.attachments[0].content;
+
+    assert.strictEqual(card.type, 'AdaptiveCard');
+    assert.deepStrictEqual(card.body[1].facts.find(fact => fact.title === 'Diff'), { title: 'Diff', value: '-1.5 ETH' });
+    assert.deepStrictEqual(card.actions[0].url, EXPLORER);
+  });
+});
+
+describe('Webhook templates', () => {
+  it('fills in fields by path, and the summary as {{message}}', () => {
+    const text = renderTemplate('{{native.diffSign}} {{native.diff}} {{native.symbol}} on {{network.name}}{{missing.field}} | {{message}}', RESULT);
+    assert.strictEqual(text, 'negative 1.5 ETH on Ethereum Mainnet | 🚨 Balance alert: -1.5 ETH on Ethereum Mainnet (0xd8dA6B...A96045, <-1)');
+  });
+
+  it('escapes values in JSON templates and sends them as JSON', () => {
+    const template = { text: '{"content": "{{message}}", "alert": "{{alert}}"}', json: true };
+    const { body, contentType } = formatWebhookPayload(RESULT, { template });
+
+    assert.strictEqual(contentType, 'application/json');
+    assert.deepStrictEqual(JSON.parse(JSON.parse(body).alert), RESULT.alert);
+  });
+
+  it('sends other templates as text, and rejects JSON templates that break', () => {
+    assert.strictEqual(formatWebhookPayload(RESULT, { template: { text: '{{address}}', json: false } }).contentType, 'text/plain; charset=utf-8');
+    assert.throws(() => formatWebhookPayload(RESULT, { template: { text: '{"a": {{address}}}', json: true } }), /valid JSON/);
+  });
+});
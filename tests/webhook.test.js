@@ -1,6 +1,6 @@
 const { describe, it } = require('node:test');
 const assert = require('node:assert');
-const { execSync } = require('child_process');
+const { execSync, spawnSync } = require('child_process');
 
 describe('Webhook Flag', () => {
   it('--webhook is accepted as a valid option', () => {
@@ -36,3 +36,57 @@ describe('Webhook Flag', () => {
   });
 });
 
+
+describe('Webhook Formats', () => {
+  it('--help includes --webhook-format and --webhook-template', () => {
+    const output = execSync('node src/index.js --help', {
+      encoding: 'utf-8',
+    });
+    
+    assert.ok(output.includes('--webhook-format'), 'Help should mention --webhook-format');
+    assert.ok(output.includes('--webhook-template'), 'Help should mention --webhook-template');
+  });
+
+  it('unknown --webhook-format returns JSON error', () => {
+    const result = spawnSync('node', [
+      'src/index.js', '--address', '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045',
+      '--webhook', 'http://example.com/hook', '--webhook-format', 'pager', '--json',
+    ], { encoding: 'utf-8' });
+    
+    assert.strictEqual(result.status, 1);
+    assert.match(JSON.parse(result.stdout).error, /Invalid --webhook-format value: pager/);
+  });
+
+  it('missing --webhook-template file returns JSON error', () => {
+    const result = spawnSync('node', [
+      'src/index.js', '--address', '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045',
+      '--webhook', 'http://example.com/hook', '--webhook-template', 'no-such-template.json', '--json',
+    ], { encoding: 'utf-8' });
+    
+    assert.strictEqual(result.status, 1);
+    assert.match(JSON.parse(result.stdout).error, /Could not load webhook template/);
+  });
+});
+
+describe('Webhook Delivery', () => {
+  it('invalid --webhook-retries returns JSON error', () => {
+    const result = spawnSync('node', [
+      'src/index.js', '--address', '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045',
+      '--webhook', 'http://example.com/hook', '--webhook-retries', '-1', '--json',
+    ], { encoding: 'utf-8' });
+    
+    assert.strictEqual(result.status, 1);
+    assert.match(JSON.parse(result.stdout).error, /Invalid --webhook-retries value: -1/);
+  });
+
+  it('--replay-webhooks needs no address and succeeds with nothing to replay', () => {
+    const result = spawnSync('node', [
+      'src/index.js', '--replay-webhooks', 'no-such-dead-letter.ndjson', '--json',
+    ], { encoding: 'utf-8' });
+    
+    assert.strictEqual(result.status, 0);
+    const output = JSON.parse(result.stdout);
+    assert.strictEqual(output.deadLetter, 'no-such-dead-letter.ndjson');
+    assert.deepStrictEqual([output.delivered, output.failed, output.deliveries], [0, 0, []]);
+  });
+});